@@ -0,0 +1,199 @@
+/**
+ * Parametric Question Generator
+ * Builds randomized, correct-by-construction calculation questions from the
+ * templates in calculation-templates.js and writes them in the standard
+ * question JSON format (same fields as data/questions-y1.json).
+ *
+ * Usage:
+ *   node scripts/advanced-question-generator.js --year 1 [--count 10] [--seed 42] [--type mixed] [--out file.json]
+ *   node scripts/advanced-question-generator.js --all
+ *
+ * --count   questions per template (default 10)
+ * --seed    makes a run reproducible (default: random)
+ * --type    multiple_choice (default), numeric, or mixed
+ * --out     output file (default data/generated/questions-y{N}-calculations.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { TEMPLATES, round } from './calculation-templates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../data');
+const OUTPUT_DIR = path.join(DATA_DIR, 'generated');
+const blueprints = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'blueprints.json'), 'utf8'));
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+// Small seeded PRNG (mulberry32) so a --seed reproduces the same bank
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function formatValue(value, decimals, unit) {
+  const text = round(value, decimals).toFixed(decimals);
+  return unit === '%' ? `${text}%` : `${text} ${unit}`;
+}
+
+/**
+ * Three distinct wrong options; falls back to ±10-25% nudges when two common
+ * mistakes happen to round to the same value as each other or the answer.
+ */
+function buildDistractors(spec) {
+  const key = (v) => round(v, spec.decimals).toFixed(spec.decimals);
+  const seen = new Set([key(spec.answer)]);
+  const result = [];
+
+  const candidates = [
+    ...spec.distractors,
+    spec.answer * 1.1,
+    spec.answer * 0.9,
+    spec.answer * 1.25,
+    spec.answer * 0.75,
+  ];
+  for (const value of candidates) {
+    if (result.length === 3) break;
+    if (!Number.isFinite(value) || round(value, spec.decimals) <= 0) continue;
+    if (seen.has(key(value))) continue;
+    seen.add(key(value));
+    result.push(value);
+  }
+  return result;
+}
+
+function questionId(year, section, templateKey, text) {
+  const hash = crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+  return `gen_y${year}_s${section}_${templateKey}_${hash}`;
+}
+
+function toQuestion(spec, template, year, questionType, random) {
+  const { section, subtopic } = template.placements[year];
+  const sectionInfo = blueprints[year].sections.find((s) => s.num === section);
+
+  const question = {
+    id: questionId(year, section, template.key, spec.question_text),
+    year,
+    section,
+    section_name: sectionInfo.name,
+    subtopic,
+    difficulty: spec.difficulty,
+  };
+
+  if (questionType === 'numeric') {
+    Object.assign(question, {
+      question_type: 'numeric',
+      question_text: spec.question_text,
+      correct_answer: round(spec.answer, spec.decimals).toFixed(spec.decimals),
+      unit: spec.unit,
+      // Allow for rounded trade constants (1.414 vs √2): 0.2%, but at least one unit in the last place
+      tolerance: Math.max(10 ** -spec.decimals, round(Math.abs(spec.answer) * 0.002, spec.decimals)),
+    });
+  } else {
+    const options = shuffle(
+      [{ value: spec.answer, correct: true }, ...buildDistractors(spec).map((value) => ({ value, correct: false }))],
+      random
+    );
+    question.question_text = spec.question_text;
+    options.forEach((option, i) => {
+      question[`option_${LETTERS[i].toLowerCase()}`] = formatValue(option.value, spec.decimals, spec.unit);
+    });
+    question.correct_answer = LETTERS[options.findIndex((o) => o.correct)];
+  }
+
+  question.explanation = spec.explanation;
+  question.formula = spec.formula;
+  question.reference = `AIT Period ${year} Curriculum`;
+  return question;
+}
+
+/**
+ * Generate `count` questions per template that applies to `year`.
+ * Duplicate questions (same inputs drawn twice) are dropped.
+ */
+export function generateQuestions({ year, count = 10, seed = Date.now(), type = 'multiple_choice' }) {
+  const random = createRandom(seed);
+  const byId = new Map();
+
+  TEMPLATES.filter((t) => t.placements[year]).forEach((template) => {
+    for (let i = 0; i < count; i++) {
+      const questionType = type === 'mixed' ? (i % 2 === 0 ? 'multiple_choice' : 'numeric') : type;
+      const question = toQuestion(template.build(random), template, year, questionType, random);
+      if (!byId.has(question.id)) byId.set(question.id, question);
+    }
+  });
+
+  return [...byId.values()];
+}
+
+export function parseArgs(argv) {
+  const args = { all: false, year: 1, count: 10, seed: Date.now(), type: 'multiple_choice', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--all') args.all = true;
+    else if (arg === '--year') args.year = parseInt(argv[++i]);
+    else if (arg === '--count') args.count = parseInt(argv[++i]);
+    else if (arg === '--seed') args.seed = parseInt(argv[++i]);
+    else if (arg === '--type') args.type = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (/^\d+$/.test(arg)) args.year = parseInt(arg);
+  }
+  return args;
+}
+
+export function writeQuestions(filePath, questions) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(questions, null, 2) + '\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!['multiple_choice', 'numeric', 'mixed'].includes(args.type)) {
+    console.error(`❌ Unknown --type "${args.type}" (use multiple_choice, numeric or mixed)`);
+    process.exit(1);
+  }
+
+  const years = args.all ? Object.keys(blueprints).map(Number) : [args.year];
+  console.log(`🧮 Generating calculation questions (seed ${args.seed})`);
+
+  years.forEach((year) => {
+    if (!blueprints[year]) {
+      console.error(`❌ No blueprint for year ${year}`);
+      process.exit(1);
+    }
+
+    const questions = generateQuestions({ year, count: args.count, seed: args.seed + year, type: args.type });
+    if (questions.length === 0) {
+      console.log(`⚠️  Year ${year}: no templates target this year`);
+      return;
+    }
+
+    const outFile = args.out && !args.all
+      ? path.resolve(args.out)
+      : path.join(OUTPUT_DIR, `questions-y${year}-calculations.json`);
+    writeQuestions(outFile, questions);
+    console.log(`✅ Year ${year}: ${questions.length} questions → ${path.relative(process.cwd(), outFile)}`);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
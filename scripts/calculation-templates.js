@@ -0,0 +1,331 @@
+/**
+ * Calculation question templates for the parametric generator.
+ * Each template draws its inputs from a seeded random source, works out the
+ * answer, and lists distractors built from the mistakes apprentices actually
+ * make (wrong constant, skipped conversion, diameter used as radius, ...).
+ *
+ * A template returns:
+ *   { difficulty, question_text, answer, unit, decimals, distractors, explanation, formula }
+ * `placements` maps apprenticeship year -> { section, subtopic } from data/blueprints.json.
+ */
+
+const PI = 3.1416;
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function between(random, min, max, step = 1) {
+  const steps = Math.floor((max - min) / step);
+  return min + Math.floor(random() * (steps + 1)) * step;
+}
+
+export function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function fixed(value, decimals) {
+  return round(value, decimals).toFixed(decimals);
+}
+
+const offset45 = {
+  key: 'offset45',
+  topic: '45° offsets',
+  placements: { 1: { section: 5, subtopic: 'D' }, 2: { section: 5, subtopic: 'A' } },
+  build(random) {
+    const set = between(random, 6, 48, 0.5);
+    const travel = set * 1.414;
+    return {
+      difficulty: 'medium',
+      question_text: `A 45° offset has a set of ${set} inches. What is the travel (centre-to-centre length of the offset pipe)?`,
+      answer: travel,
+      unit: 'in',
+      decimals: 2,
+      distractors: [
+        set * 0.707, // used the run/set constant instead of the travel constant
+        set * 2, // doubled the set
+        set * 1.155, // used the 60° travel constant
+      ],
+      explanation: `For a 45° offset, travel = set × 1.414. Travel = ${set} × 1.414 = ${fixed(travel, 2)} inches. The constant 0.707 gives the set from the travel, not the other way round, and 1.155 is the constant for 60° fittings.`,
+      formula: 'Travel = Set × 1.414 (45°)',
+    };
+  },
+};
+
+const offset60 = {
+  key: 'offset60',
+  topic: '60° offsets',
+  placements: { 1: { section: 5, subtopic: 'D' }, 2: { section: 5, subtopic: 'A' } },
+  build(random) {
+    const set = between(random, 6, 48, 0.5);
+    const askRun = random() < 0.5;
+
+    if (askRun) {
+      const run = set * 0.577;
+      return {
+        difficulty: 'medium',
+        question_text: `A 60° offset has a set of ${set} inches. What is the run (advance) of the offset?`,
+        answer: run,
+        unit: 'in',
+        decimals: 2,
+        distractors: [
+          set * 1.155, // gave the travel instead of the run
+          set, // treated it like a 45° offset (run = set)
+          set * 1.732, // inverted the tangent of 60°
+        ],
+        explanation: `For a 60° offset, run = set × 0.577 (the cotangent of 60°). Run = ${set} × 0.577 = ${fixed(run, 2)} inches. Only on a 45° offset is the run equal to the set.`,
+        formula: 'Run = Set × 0.577 (60°)',
+      };
+    }
+
+    const travel = set * 1.155;
+    return {
+      difficulty: 'medium',
+      question_text: `A 60° offset has a set of ${set} inches. What is the travel (centre-to-centre length of the offset pipe)?`,
+      answer: travel,
+      unit: 'in',
+      decimals: 2,
+      distractors: [
+        set * 1.414, // used the 45° constant
+        set * 0.577, // gave the run instead of the travel
+        set * 2, // used the 30° travel constant
+      ],
+      explanation: `For a 60° offset, travel = set × 1.155 (the cosecant of 60°). Travel = ${set} × 1.155 = ${fixed(travel, 2)} inches. 1.414 is the 45° constant and 2.000 is the 30° constant.`,
+      formula: 'Travel = Set × 1.155 (60°)',
+    };
+  },
+};
+
+const rollingOffset = {
+  key: 'rolling_offset',
+  topic: 'Rolling offsets',
+  placements: { 1: { section: 5, subtopic: 'D' }, 4: { section: 4, subtopic: 'A' } },
+  build(random) {
+    const roll = between(random, 6, 36);
+    const rise = between(random, 6, 36);
+    const trueOffset = Math.sqrt(roll ** 2 + rise ** 2);
+    const travel = trueOffset * 1.414;
+    return {
+      difficulty: 'hard',
+      question_text: `A rolling offset made with 45° fittings has a roll of ${roll} inches and a rise of ${rise} inches. What is the travel?`,
+      answer: travel,
+      unit: 'in',
+      decimals: 2,
+      distractors: [
+        (roll + rise) * 1.414, // added roll and rise instead of using Pythagoras
+        trueOffset, // stopped at the true offset
+        trueOffset * 0.707, // used the wrong 45° constant
+      ],
+      explanation: `First find the true offset with the Pythagorean theorem: √(${roll}² + ${rise}²) = √${roll ** 2 + rise ** 2} = ${fixed(trueOffset, 2)} inches. Then apply the 45° constant: travel = ${fixed(trueOffset, 2)} × 1.414 = ${fixed(travel, 2)} inches. Adding the roll and rise directly overstates the offset.`,
+      formula: 'True offset = √(Roll² + Rise²); Travel = True offset × 1.414',
+    };
+  },
+};
+
+const pipeVolume = {
+  key: 'pipe_volume',
+  topic: 'Pipe volume',
+  placements: { 1: { section: 5, subtopic: 'C' } },
+  build(random) {
+    const diameter = pick(random, [50, 75, 100, 150, 200, 250, 300]);
+    const length = between(random, 5, 60);
+    const radius = diameter / 2000;
+    const cubicMetres = PI * radius ** 2 * length;
+    const litres = cubicMetres * 1000;
+    return {
+      difficulty: 'medium',
+      question_text: `How many litres of water does a ${length} m length of pipe with an inside diameter of ${diameter} mm hold?`,
+      answer: litres,
+      unit: 'L',
+      decimals: 1,
+      distractors: [
+        litres * 4, // used the diameter as the radius
+        cubicMetres, // left the answer in cubic metres
+        litres / 4, // halved the diameter twice
+      ],
+      explanation: `Convert the diameter to metres and halve it: r = ${diameter} mm ÷ 2 = ${diameter / 2} mm = ${radius} m. Volume = π × r² × L = 3.1416 × ${radius}² × ${length} = ${fixed(cubicMetres, 4)} m³. Each cubic metre holds 1000 L, so the pipe holds ${fixed(litres, 1)} L.`,
+      formula: 'V = π × r² × L; 1 m³ = 1000 L',
+    };
+  },
+};
+
+const tankCapacity = {
+  key: 'tank_capacity',
+  topic: 'Tank capacity',
+  placements: { 1: { section: 5, subtopic: 'C' } },
+  build(random) {
+    const diameter = between(random, 2, 8);
+    const height = between(random, 3, 12);
+    const cubicFeet = PI * (diameter / 2) ** 2 * height;
+    const gallons = cubicFeet * 7.48;
+    return {
+      difficulty: 'hard',
+      question_text: `A vertical cylindrical tank is ${diameter} ft in diameter and ${height} ft high. What is its capacity in US gallons? (1 ft³ = 7.48 US gal)`,
+      answer: gallons,
+      unit: 'US gal',
+      decimals: 0,
+      distractors: [
+        cubicFeet, // stopped at cubic feet
+        PI * diameter ** 2 * height * 7.48, // used the diameter as the radius
+        cubicFeet * 6.23, // used imperial gallons per cubic foot
+      ],
+      explanation: `Volume = π × r² × h = 3.1416 × ${diameter / 2}² × ${height} = ${fixed(cubicFeet, 2)} ft³. Capacity = ${fixed(cubicFeet, 2)} × 7.48 = ${fixed(gallons, 0)} US gallons. Using 6.23 would give imperial gallons instead.`,
+      formula: 'V = π × r² × h; US gal = ft³ × 7.48',
+    };
+  },
+};
+
+const gradePercent = {
+  key: 'grade',
+  topic: 'Grade percentage',
+  placements: { 1: { section: 5, subtopic: 'B' } },
+  build(random) {
+    if (random() < 0.5) {
+      const run = between(random, 10, 120, 5);
+      const grade = pick(random, [1, 2, 2.5]);
+      const dropInches = run * 12 * (grade / 100);
+      return {
+        difficulty: 'medium',
+        question_text: `A drain line ${run} ft long must slope at a ${grade}% grade. How much lower is the outlet end than the inlet end, in inches?`,
+        answer: dropInches,
+        unit: 'in',
+        decimals: 2,
+        distractors: [
+          run * (grade / 100), // left the drop in feet
+          run * 12 * grade, // forgot to divide the percentage by 100
+          run * 0.25, // assumed 1/4 in per foot regardless of the grade
+        ],
+        explanation: `Convert the run to inches: ${run} ft × 12 = ${run * 12} in. Drop = run × grade = ${run * 12} × ${grade / 100} = ${fixed(dropInches, 2)} inches.`,
+        formula: 'Drop = Run × (Grade ÷ 100)',
+      };
+    }
+
+    const run = between(random, 5, 40);
+    const drop = between(random, run * 5, run * 40, 5); // roughly 0.5% to 4%
+    const grade = (drop / 1000 / run) * 100;
+    return {
+      difficulty: 'easy',
+      question_text: `A pipe falls ${drop} mm over a horizontal run of ${run} m. What is its grade as a percentage?`,
+      answer: grade,
+      unit: '%',
+      decimals: 2,
+      distractors: [
+        (drop / run) * 100, // mixed millimetres and metres
+        (drop / 10 / run) * 100, // converted the drop to centimetres, not metres
+        (run / (drop / 1000)) / 100, // inverted rise and run
+      ],
+      explanation: `Convert the drop to metres: ${drop} mm = ${drop / 1000} m. Grade = rise ÷ run × 100 = ${drop / 1000} ÷ ${run} × 100 = ${fixed(grade, 2)}%.`,
+      formula: 'Grade % = (Rise ÷ Run) × 100',
+    };
+  },
+};
+
+const conversions = [
+  { from: 'in', to: 'mm', factor: 25.4, wrong: 2.54, range: [1, 48, 0.25], decimals: 1, label: ['inches', 'millimetres'] },
+  { from: 'ft', to: 'm', factor: 0.3048, wrong: 3.281, range: [2, 200], decimals: 3, label: ['feet', 'metres'] },
+  { from: 'psi', to: 'kPa', factor: 6.895, wrong: 0.145, range: [10, 300, 5], decimals: 1, label: ['psi', 'kilopascals'] },
+  { from: 'US gal', to: 'L', factor: 3.785, wrong: 4.546, range: [5, 500, 5], decimals: 1, label: ['US gallons', 'litres'] },
+  { from: 'mm', to: 'in', factor: 1 / 25.4, wrong: 1 / 2.54, range: [10, 600, 5], decimals: 2, label: ['millimetres', 'inches'] },
+];
+
+const unitConversion = {
+  key: 'conversion',
+  topic: 'Metric/imperial conversion',
+  placements: { 1: { section: 5, subtopic: 'A' } },
+  build(random) {
+    const c = pick(random, conversions);
+    const value = between(random, ...c.range);
+    const answer = value * c.factor;
+    const factorText = c.factor < 1 ? `÷ ${fixed(1 / c.factor, 1)}` : `× ${c.factor}`;
+    return {
+      difficulty: 'easy',
+      question_text: `Convert ${value} ${c.label[0]} to ${c.label[1]}.`,
+      answer,
+      unit: c.to,
+      decimals: c.decimals,
+      distractors: [
+        value / c.factor, // divided instead of multiplied
+        value * c.wrong, // used the wrong conversion factor
+        answer * 10, // misplaced the decimal point
+      ],
+      explanation: `${c.label[0][0].toUpperCase()}${c.label[0].slice(1)} to ${c.label[1]}: ${value} ${factorText} = ${fixed(answer, c.decimals)} ${c.to}.`,
+      formula: `1 ${c.from} = ${fixed(c.factor, 4)} ${c.to}`,
+    };
+  },
+};
+
+const pressureHead = {
+  key: 'pressure_head',
+  topic: 'Pressure head',
+  placements: { 1: { section: 5, subtopic: 'F' } },
+  build(random) {
+    const variant = pick(random, ['head_to_psi', 'psi_to_head', 'metres_to_kpa']);
+
+    if (variant === 'head_to_psi') {
+      const head = between(random, 10, 250, 5);
+      const psi = head * 0.433;
+      return {
+        difficulty: 'medium',
+        question_text: `What static pressure does a ${head} ft column of water exert at its base, in psi?`,
+        answer: psi,
+        unit: 'psi',
+        decimals: 1,
+        distractors: [
+          head * 2.31, // used the psi-to-head constant
+          (head / 12) * 0.433, // treated the head as inches
+          head, // assumed 1 psi per foot
+        ],
+        explanation: `Each foot of water column exerts 0.433 psi. Pressure = ${head} × 0.433 = ${fixed(psi, 1)} psi.`,
+        formula: 'psi = Head (ft) × 0.433',
+      };
+    }
+
+    if (variant === 'psi_to_head') {
+      const psi = between(random, 5, 150, 5);
+      const head = psi * 2.31;
+      return {
+        difficulty: 'medium',
+        question_text: `A pressure gauge at the bottom of a riser reads ${psi} psi with no flow. How high is the water column above the gauge, in feet?`,
+        answer: head,
+        unit: 'ft',
+        decimals: 1,
+        distractors: [
+          psi * 0.433, // used the head-to-psi constant
+          psi * 2.31 * 12, // gave the head in inches
+          psi, // assumed 1 ft per psi
+        ],
+        explanation: `One psi supports 2.31 ft of water. Head = ${psi} × 2.31 = ${fixed(head, 1)} ft.`,
+        formula: 'Head (ft) = psi × 2.31',
+      };
+    }
+
+    const metres = between(random, 3, 80);
+    const kpa = metres * 9.81;
+    return {
+      difficulty: 'medium',
+      question_text: `What static pressure does a ${metres} m column of water exert at its base, in kPa?`,
+      answer: kpa,
+      unit: 'kPa',
+      decimals: 1,
+      distractors: [
+        metres * 0.433, // used the imperial psi constant
+        metres / 9.81, // divided by the constant
+        metres * 98.1, // used bar-to-kPa instead of 9.81 kPa per metre
+      ],
+      explanation: `Each metre of water column exerts about 9.81 kPa. Pressure = ${metres} × 9.81 = ${fixed(kpa, 1)} kPa.`,
+      formula: 'kPa = Head (m) × 9.81',
+    };
+  },
+};
+
+export const TEMPLATES = [
+  offset45,
+  offset60,
+  rollingOffset,
+  pipeVolume,
+  tankCapacity,
+  gradePercent,
+  unitConversion,
+  pressureHead,
+];
@@ -0,0 +1,287 @@
+/**
+ * Adapter Conformance Suite
+ * Runs the same checks against any data-access adapter (src/api/*Client.js)
+ * so local, Supabase and REST stay interchangeable. Adapters are loaded
+ * through Vite, so `@/` imports, import.meta.env and content packs resolve
+ * exactly as they do in the app.
+ *
+ * Usage:
+ *   node scripts/check-adapter.js [local|supabase|rest] [--url http://localhost:5000]
+ *                                 [--email you@example.com --password secret] [--year 4]
+ *
+ * local     runs against an in-memory localStorage (nothing on disk is touched)
+ * supabase  needs VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY and --email/--password
+ * rest      needs a running server (--url, default http://localhost:5000) and --email/--password
+ * --year    the year whose progress, session and attempts get written and
+ *           deleted (default 4). Use a throwaway account: that year's data is wiped.
+ */
+
+import assert from 'assert/strict';
+import { createServer } from 'vite';
+
+function parseArgs(argv) {
+  const args = { backend: 'local', url: 'http://localhost:5000', email: null, password: null, year: 4 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--email') args.email = argv[++i];
+    else if (arg === '--password') args.password = argv[++i];
+    else if (arg === '--year') args.year = parseInt(argv[++i]);
+    else if (!arg.startsWith('--')) args.backend = arg;
+  }
+  return args;
+}
+
+function installLocalStorage() {
+  const store = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear(),
+  };
+}
+
+// Node's fetch has no cookie jar or page origin; the REST adapter relies on both
+function installFetch(baseUrl) {
+  const nodeFetch = globalThis.fetch;
+  let cookie = null;
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(input, baseUrl);
+    const headers = { ...(init.headers || {}), ...(cookie ? { Cookie: cookie } : {}) };
+    const response = await nodeFetch(url, { ...init, headers });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return response;
+  };
+}
+
+const ADAPTER_MODULES = {
+  local: '/src/api/localClient.js',
+  supabase: '/src/api/supabaseClient.js',
+  rest: '/src/api/restClient.js',
+};
+
+function buildChecks(api, { year }) {
+  const otherYear = year === 1 ? 2 : 1;
+  const state = {};
+
+  return [
+    ['auth.me returns the signed-in user', async () => {
+      const user = await api.auth.me();
+      assert.ok(user, 'expected a user (sign in with --email/--password)');
+      assert.equal(typeof user.email, 'string');
+      assert.ok('selected_year' in user, 'user has selected_year');
+      state.user = user;
+    }],
+
+    ['auth.updateMe stores selected_year', async () => {
+      const previous = state.user.selected_year;
+      const updated = await api.auth.updateMe({ selected_year: otherYear });
+      assert.equal(updated.selected_year, otherYear);
+      assert.equal((await api.auth.me()).selected_year, otherYear);
+      if (previous != null) await api.auth.updateMe({ selected_year: previous });
+    }],
+
+    ['Question.filter returns only the requested year', async () => {
+      const questions = await api.entities.Question.filter({ year: 1 });
+      assert.ok(Array.isArray(questions));
+      assert.ok(questions.length > 0, 'expected Year 1 questions');
+      assert.ok(questions.every((q) => q.year === 1), 'every question is Year 1');
+      state.section = questions[0].section;
+    }],
+
+    ['Question.filter narrows by section', async () => {
+      const questions = await api.entities.Question.filter({ year: 1, section: state.section });
+      assert.ok(questions.length > 0);
+      assert.ok(questions.every((q) => q.section === state.section));
+    }],
+
+    ['UserProgress starts empty for the scratch year', async () => {
+      const [existing] = await api.entities.UserProgress.filter({ created_by: state.user.email, year });
+      if (existing) await api.entities.UserProgress.delete(existing.id, year);
+      assert.deepEqual(await api.entities.UserProgress.filter({ created_by: state.user.email, year }), []);
+    }],
+
+    ['UserProgress.create / filter round-trip', async () => {
+      const created = await api.entities.UserProgress.create({ year, total_questions_answered: 3, bookmarked_questions: ['q1'] });
+      assert.ok(created.id, 'created record has an id');
+      const [found] = await api.entities.UserProgress.filter({ created_by: state.user.email, year });
+      assert.equal(found?.id, created.id);
+      assert.equal(found.total_questions_answered, 3);
+      state.progressId = created.id;
+    }],
+
+    ['UserProgress is kept per year', async () => {
+      const other = await api.entities.UserProgress.filter({ created_by: state.user.email, year: otherYear });
+      assert.ok(other.every((p) => p.id !== state.progressId), `Year ${year} record leaked into Year ${otherYear}`);
+    }],
+
+    ['UserProgress.update merges fields and drops _year', async () => {
+      await api.entities.UserProgress.update(state.progressId, { bookmarked_questions: [], _year: year });
+      const [found] = await api.entities.UserProgress.filter({ created_by: state.user.email, year });
+      assert.deepEqual(found.bookmarked_questions, []);
+      assert.equal(found.total_questions_answered, 3, 'untouched fields survive');
+      assert.ok(!('_year' in found), '_year is not stored');
+    }],
+
+    ['UserProgress keeps every progress field through create / update / filter', async () => {
+      const fields = {
+        total_questions_answered: 10,
+        total_correct: 7,
+        section_stats: { 1: { answered: 10, correct: 7 } },
+        weak_questions: ['q2'],
+        best_score: 70,
+        study_streak_days: 2,
+        last_study_date: '2026-01-02',
+        review_schedule: { q2: { interval: 1, due: '2026-01-03' } },
+      };
+      await api.entities.UserProgress.update(state.progressId, { ...fields, _year: year });
+      await api.entities.UserProgress.update(state.progressId, {
+        confident_misses: ['q3'],
+        merged_guest_ids: ['guest-1'],
+        guide_progress: { g1: { percent: 40, position: 0.4 } },
+        _year: year,
+      });
+      const [found] = await api.entities.UserProgress.filter({ created_by: state.user.email, year });
+      assert.equal(found?.id, state.progressId);
+      assert.equal(found.year, year);
+      Object.entries(fields).forEach(([field, value]) => assert.deepEqual(found[field], value, field));
+      assert.deepEqual(found.confident_misses, ['q3']);
+      assert.deepEqual(found.merged_guest_ids, ['guest-1']);
+      assert.deepEqual(found.guide_progress, { g1: { percent: 40, position: 0.4 } });
+    }],
+
+    ['UserProgress.delete removes the record', async () => {
+      await api.entities.UserProgress.delete(state.progressId, year);
+      assert.deepEqual(await api.entities.UserProgress.filter({ created_by: state.user.email, year }), []);
+    }],
+
+    ['QuizSession save / get / delete', async () => {
+      await api.entities.QuizSession.delete(year);
+      assert.equal(await api.entities.QuizSession.get({ year }), null);
+      const saved = await api.entities.QuizSession.save({ year, mode: 'practice', current_index: 2 });
+      assert.ok(saved.id);
+      const resaved = await api.entities.QuizSession.save({ ...saved, current_index: 3 });
+      assert.equal(resaved.id, saved.id, 'saving again keeps the same session');
+      const found = await api.entities.QuizSession.get({ year });
+      assert.equal(found?.current_index, 3);
+      await api.entities.QuizSession.delete(year);
+      assert.equal(await api.entities.QuizSession.get({ year }), null);
+    }],
+
+    ['QuizAttempt.create / filter, newest first', async () => {
+      const first = await api.entities.QuizAttempt.create({ year, mode: 'practice', score_percentage: 60 });
+      const second = await api.entities.QuizAttempt.create({ year, mode: 'practice', score_percentage: 80 });
+      assert.ok(first.id && second.id && first.id !== second.id, 'attempts get distinct ids');
+      const attempts = await api.entities.QuizAttempt.filter({ year });
+      const ids = attempts.map((a) => a.id);
+      assert.ok(ids.indexOf(second.id) < ids.indexOf(first.id), 'newest attempt comes first');
+      assert.ok(attempts.every((a) => a.year === year));
+    }],
+
+    ['Year 0 (cumulative) records are kept apart', async () => {
+      const [existing] = await api.entities.UserProgress.filter({ created_by: state.user.email, year: 0 });
+      if (existing) await api.entities.UserProgress.delete(existing.id, 0);
+      const created = await api.entities.UserProgress.create({ year: 0, quizzes_completed: 1 });
+      const [found] = await api.entities.UserProgress.filter({ created_by: state.user.email, year: 0 });
+      assert.equal(found?.id, created.id);
+      const [yearRecord] = await api.entities.UserProgress.filter({ created_by: state.user.email, year });
+      assert.ok(yearRecord?.id !== created.id, `Year 0 record leaked into Year ${year}`);
+      const attempt = await api.entities.QuizAttempt.create({ year: 0, mode: 'cumulative', score_percentage: 70 });
+      assert.ok((await api.entities.QuizAttempt.filter({ year: 0 })).some((a) => a.id === attempt.id));
+      assert.ok((await api.entities.QuizAttempt.filter({ year })).every((a) => a.id !== attempt.id));
+      await api.entities.UserProgress.delete(created.id, 0);
+    }],
+
+    ['QuizPreset.create / filter / delete', async () => {
+      const preset = await api.entities.QuizPreset.create({ year, name: 'Check', question_ids: ['q1', 'q2'], difficulty: 'mixed' });
+      assert.ok(preset.id, 'created preset has an id');
+      let presets = await api.entities.QuizPreset.filter({ year });
+      const found = presets.find((p) => p.id === preset.id);
+      assert.deepEqual(found?.question_ids, ['q1', 'q2']);
+      assert.ok(presets.every((p) => p.year === year));
+      await api.entities.QuizPreset.delete(preset.id, year);
+      presets = await api.entities.QuizPreset.filter({ year });
+      assert.ok(presets.every((p) => p.id !== preset.id), 'deleted preset is gone');
+    }],
+
+    ['studyGuides return lists', async () => {
+      const guides = await api.studyGuides.getByYear(1);
+      assert.ok(Array.isArray(guides));
+      const section = await api.studyGuides.getByYearAndSection(1, 1);
+      assert.ok(Array.isArray(section));
+      assert.ok(section.every((g) => g.section === 1));
+    }],
+
+    ['contentPacks.list returns pack descriptions', async () => {
+      const packs = await api.contentPacks.list(1);
+      assert.ok(Array.isArray(packs));
+      packs.forEach((pack) => {
+        assert.equal(pack.year, 1);
+        assert.ok(pack.id && pack.version, `pack ${pack.id} has id and version`);
+      });
+    }],
+  ];
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!ADAPTER_MODULES[args.backend]) {
+    console.error(`❌ Unknown adapter "${args.backend}" (use local, supabase or rest)`);
+    process.exit(1);
+  }
+
+  installLocalStorage();
+  if (args.backend === 'rest') installFetch(args.url);
+
+  const vite = await createServer({
+    server: { middlewareMode: true, hmr: false, ws: false },
+    appType: 'custom',
+    logLevel: 'error',
+    optimizeDeps: { noDiscovery: true, entries: [] },
+  });
+  let failed = 0;
+
+  try {
+    const { missingMethods } = await vite.ssrLoadModule('/src/api/adapterInterface.js');
+    const { api } = await vite.ssrLoadModule(ADAPTER_MODULES[args.backend]);
+    console.log(`🔌 Checking the ${args.backend} adapter`);
+
+    const missing = missingMethods(api);
+    if (missing.length > 0) {
+      console.log(`  ❌ missing methods: ${missing.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log('  ✅ implements every interface method');
+
+    if (args.email && args.password) {
+      await api.auth.signIn(args.email, args.password);
+    }
+
+    for (const [name, check] of buildChecks(api, args)) {
+      try {
+        await check();
+        console.log(`  ✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`  ❌ ${name}\n     ${error.message}`);
+        if (name.startsWith('auth.me')) {
+          console.log('     every other check needs a signed-in user, stopping');
+          break;
+        }
+      }
+    }
+  } finally {
+    await vite.close();
+  }
+
+  console.log(failed === 0 ? '\n✅ Adapter conforms' : `\n❌ ${failed} check(s) failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('❌', error);
+  process.exit(1);
+});
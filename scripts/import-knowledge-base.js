@@ -0,0 +1,523 @@
+/**
+ * Knowledge Base Importer
+ * Turns the consolidated Steamfitter / Pipefitter knowledge base Markdown
+ * (attached_assets/steamfitter-pipefitter-knowledge-base_*.md) into content
+ * packs: study guides split at its headings, and the numbered multiple-choice
+ * items of its entrance-exam study guide in the standard question JSON format.
+ *
+ * The knowledge base is text extracted from PDFs, so items come out
+ * incomplete: stems cut off, options lost, figures missing. A question only
+ * goes into the pack with a stem, options A-D, an answer-key entry, a
+ * curriculum section and no diagram the app can't show. Its source gives
+ * only the answer letter, so each also needs a worked explanation, a
+ * difficulty and a subtopic from a person. The rest are written with the
+ * reasons to attached_assets/knowledge-base-review-y{N}.json, for manual
+ * review; it stays out of data/, where every JSON file is bundled.
+ * The packs are added to data/manifest.json (existing entries keep their
+ * version); a questions pack with nothing ready is left out.
+ *
+ * Usage:
+ *   node scripts/import-knowledge-base.js [file.md] [--year 1] [--out data/knowledge-base] [--dry-run]
+ *
+ * file       defaults to the newest knowledge base in attached_assets/
+ * --year     year the guides and questions belong to (default 1)
+ * --out      output directory, inside data/ (default data/knowledge-base)
+ * --dry-run  print the summary without writing anything
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateQuestion } from '../src/lib/questionSchema.js';
+import { extractHeadings, slugify } from '../src/lib/guideOutline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const ASSETS_DIR = path.join(ROOT_DIR, 'attached_assets');
+const MANIFEST_FILE = path.join(DATA_DIR, 'manifest.json');
+const blueprints = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'blueprints.json'), 'utf8'));
+
+const KNOWLEDGE_BASE = /^steamfitter-pipefitter-knowledge-base.*\.md$/;
+const SOURCE_LINE = /^\*Source:\s*(.+?)\*$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const SECTION_HEADING = /^SECTION\s+[A-Z]+:\s*(.+)$/i;
+const QUESTION_START = /^(\d{1,3})\.\s+(\S[\s\S]*)$/;
+const OPTIONS = /^A\.\s*([\s\S]+?)\s+B\.\s*([\s\S]+?)\s+C\.\s*([\s\S]+?)\s+D\.\s*([\s\S]+?)\s*$/;
+const ANSWER_PAIR = /(\d{1,3})\.?\s+([A-D])\b/g;
+const DIAGRAM = /\bdiagram\s+\d+/i;
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+// Entrance-exam subjects that belong in the curriculum; English and reading
+// comprehension has no section in any year's blueprint
+const CALCULATION_SUBJECTS = ['mathematics', 'science'];
+
+// Short guides are folded into the one before as a subsection
+const MIN_GUIDE_WORDS = 120;
+// Lines repeated this often are page headers and footers, not content
+const FURNITURE_REPEATS = 3;
+// Guides without headings of their own are split into parts around this size
+const MAX_GUIDE_WORDS = 8000;
+// Paragraphs a stem may run on for before its options are given up on
+const MAX_STEM_PARAGRAPHS = 4;
+
+function parseArgs(argv) {
+  const args = { file: null, year: 1, out: path.join(DATA_DIR, 'knowledge-base'), dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--year') args.year = parseInt(argv[++i]);
+    else if (arg === '--out') args.out = path.resolve(argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (!arg.startsWith('--')) args.file = path.resolve(arg);
+  }
+  return args;
+}
+
+function findKnowledgeBase() {
+  if (!fs.existsSync(ASSETS_DIR)) return null;
+  const [newest] = fs.readdirSync(ASSETS_DIR)
+    .filter((name) => KNOWLEDGE_BASE.test(name))
+    .map((name) => path.join(ASSETS_DIR, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return newest || null;
+}
+
+const oneLine = (text) => text.replace(/\s+/g, ' ').trim();
+
+// "077_Entrance_Study_Guide" → "077 Entrance Study Guide", "piping-handbook" → "Piping Handbook"
+function sourceTitle(source) {
+  return source
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b[a-z]/g, (c) => c.toUpperCase())
+    .replace(/\bEsm\b/, 'ESM')
+    .replace(/\bBps\b/, 'BPS');
+}
+
+const ACRONYMS = new Set(['NOC', 'NOA', 'TSI', 'ESM', 'MSDS', 'WHMIS']);
+
+// The PDF extraction left most headings in capitals
+function tidyTitle(text) {
+  const title = oneLine(text).replace(/[.:\s]+$/, '');
+  if (title !== title.toUpperCase()) return title;
+  return title.replace(/[A-Z]+/g, (word, offset) => {
+    if (ACRONYMS.has(word)) return word;
+    const lower = word.toLowerCase();
+    return offset === 0 || /[\s(/–-]/.test(title[offset - 1]) ? lower[0].toUpperCase() + lower.slice(1) : lower;
+  });
+}
+
+/**
+ * Paragraphs of the document in order: { text, level, line, source }.
+ * `level` is the heading depth (0 for body text). Each `*Source: …*` line
+ * names the source of the paragraphs since the previous one, and is dropped.
+ */
+function readParagraphs(markdown) {
+  const paragraphs = [];
+  let unsourced = [];
+  let current = null;
+
+  markdown.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) {
+      current = null;
+      return;
+    }
+    const source = line.match(SOURCE_LINE);
+    if (source) {
+      unsourced.forEach((p) => { p.source = source[1].trim(); });
+      unsourced = [];
+      current = null;
+      return;
+    }
+    const heading = line.match(HEADING);
+    if (current && !heading) {
+      current.text += `\n${line}`;
+      return;
+    }
+    const paragraph = {
+      text: heading ? heading[2].trim() : line,
+      level: heading ? heading[1].length : 0,
+      line: index + 1,
+      source: null,
+    };
+    paragraphs.push(paragraph);
+    unsourced.push(paragraph);
+    current = heading ? null : paragraph;
+  });
+
+  return paragraphs;
+}
+
+// Page numbers aside, running headers repeat word for word
+const furnitureKey = (text) => oneLine(text).toLowerCase().replace(/\d+/g, '#');
+
+function findFurniture(paragraphs) {
+  const counts = new Map();
+  paragraphs.forEach((p) => {
+    if (p.level > 0 || p.text.length > 100) return;
+    const key = furnitureKey(p.text);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return new Set([...counts].filter(([, count]) => count >= FURNITURE_REPEATS).map(([key]) => key));
+}
+
+function parseAnswerKey(text) {
+  const pairs = [...text.matchAll(ANSWER_PAIR)];
+  if (pairs.length < 5 || text.replace(ANSWER_PAIR, '').trim() !== '') return null;
+  return new Map(pairs.map(([, number, letter]) => [parseInt(number), letter]));
+}
+
+function parseOptions(text) {
+  const match = oneLine(text).match(OPTIONS);
+  return match ? match.slice(1).map((option) => option.trim()) : null;
+}
+
+// A stem with its options run into the same paragraph: "… to a stop? A. Friction. B. …"
+function splitInlineOptions(text) {
+  const flat = oneLine(text);
+  for (const match of flat.matchAll(/\sA\.\s/g)) {
+    const options = parseOptions(flat.slice(match.index));
+    if (options) return { stem: flat.slice(0, match.index), options };
+  }
+  return { stem: flat, options: null };
+}
+
+/**
+ * Numbered multiple-choice items, grouped by source (numbering restarts in
+ * each source document) and matched to that source's answer key.
+ * Returns { items, keys }; each item is
+ * { source, subject, number, stem, options, line, numbered }.
+ */
+function extractItems(paragraphs, furniture) {
+  const items = [];
+  const keys = new Map();
+  const lastNumber = new Map();
+  let subject = null;
+  let subjectSource = null;
+  let open = null;
+
+  const close = () => { open = null; };
+  const add = (item) => {
+    items.push(item);
+    if (item.subject) lastNumber.set(item.source, item.number);
+    return item;
+  };
+
+  paragraphs.forEach((p) => {
+    const text = oneLine(p.text);
+    const section = p.level > 0 && text.match(SECTION_HEADING);
+    if (section) {
+      subject = section[1].trim().toLowerCase();
+      subjectSource = p.source;
+      close();
+      return;
+    }
+    if (p.source !== subjectSource) subject = null;
+
+    const answerKey = parseAnswerKey(text);
+    if (answerKey) {
+      keys.set(p.source, new Map([...(keys.get(p.source) || []), ...answerKey]));
+      close();
+      return;
+    }
+
+    const start = text.match(QUESTION_START);
+    if (start && !parseOptions(text)) {
+      const { stem, options } = splitInlineOptions(start[2]);
+      open = add({ source: p.source, subject, number: parseInt(start[1]), stem, options, line: p.line, numbered: true, parts: 1 });
+      if (options) close();
+      return;
+    }
+
+    const options = parseOptions(text);
+    if (options) {
+      if (open && !open.options && open.source === p.source) {
+        open.options = options;
+      } else {
+        // Options whose stem was lost; numbered by position
+        add({ source: p.source, subject, number: (lastNumber.get(p.source) || 0) + 1, stem: '', options, line: p.line, numbered: false });
+      }
+      close();
+      return;
+    }
+
+    if (!open) return;
+    if (p.level > 0 || open.source !== p.source || open.parts >= MAX_STEM_PARAGRAPHS) {
+      close();
+      return;
+    }
+    if (furniture.has(furnitureKey(text))) return;
+    open.stem = `${open.stem} ${text}`;
+    open.parts++;
+  });
+
+  return { items, keys };
+}
+
+/**
+ * Questions ready for the pack, and review entries with the reasons the rest
+ * need a person to look at them. Numbered items with neither options nor an
+ * answer-key entry aren't multiple choice (worksheets, forms) and are skipped.
+ */
+function buildQuestions(items, keys, { year }) {
+  const blueprint = blueprints[year];
+  const section = blueprint.sections.find((s) => s.num === blueprint.calculations_section);
+  const questions = [];
+  const review = [];
+  let skipped = 0;
+
+  items.forEach((item) => {
+    // Outside a subject section, numbered lists are instructions and tips
+    const answer = item.subject ? keys.get(item.source)?.get(item.number) || null : null;
+    if (!item.options && !answer) {
+      skipped++;
+      return;
+    }
+
+    const reasons = [];
+    if (!item.numbered) reasons.push('question stem missing from the source (numbered by position)');
+    else if (!item.stem) reasons.push('question stem is empty');
+    if (!item.options) reasons.push('options A-D missing from the source');
+    if (!answer) reasons.push('no answer-key entry');
+    if (DIAGRAM.test(item.stem)) reasons.push('refers to a diagram that is not included');
+    if (!CALCULATION_SUBJECTS.includes(item.subject)) {
+      reasons.push(`no curriculum section for ${item.subject ? `"${item.subject}"` : 'items outside a subject section'}`);
+    }
+    // The answer key is all the source has to say about an item
+    reasons.push('needs a worked explanation, difficulty and subtopic');
+
+    const id = `y${year}_kb_${slugify(sourceTitle(item.source || 'unknown')).replace(/-/g, '_')}_q${item.number}`;
+    const question = {
+      id,
+      year,
+      section: section.num,
+      section_name: section.name,
+      question_text: item.stem,
+      ...Object.fromEntries((item.options || []).map((option, i) => [`option_${LETTERS[i].toLowerCase()}`, option])),
+      correct_answer: answer || '',
+      explanation: '',
+      reference: `${sourceTitle(item.source)}, question ${item.number}`,
+    };
+
+    if (reasons.length === 0) {
+      const problems = validateQuestion(question);
+      if (problems.length > 0) reasons.push(...problems);
+    }
+    if (reasons.length > 0) {
+      review.push({ id, source: item.source, subject: item.subject, number: item.number, line: item.line, reasons, question });
+      return;
+    }
+    questions.push(question);
+  });
+
+  return { questions, review, skipped };
+}
+
+// Question and option lines, answer keys, fill-in blanks and dotted leaders
+// were turned into headings by the extraction; they are body text
+function isGuideHeading(text) {
+  const flat = oneLine(text);
+  return !QUESTION_START.test(flat) &&
+    !/^\(?\d+[.)]/.test(flat) &&
+    !parseOptions(flat) &&
+    !parseAnswerKey(flat) &&
+    !/_{3,}|…|\.{4,}/.test(flat) &&
+    (flat.match(/[a-z]/gi) || []).length >= 4;
+}
+
+const wordCount = (blocks) => blocks.join(' ').split(/\s+/).filter(Boolean).length;
+
+// Guides without headings of their own would be too long to read in one go
+function splitLongGuide(guide) {
+  if (wordCount(guide.blocks) <= MAX_GUIDE_WORDS) return [guide];
+  const parts = [];
+  let blocks = [];
+  let words = 0;
+  guide.blocks.forEach((block) => {
+    const size = wordCount([block]);
+    if (words > 0 && words + size > MAX_GUIDE_WORDS) {
+      parts.push(blocks);
+      blocks = [];
+      words = 0;
+    }
+    blocks.push(block);
+    words += size;
+  });
+  parts.push(blocks);
+  return parts.map((partBlocks, i) => ({
+    ...guide,
+    title: `${guide.title} (part ${i + 1} of ${parts.length})`,
+    blocks: partBlocks,
+  }));
+}
+
+// Extracted text is prose, not Markdown math: "$4.65 B. $6.05" is two prices
+const escapeMath = (text) => text.replace(/\$/g, '\\$');
+
+/**
+ * Study guides split at the document's headings. A new source document starts
+ * a new guide even without a heading; repeated headings continue the guide.
+ * Guides too short to stand alone become a subsection of the one before (or
+ * open the next one, at the start of a source), and very long ones are split
+ * into parts.
+ */
+function buildGuides(paragraphs, furniture, { year }) {
+  const blueprint = blueprints[year];
+  const sections = [];
+  let current = null;
+
+  const start = (title, source, subject = null) => {
+    current = { title, source, subject, blocks: [] };
+    sections.push(current);
+  };
+
+  paragraphs.forEach((p) => {
+    if (p.level === 1 || /^-{3,}$/.test(p.text)) return;
+    if (p.level > 1 && isGuideHeading(p.text)) {
+      const title = tidyTitle(p.text);
+      const subject = oneLine(p.text).match(SECTION_HEADING)?.[1].trim().toLowerCase() || null;
+      if (current?.title !== title) start(title, p.source, subject);
+      return;
+    }
+    if (!current) return;
+    if (p.source && current.source && p.source !== current.source) start(sourceTitle(p.source), p.source);
+    if (p.level === 0 && furniture.has(furnitureKey(p.text))) return;
+    current.blocks.push(p.level > 0 ? oneLine(p.text) : p.text);
+  });
+
+  const guides = [];
+  let carried = null;
+  sections.forEach((section) => {
+    const previous = guides[guides.length - 1];
+    if (section.blocks.length === 0) return;
+    const short = wordCount(section.blocks) < MIN_GUIDE_WORDS;
+    if (short && previous?.source === section.source) {
+      previous.blocks.push(`### ${section.title}`, ...section.blocks);
+      return;
+    }
+    if (carried?.source === section.source) {
+      section.blocks.unshift(...carried.blocks);
+    } else if (carried) {
+      guides.push(carried);
+    }
+    carried = null;
+    if (short) carried = section;
+    else guides.push(section);
+  });
+  if (carried) guides.push(carried);
+
+  const usedIds = new Map();
+  return guides.flatMap(splitLongGuide).map((guide) => {
+    const base = `kb-y${year}-${slugify(guide.title)}`;
+    const seen = usedIds.get(base) || 0;
+    usedIds.set(base, seen + 1);
+    const content = escapeMath(guide.blocks.join('\n\n'));
+    const calculations = CALCULATION_SUBJECTS.includes(guide.subject);
+    return {
+      id: seen === 0 ? base : `${base}-${seen + 1}`,
+      year,
+      section: calculations ? blueprint.calculations_section : null,
+      title: guide.title,
+      content,
+      topics: extractHeadings(content).map((h) => h.text),
+      source: guide.source,
+      source_title: guide.source ? sourceTitle(guide.source) : null,
+    };
+  });
+}
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+function updateManifest(packs, removedIds = []) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  manifest.packs = manifest.packs.filter((p) => !removedIds.includes(p.id));
+  packs.forEach((pack) => {
+    const index = manifest.packs.findIndex((p) => p.id === pack.id);
+    if (index === -1) manifest.packs.push(pack);
+    else manifest.packs[index] = { ...pack, version: manifest.packs[index].version };
+  });
+  writeJson(MANIFEST_FILE, manifest);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const file = args.file || findKnowledgeBase();
+  if (!file || !fs.existsSync(file)) {
+    console.error(`❌ Knowledge base not found${args.file ? `: ${args.file}` : ' in attached_assets/'}`);
+    process.exit(1);
+  }
+  if (!blueprints[args.year]) {
+    console.error(`❌ No blueprint for year ${args.year}`);
+    process.exit(1);
+  }
+  if (!args.out.startsWith(DATA_DIR)) {
+    console.error('❌ --out must be inside data/ so the packs can be loaded');
+    process.exit(1);
+  }
+
+  console.log(`📚 Importing ${path.relative(process.cwd(), file)} into Year ${args.year}`);
+  const paragraphs = readParagraphs(fs.readFileSync(file, 'utf8'));
+  const furniture = findFurniture(paragraphs);
+
+  const guides = buildGuides(paragraphs, furniture, args);
+  const { items, keys } = extractItems(paragraphs, furniture);
+  const { questions, review, skipped } = buildQuestions(items, keys, args);
+
+  console.log(`  📖 ${guides.length} study guides`);
+  console.log(`  ✅ ${questions.length} questions ready`);
+  console.log(`  🔎 ${review.length} questions flagged for review`);
+  console.log(`  ⏭️  ${skipped} numbered items without options or answer key skipped`);
+  review.forEach((entry) => {
+    console.log(`     - ${entry.source} #${entry.number} (line ${entry.line}): ${entry.reasons.join('; ')}`);
+  });
+
+  if (args.dryRun) {
+    console.log('\nDry run, nothing written');
+    return;
+  }
+
+  const outDir = path.relative(DATA_DIR, args.out);
+  const guidesFile = path.join(outDir, `study-guides-y${args.year}.json`);
+  const questionsFile = path.join(outDir, `questions-y${args.year}.json`);
+  const sourceName = path.basename(file);
+
+  const questionsPack = {
+    id: `y${args.year}-kb-entrance`,
+    type: 'questions',
+    year: args.year,
+    version: '1.0.0',
+    source: 'Steamfitter / Pipefitter knowledge base, entrance exam study guide items with an answer key',
+    file: questionsFile,
+  };
+
+  writeJson(path.join(DATA_DIR, guidesFile), { study_guides: guides });
+  if (questions.length > 0) writeJson(path.join(DATA_DIR, questionsFile), questions);
+  else fs.rmSync(path.join(DATA_DIR, questionsFile), { force: true });
+  const reviewFile = path.join(ASSETS_DIR, `knowledge-base-review-y${args.year}.json`);
+  writeJson(reviewFile, { source: sourceName, review });
+  updateManifest([
+    {
+      id: `y${args.year}-kb-guides`,
+      type: 'study_guides',
+      year: args.year,
+      version: '1.0.0',
+      source: 'Steamfitter / Pipefitter knowledge base, split into guides by heading',
+      file: guidesFile,
+    },
+    ...(questions.length > 0 ? [questionsPack] : []),
+  ], questions.length > 0 ? [] : [questionsPack.id]);
+
+  console.log(questions.length > 0
+    ? `\n✅ Wrote data/${guidesFile} and data/${questionsFile}; manifest updated`
+    : `\n✅ Wrote data/${guidesFile}; no questions ready, so no questions pack; manifest updated`);
+  console.log(`   Review list: ${path.relative(process.cwd(), reviewFile)}`);
+  console.log('   Run npm run validate-questions to check the bank');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
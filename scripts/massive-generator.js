@@ -0,0 +1,38 @@
+/**
+ * Massive Question Generator
+ * Runs the parametric generator across every year with a template placement
+ * and writes one combined bank of multiple-choice and numeric-entry questions.
+ *
+ * Usage:
+ *   node scripts/massive-generator.js [--count 100] [--seed 42] [--out file.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateQuestions, parseArgs, writeQuestions } from './advanced-question-generator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../data');
+const DEFAULT_OUTPUT = path.join(DATA_DIR, 'generated', 'questions-massive-calculations.json');
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const count = process.argv.includes('--count') ? args.count : 100;
+  const blueprints = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'blueprints.json'), 'utf8'));
+
+  console.log(`🚀 Generating massive calculation bank (${count} per template, seed ${args.seed})`);
+
+  const all = [];
+  Object.keys(blueprints).map(Number).forEach((year) => {
+    const questions = generateQuestions({ year, count, seed: args.seed + year, type: 'mixed' });
+    console.log(`📊 Year ${year}: ${questions.length} questions`);
+    all.push(...questions);
+  });
+
+  const outFile = args.out ? path.resolve(args.out) : DEFAULT_OUTPUT;
+  writeQuestions(outFile, all);
+  console.log(`\n🎉 ${all.length} questions → ${path.relative(process.cwd(), outFile)}`);
+}
+
+main();
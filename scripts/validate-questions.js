@@ -0,0 +1,235 @@
+/**
+ * Question Bank Validator
+ * Checks every question file against the schema in src/lib/questionSchema.js
+ * and the year blueprints, then prints a coverage report.
+ *
+ * Errors (exit code 1): schema violations, sections or subtopics missing from
+ * the year's blueprint, duplicate IDs.
+ * Warnings: missing subtopic codes, section names that differ from the
+ * blueprint, near-duplicate question stems, question files under data/ that
+ * data/manifest.json doesn't list (the app never loads them).
+ *
+ * Usage:
+ *   node scripts/validate-questions.js [files...] [--strict] [--no-coverage]
+ *
+ * With no files, every question file under data/ is checked.
+ * --strict  treat warnings as errors
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateQuestion } from '../src/lib/questionSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../data');
+const blueprints = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'blueprints.json'), 'utf8'));
+const manifest = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'manifest.json'), 'utf8'));
+const NON_QUESTION_FILES = ['blueprints.json', 'manifest.json'];
+
+const NEAR_DUPLICATE_THRESHOLD = 0.8;
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'what', 'which', 'is', 'are', 'of', 'to', 'in', 'on', 'for', 'and', 'or',
+  'does', 'do', 'when', 'how', 'be', 'by', 'with', 'as', 'at', 'that', 'this', 'it', 'its', 'used'
+]);
+
+function findQuestionFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findQuestionFiles(fullPath);
+    if (!entry.name.endsWith('.json') || NON_QUESTION_FILES.includes(entry.name)) return [];
+    return [fullPath];
+  });
+}
+
+function loadQuestions(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.questions)) return data.questions;
+  return null;
+}
+
+function stemTokens(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9.\s]/g, ' ')
+      .split(/\s+/)
+      .map((t) => t.replace(/\.$/, ''))
+      .filter((t) => t && !STOPWORDS.has(t))
+  );
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  a.forEach((t) => { if (b.has(t)) shared++; });
+  return shared / (a.size + b.size - shared || 1);
+}
+
+// Generated calculation questions share a stem and differ only in their numbers
+function sameNumbers(a, b) {
+  const numbers = (tokens) => [...tokens].filter((t) => /\d/.test(t)).sort().join(' ');
+  return numbers(a) === numbers(b);
+}
+
+function findNearDuplicates(entries) {
+  const pairs = [];
+  const byYearSection = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.question.year}:${entry.question.section}`;
+    if (!byYearSection.has(key)) byYearSection.set(key, []);
+    byYearSection.get(key).push({ ...entry, tokens: stemTokens(entry.question.question_text) });
+  });
+
+  byYearSection.forEach((group) => {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const a = group[i];
+        const b = group[j];
+        if (a.question.id === b.question.id) continue; // reported as a duplicate ID
+        const score = similarity(a.tokens, b.tokens);
+        if (score >= NEAR_DUPLICATE_THRESHOLD && sameNumbers(a.tokens, b.tokens)) {
+          pairs.push({ a, b, score });
+        }
+      }
+    }
+  });
+  return pairs;
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+function printCoverage(entries) {
+  console.log('\n📊 Coverage by section and difficulty');
+  const years = [...new Set(entries.map((e) => e.question.year))].sort();
+
+  years.forEach((year) => {
+    const blueprint = blueprints[year];
+    if (!blueprint) return;
+    const yearQuestions = entries.map((e) => e.question).filter((q) => q.year === year);
+    const uniqueIds = new Set(yearQuestions.map((q) => q.id));
+
+    console.log(`\nYear ${year} — ${blueprint.title} (${uniqueIds.size} unique questions)`);
+    console.log(`  ${pad('Section', 44)} ${pad('easy', 6)} ${pad('medium', 7)} ${pad('hard', 6)} ${pad('total', 7)} exam`);
+
+    blueprint.sections.forEach((section) => {
+      const inSection = [...new Map(
+        yearQuestions.filter((q) => q.section === section.num).map((q) => [q.id, q])
+      ).values()];
+      const count = (difficulty) => inSection.filter((q) => q.difficulty === difficulty).length;
+      const flag = inSection.length === 0
+        ? '  ❌ no questions'
+        : inSection.length < section.questions ? '  ⚠️  fewer than one full exam needs' : '';
+      console.log(
+        `  ${pad(`${section.num}. ${section.name}`, 44)} ${pad(count('easy'), 6)} ${pad(count('medium'), 7)} ` +
+        `${pad(count('hard'), 6)} ${pad(inSection.length, 7)} ${section.questions}${flag}`
+      );
+    });
+  });
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const strict = argv.includes('--strict');
+  const showCoverage = !argv.includes('--no-coverage');
+  const fileArgs = argv.filter((a) => !a.startsWith('--'));
+  const files = fileArgs.length > 0 ? fileArgs.map((f) => path.resolve(f)) : findQuestionFiles(DATA_DIR);
+
+  const errors = [];
+  const warnings = [];
+  const entries = [];
+
+  console.log('🔍 Validating question files');
+  files.forEach((filePath) => {
+    const file = path.relative(process.cwd(), filePath);
+    let questions;
+    try {
+      questions = loadQuestions(filePath);
+    } catch (error) {
+      errors.push(`${file}: invalid JSON (${error.message})`);
+      return;
+    }
+    if (!questions) {
+      console.log(`  ⏭️  ${file}: not a question file, skipped`);
+      return;
+    }
+    console.log(`  📁 ${file}: ${questions.length} questions`);
+
+    questions.forEach((question, index) => {
+      const label = `${file} › ${question?.id || `#${index}`}`;
+      validateQuestion(question).forEach((message) => errors.push(`${label}: ${message}`));
+      if (!question || typeof question !== 'object') return;
+      entries.push({ file, question });
+
+      const section = blueprints[question.year]?.sections.find((s) => s.num === question.section);
+      if (!section) {
+        errors.push(`${label}: section ${question.section} is not in the Year ${question.year} blueprint`);
+        return;
+      }
+      if (question.section_name && question.section_name !== section.name) {
+        warnings.push(`${label}: section_name "${question.section_name}" differs from blueprint "${section.name}"`);
+      }
+      if (!question.subtopic) {
+        warnings.push(`${label}: no subtopic code`);
+      } else if (!section.subtopics.some((s) => s.code === question.subtopic)) {
+        errors.push(`${label}: subtopic ${question.section}${question.subtopic} is not in the Year ${question.year} blueprint`);
+      }
+    });
+  });
+
+  // Manifest: every pack file must exist; unlisted question files are never loaded
+  manifest.packs.forEach((pack) => {
+    if (!fs.existsSync(path.join(DATA_DIR, pack.file))) {
+      errors.push(`manifest pack ${pack.id}: data/${pack.file} does not exist`);
+    }
+  });
+  const packFiles = new Set(manifest.packs.map((pack) => path.join(DATA_DIR, pack.file)));
+  [...new Set(entries.map((e) => e.file))].forEach((file) => {
+    const fullPath = path.resolve(file);
+    if (fullPath.startsWith(DATA_DIR) && !packFiles.has(fullPath)) {
+      warnings.push(`${file}: not listed in data/manifest.json`);
+    }
+  });
+  entries.forEach(({ file, question }) => {
+    const pack = manifest.packs.find((p) => path.join(DATA_DIR, p.file) === path.resolve(file));
+    if (pack && question.year !== pack.year) {
+      errors.push(`${file} › ${question.id}: year ${question.year} in Year ${pack.year} pack ${pack.id}`);
+    }
+  });
+
+  // Duplicate IDs across all files
+  const idFiles = new Map();
+  entries.forEach(({ file, question }) => {
+    if (!idFiles.has(question.id)) idFiles.set(question.id, []);
+    idFiles.get(question.id).push(file);
+  });
+  idFiles.forEach((where, id) => {
+    if (where.length > 1) errors.push(`duplicate id ${id} in ${where.join(', ')}`);
+  });
+
+  findNearDuplicates(entries).forEach(({ a, b, score }) => {
+    warnings.push(
+      `near-duplicate stems (${Math.round(score * 100)}%): ${a.file} › ${a.question.id} ` +
+      `"${a.question.question_text}" ~ ${b.file} › ${b.question.id} "${b.question.question_text}"`
+    );
+  });
+
+  if (warnings.length > 0) {
+    console.log(`\n⚠️  Warnings (${warnings.length}):`);
+    warnings.forEach((w) => console.log(`  - ${w}`));
+  }
+  if (errors.length > 0) {
+    console.log(`\n❌ Errors (${errors.length}):`);
+    errors.forEach((e) => console.log(`  - ${e}`));
+  }
+
+  if (showCoverage) printCoverage(entries);
+
+  const failed = errors.length > 0 || (strict && warnings.length > 0);
+  console.log(`\n${failed ? '❌' : '✅'} ${entries.length} questions checked: ${errors.length} errors, ${warnings.length} warnings`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,343 @@
+/**
+ * Email/password auth routes under /api/auth, the three-step
+ * security-question password reset, and signed-in password / security
+ * question changes. Passwords and security answers are bcrypt-hashed;
+ * answers compare case-insensitively.
+ *
+ * The reset flow never reveals whether an email has an account: unknown
+ * emails get a stand-in question and every failure reads the same. Attempts
+ * are rate-limited per email and reset tokens are single-use.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { Router, type Request, type Response, type NextFunction } from 'express';
+import { db, newId, type UserRow } from './db';
+import { createRateLimit } from './rateLimit';
+import { SECURITY_QUESTIONS } from '../src/lib/securityQuestions.js';
+
+declare module 'express-session' {
+  interface SessionData {
+    userId?: string;
+  }
+}
+
+const SALT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 6;
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+
+const MESSAGES = {
+  answerRejected: "We couldn't verify that answer. Check it and try again.",
+  tokenRejected: 'This reset request is invalid or has expired. Please start again.',
+  passwordRejected: 'Current password is incorrect',
+  tooShort: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+};
+
+// Every request and every failure in the reset flow counts; sign-in counts failures only
+const resetLimit = createRateLimit('reset', { limit: 5, windowMs: FIFTEEN_MINUTES_MS });
+const loginLimit = createRateLimit('login', { limit: 10, windowMs: FIFTEEN_MINUTES_MS });
+
+// Stand-in questions for unknown emails must stay the same across requests
+const decoySecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+// Compared against when there's no real hash, so unknown emails take as long as known ones
+const dummyHash = bcrypt.hashSync('tradebench-dummy-answer', SALT_ROUNDS);
+
+function normalizeAnswer(answer: string) {
+  return answer.trim().toLowerCase();
+}
+
+function decoyQuestion(email: string) {
+  const digest = crypto.createHmac('sha256', decoySecret).update(email.trim().toLowerCase()).digest();
+  return SECURITY_QUESTIONS[digest.readUInt32BE(0) % SECURITY_QUESTIONS.length];
+}
+
+function findUserByEmail(email: unknown) {
+  if (typeof email !== 'string' || !email.trim()) return undefined;
+  return db.prepare('SELECT * FROM users WHERE email = ?').get(email.trim()) as UserRow | undefined;
+}
+
+function findUserById(id: string) {
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(id) as UserRow | undefined;
+}
+
+// The user shape AuthContext / restClient expect (camelCase, no secrets)
+function toPublicUser(user: UserRow) {
+  const [firstName, ...rest] = user.full_name.split(' ');
+  return {
+    id: user.id,
+    email: user.email,
+    fullName: user.full_name,
+    firstName,
+    lastName: rest.join(' ') || null,
+    profileImageUrl: null,
+    selectedYear: user.selected_year,
+  };
+}
+
+function hashToken(token: string) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isValidEmail(email: unknown): email is string {
+  return typeof email === 'string' && /^\S+@\S+\.\S+$/.test(email.trim());
+}
+
+function isValidSecurityAnswer(question: unknown, answer: unknown) {
+  return typeof question === 'string' && SECURITY_QUESTIONS.includes(question) &&
+    typeof answer === 'string' && answer.trim().length > 0;
+}
+
+function tooManyAttempts(res: Response, minutes: number) {
+  res.status(429).json({
+    message: `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+  });
+}
+
+function signInSession(req: Request, userId: string) {
+  return new Promise<void>((resolve, reject) => {
+    // New session id on sign-in so a pre-login cookie can't be fixated
+    req.session.regenerate((error) => {
+      if (error) return reject(error);
+      req.session.userId = userId;
+      req.session.save((saveError) => (saveError ? reject(saveError) : resolve()));
+    });
+  });
+}
+
+// Sign the user out everywhere (except `keepSid`) after a password change
+function endOtherSessions(userId: string, keepSid: string | null = null) {
+  db.prepare("DELETE FROM sessions WHERE json_extract(sess, '$.userId') = ? AND sid IS NOT ?").run(userId, keepSid);
+}
+
+export function requireAuth(req: Request, res: Response, next: NextFunction) {
+  const user = req.session.userId ? findUserById(req.session.userId) : undefined;
+  if (!user) {
+    res.status(401).json({ message: 'Unauthorized' });
+    return;
+  }
+  res.locals.user = user;
+  next();
+}
+
+export const authRouter = Router();
+
+authRouter.post('/register', async (req, res) => {
+  const { email, password, fullName, securityQuestion, securityAnswer } = req.body ?? {};
+
+  if (!isValidEmail(email)) {
+    res.status(400).json({ message: 'Please enter a valid email address' });
+    return;
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400).json({ message: MESSAGES.tooShort });
+    return;
+  }
+  if (typeof fullName !== 'string' || !fullName.trim()) {
+    res.status(400).json({ message: 'Please enter your full name' });
+    return;
+  }
+  if (!isValidSecurityAnswer(securityQuestion, securityAnswer)) {
+    res.status(400).json({ message: 'Please choose a security question and answer' });
+    return;
+  }
+  if (findUserByEmail(email)) {
+    res.status(409).json({ message: 'An account with this email already exists' });
+    return;
+  }
+
+  const id = newId();
+  db.prepare(
+    'INSERT INTO users (id, email, password_hash, full_name, security_question, security_answer) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(
+    id,
+    email.trim(),
+    await bcrypt.hash(password, SALT_ROUNDS),
+    fullName.trim(),
+    securityQuestion,
+    await bcrypt.hash(normalizeAnswer(securityAnswer), SALT_ROUNDS)
+  );
+
+  await signInSession(req, id);
+  res.status(201).json(toPublicUser(findUserById(id)!));
+});
+
+authRouter.post('/login', async (req, res) => {
+  const { email, password } = req.body ?? {};
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    res.status(400).json({ message: 'Email and password are required' });
+    return;
+  }
+
+  const blocked = loginLimit.blockedFor(email);
+  if (blocked) return tooManyAttempts(res, blocked);
+
+  const user = findUserByEmail(email);
+  const valid = await bcrypt.compare(password, user?.password_hash ?? dummyHash);
+  if (!user || !valid) {
+    loginLimit.hit(email);
+    res.status(401).json({ message: 'Invalid email or password' });
+    return;
+  }
+
+  loginLimit.clear(email);
+  await signInSession(req, user.id);
+  res.json(toPublicUser(user));
+});
+
+authRouter.get('/user', requireAuth, (req, res) => {
+  res.json(toPublicUser(res.locals.user));
+});
+
+authRouter.patch('/user', requireAuth, (req, res) => {
+  const { selectedYear } = req.body ?? {};
+  if (selectedYear != null && (!Number.isInteger(selectedYear) || selectedYear < 1 || selectedYear > 4)) {
+    res.status(400).json({ message: 'selectedYear must be 1-4' });
+    return;
+  }
+
+  const user: UserRow = res.locals.user;
+  if (selectedYear != null) {
+    db.prepare('UPDATE users SET selected_year = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(selectedYear, user.id);
+  }
+  res.json(toPublicUser(findUserById(user.id)!));
+});
+
+authRouter.post('/logout', (req, res) => {
+  req.session.destroy(() => {
+    res.clearCookie('tradebench.sid');
+    res.json({ message: 'Signed out' });
+  });
+});
+
+// Step 1: email → security question (a stand-in one for unknown emails)
+authRouter.post('/forgot-password/verify-email', (req, res) => {
+  const { email } = req.body ?? {};
+  if (!isValidEmail(email)) {
+    res.status(400).json({ message: 'Please enter a valid email address' });
+    return;
+  }
+
+  const blocked = resetLimit.blockedFor(email);
+  if (blocked) return tooManyAttempts(res, blocked);
+  resetLimit.hit(email);
+
+  const user = findUserByEmail(email);
+  res.json({ securityQuestion: user?.security_question || decoyQuestion(email) });
+});
+
+// Step 2: answer → short-lived, single-use reset token (only its hash is stored)
+authRouter.post('/forgot-password/verify-answer', async (req, res) => {
+  const { email, securityAnswer } = req.body ?? {};
+  if (!isValidEmail(email) || typeof securityAnswer !== 'string') {
+    res.status(400).json({ message: MESSAGES.answerRejected });
+    return;
+  }
+
+  const blocked = resetLimit.blockedFor(email);
+  if (blocked) return tooManyAttempts(res, blocked);
+
+  const user = findUserByEmail(email);
+  const valid = await bcrypt.compare(normalizeAnswer(securityAnswer), user?.security_answer ?? dummyHash);
+  if (!user?.security_answer || !valid) {
+    resetLimit.hit(email);
+    res.status(401).json({ message: MESSAGES.answerRejected });
+    return;
+  }
+
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  db.prepare('UPDATE users SET reset_token = ?, reset_token_expires = ? WHERE id = ?')
+    .run(hashToken(resetToken), Date.now() + RESET_TOKEN_TTL_MS, user.id);
+  res.json({ resetToken });
+});
+
+// Step 3: token + new password
+authRouter.post('/forgot-password/reset', async (req, res) => {
+  const { email, resetToken, newPassword } = req.body ?? {};
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    res.status(400).json({ message: MESSAGES.tooShort });
+    return;
+  }
+  if (!isValidEmail(email) || typeof resetToken !== 'string') {
+    res.status(400).json({ message: MESSAGES.tokenRejected });
+    return;
+  }
+
+  const blocked = resetLimit.blockedFor(email);
+  if (blocked) return tooManyAttempts(res, blocked);
+
+  const user = findUserByEmail(email);
+  const tokenValid = user?.reset_token && user.reset_token === hashToken(resetToken) &&
+    (user.reset_token_expires ?? 0) > Date.now();
+  if (!user || !tokenValid) {
+    resetLimit.hit(email);
+    res.status(400).json({ message: MESSAGES.tokenRejected });
+    return;
+  }
+
+  // Clear the token in the same statement that checks it, so two racing requests can't both use it
+  const spent = db.prepare(
+    'UPDATE users SET password_hash = ?, reset_token = NULL, reset_token_expires = NULL, updated_at = CURRENT_TIMESTAMP ' +
+    'WHERE id = ? AND reset_token = ?'
+  ).run(await bcrypt.hash(newPassword, SALT_ROUNDS), user.id, hashToken(resetToken));
+  if (spent.changes === 0) {
+    res.status(400).json({ message: MESSAGES.tokenRejected });
+    return;
+  }
+
+  resetLimit.clear(email);
+  loginLimit.clear(email);
+  endOtherSessions(user.id);
+  res.json({ message: 'Password updated. You can now sign in.' });
+});
+
+authRouter.post('/change-password', requireAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body ?? {};
+  const user: UserRow = res.locals.user;
+
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    res.status(400).json({ message: MESSAGES.tooShort });
+    return;
+  }
+
+  const blocked = loginLimit.blockedFor(user.email);
+  if (blocked) return tooManyAttempts(res, blocked);
+  if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+    loginLimit.hit(user.email);
+    res.status(401).json({ message: MESSAGES.passwordRejected });
+    return;
+  }
+
+  db.prepare(
+    'UPDATE users SET password_hash = ?, reset_token = NULL, reset_token_expires = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).run(await bcrypt.hash(newPassword, SALT_ROUNDS), user.id);
+  endOtherSessions(user.id, req.sessionID);
+  res.json({ message: 'Password changed' });
+});
+
+authRouter.get('/security-question', requireAuth, (req, res) => {
+  res.json({ securityQuestion: res.locals.user.security_question });
+});
+
+authRouter.put('/security-question', requireAuth, async (req, res) => {
+  const { currentPassword, securityQuestion, securityAnswer } = req.body ?? {};
+  const user: UserRow = res.locals.user;
+
+  if (!isValidSecurityAnswer(securityQuestion, securityAnswer)) {
+    res.status(400).json({ message: 'Please choose a security question and answer' });
+    return;
+  }
+
+  const blocked = loginLimit.blockedFor(user.email);
+  if (blocked) return tooManyAttempts(res, blocked);
+  if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+    loginLimit.hit(user.email);
+    res.status(401).json({ message: MESSAGES.passwordRejected });
+    return;
+  }
+
+  db.prepare(
+    'UPDATE users SET security_question = ?, security_answer = ?, reset_token = NULL, reset_token_expires = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).run(securityQuestion, await bcrypt.hash(normalizeAnswer(securityAnswer), SALT_ROUNDS), user.id);
+  res.json({ securityQuestion });
+});
@@ -0,0 +1,63 @@
+/**
+ * Server-side reader for the content packs in data/manifest.json.
+ * Same merge rules as src/lib/contentPacks.js: packs for a year are merged,
+ * the first pack wins on duplicate IDs, and items record their pack.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+interface Pack {
+  id: string;
+  type: 'questions' | 'study_guides';
+  year: number;
+  version: string;
+  source: string;
+  file: string;
+}
+
+interface ContentItem {
+  id: string;
+  year?: number;
+  section?: number;
+  [key: string]: unknown;
+}
+
+const cache = new Map<string, { items: ContentItem[]; packs: object[] }>();
+
+function readManifest(): Pack[] {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'manifest.json'), 'utf8')).packs;
+}
+
+function readPack(pack: Pack): ContentItem[] {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, pack.file), 'utf8'));
+    return Array.isArray(data) ? data : data[pack.type] || [];
+  } catch (error) {
+    console.error(`Content pack ${pack.id}: failed to load ${pack.file}`, error);
+    return [];
+  }
+}
+
+export function loadContent(type: Pack['type'], year: number) {
+  const key = `${type}:${year}`;
+  if (cache.has(key)) return cache.get(key)!;
+
+  const packs = readManifest().filter((pack) => pack.type === type && pack.year === year);
+  const byId = new Map<string, ContentItem>();
+  const summaries = packs.map((pack) => {
+    const items = readPack(pack);
+    items.forEach((item) => {
+      if (byId.has(item.id)) return;
+      byId.set(item.id, { ...item, year: item.year ?? pack.year, pack_id: pack.id, pack_version: pack.version });
+    });
+    const { id, version, source, file } = pack;
+    return { id, type, year, version, source, file, count: items.length };
+  });
+
+  const result = { items: [...byId.values()], packs: summaries };
+  cache.set(key, result);
+  return result;
+}
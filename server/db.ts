@@ -0,0 +1,110 @@
+/**
+ * Embedded SQLite store for the local backend (better-sqlite3, synchronous).
+ * Users and sessions have real columns; progress, quiz sessions and attempts
+ * are stored as JSON documents keyed by user and year, so the client can add
+ * fields without a migration.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(process.cwd(), '.data', 'tradebench.sqlite');
+
+fs.mkdirSync(path.dirname(DATABASE_PATH), { recursive: true });
+
+export const db = new Database(DATABASE_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    full_name TEXT NOT NULL,
+    security_question TEXT,
+    security_answer TEXT,
+    reset_token TEXT,
+    reset_token_expires INTEGER,
+    selected_year INTEGER,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    sess TEXT NOT NULL,
+    expire INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_expire ON sessions(expire);
+
+  CREATE TABLE IF NOT EXISTS user_progress (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, year)
+  );
+
+  CREATE TABLE IF NOT EXISTS quiz_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, year)
+  );
+
+  CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    completed_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_year ON quiz_attempts(user_id, year);
+
+  CREATE TABLE IF NOT EXISTS quiz_presets (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_quiz_presets_user_year ON quiz_presets(user_id, year);
+`);
+
+export function newId() {
+  return crypto.randomUUID();
+}
+
+export interface UserRow {
+  id: string;
+  email: string;
+  password_hash: string;
+  full_name: string;
+  security_question: string | null;
+  security_answer: string | null;
+  reset_token: string | null;
+  reset_token_expires: number | null;
+  selected_year: number | null;
+}
+
+export interface DocumentRow {
+  id: string;
+  user_id: string;
+  year: number;
+  data: string;
+}
+
+/**
+ * A JSON document row as the client sees it: its stored fields plus the
+ * row's id and year (which always win over anything inside `data`).
+ */
+export function toDocument(row: DocumentRow | undefined, extra: Record<string, unknown> = {}) {
+  if (!row) return null;
+  return { ...JSON.parse(row.data), ...extra, id: row.id, year: row.year };
+}
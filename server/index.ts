@@ -0,0 +1,67 @@
+/**
+ * TradeBench server: auth, content and progress API under /api, plus the
+ * frontend. Everything lives in one embedded SQLite file, so the whole app
+ * runs on a single machine.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import express, { type NextFunction, type Request, type Response } from 'express';
+import session from 'express-session';
+import { SqliteSessionStore } from './sessionStore';
+import { authRouter } from './auth';
+import { apiRouter } from './routes';
+import { serveStatic, setupVite } from './vite';
+
+const isProduction = process.env.NODE_ENV === 'production';
+const PORT = Number(process.env.PORT) || 5000;
+const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  if (isProduction) throw new Error('SESSION_SECRET must be set in production');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  SESSION_SECRET not set; sessions will not survive a restart');
+}
+
+const app = express();
+const server = http.createServer(app);
+
+app.set('trust proxy', 1);
+app.use(express.json({ limit: '1mb' }));
+app.use(
+  session({
+    name: 'tradebench.sid',
+    secret: sessionSecret,
+    store: new SqliteSessionStore(),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: 'lax',
+      maxAge: SEVEN_DAYS_MS,
+    },
+  })
+);
+
+app.use('/api/auth', authRouter);
+app.use('/api', apiRouter);
+app.use('/api', (_req, res) => {
+  res.status(404).json({ message: 'Not found' });
+});
+
+app.use((error: Error, _req: Request, res: Response, _next: NextFunction) => {
+  console.error('❌ Request failed:', error);
+  res.status(500).json({ message: 'Something went wrong. Please try again.' });
+});
+
+if (isProduction) {
+  serveStatic(app);
+} else {
+  await setupVite(app, server);
+}
+
+server.listen(PORT, '0.0.0.0', () => {
+  console.log(`🚀 TradeBench running on http://localhost:${PORT}`);
+});
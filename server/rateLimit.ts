@@ -0,0 +1,51 @@
+/**
+ * Fixed-window attempt counters in SQLite, keyed by action and email
+ * (e.g. "reset:ann@example.com"), so limits survive a restart.
+ */
+
+import { db } from './db';
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at INTEGER NOT NULL
+  );
+`);
+
+export interface RateLimit {
+  /** Minutes until the key may try again, or 0 when it isn't blocked */
+  blockedFor(id: string): number;
+  /** Count one attempt */
+  hit(id: string): void;
+  /** Forget the key's attempts (after a success) */
+  clear(id: string): void;
+}
+
+export function createRateLimit(name: string, { limit, windowMs }: { limit: number; windowMs: number }): RateLimit {
+  const keyFor = (id: string) => `${name}:${id.trim().toLowerCase()}`;
+
+  return {
+    blockedFor(id) {
+      const row = db.prepare('SELECT count, reset_at FROM rate_limits WHERE key = ?').get(keyFor(id)) as
+        | { count: number; reset_at: number }
+        | undefined;
+      if (!row || row.reset_at <= Date.now() || row.count < limit) return 0;
+      return Math.ceil((row.reset_at - Date.now()) / 60000);
+    },
+
+    hit(id) {
+      const now = Date.now();
+      db.prepare(
+        'INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?) ' +
+        'ON CONFLICT(key) DO UPDATE SET ' +
+        'count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END, ' +
+        'reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END'
+      ).run(keyFor(id), now + windowMs, now, now);
+    },
+
+    clear(id) {
+      db.prepare('DELETE FROM rate_limits WHERE key = ?').run(keyFor(id));
+    },
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Content and progress endpoints used by src/api/restClient.js.
+ * Content (questions, study guides, packs) is public; everything per-user
+ * needs a signed-in session.
+ */
+
+import { Router, type Request, type Response } from 'express';
+import { db, newId, toDocument, type DocumentRow, type UserRow } from './db';
+import { loadContent } from './content';
+import { requireAuth } from './auth';
+
+function parseYear(req: Request, res: Response, value: unknown = req.query.year): number | null {
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 1 || year > 4) {
+    res.status(400).json({ message: 'year must be 1-4' });
+    return null;
+  }
+  return year;
+}
+
+// Per-user records also accept year 0, which holds cumulative (all-years) exams
+function parseRecordYear(req: Request, res: Response, value: unknown = req.query.year): number | null {
+  if (value != null && value !== '' && Number(value) === 0) return 0;
+  return parseYear(req, res, value);
+}
+
+function bySection<T extends { section?: number }>(items: T[], section: unknown) {
+  if (section == null || section === '') return items;
+  return items.filter((item) => item.section === Number(section));
+}
+
+// Strip fields the server owns before storing a client document
+function documentData(body: Record<string, unknown>) {
+  const data = { ...body };
+  ['id', 'year', '_year', 'user_id', 'created_by'].forEach((key) => delete data[key]);
+  return JSON.stringify(data);
+}
+
+export const apiRouter = Router();
+
+apiRouter.get('/questions', (req, res) => {
+  const year = parseYear(req, res);
+  if (year == null) return;
+  res.json(bySection(loadContent('questions', year).items, req.query.section));
+});
+
+apiRouter.get('/study-guides', (req, res) => {
+  const year = parseYear(req, res);
+  if (year == null) return;
+  res.json(bySection(loadContent('study_guides', year).items, req.query.section));
+});
+
+apiRouter.get('/content-packs', (req, res) => {
+  const year = parseYear(req, res);
+  if (year == null) return;
+  res.json([...loadContent('questions', year).packs, ...loadContent('study_guides', year).packs]);
+});
+
+// --- User progress: one document per user per year ---
+
+apiRouter.get('/progress', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const row = db.prepare('SELECT * FROM user_progress WHERE user_id = ? AND year = ?').get(user.id, year) as DocumentRow | undefined;
+  if (!row) {
+    res.status(404).json({ message: 'No progress for this year' });
+    return;
+  }
+  res.json(toDocument(row, { created_by: user.email }));
+});
+
+apiRouter.post('/progress', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res, req.body?.year);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  db.prepare(
+    'INSERT INTO user_progress (id, user_id, year, data) VALUES (?, ?, ?, ?) ' +
+    'ON CONFLICT(user_id, year) DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP'
+  ).run(newId(), user.id, year, documentData(req.body));
+  const row = db.prepare('SELECT * FROM user_progress WHERE user_id = ? AND year = ?').get(user.id, year) as DocumentRow;
+  res.status(201).json(toDocument(row, { created_by: user.email }));
+});
+
+apiRouter.patch('/progress/:id', requireAuth, (req, res) => {
+  const user: UserRow = res.locals.user;
+  const row = db.prepare('SELECT * FROM user_progress WHERE id = ? AND user_id = ?').get(req.params.id, user.id) as DocumentRow | undefined;
+  if (!row) {
+    res.status(404).json({ message: 'Progress not found' });
+    return;
+  }
+  const merged = { ...JSON.parse(row.data), ...JSON.parse(documentData(req.body ?? {})) };
+  db.prepare('UPDATE user_progress SET data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(JSON.stringify(merged), row.id);
+  res.json(toDocument({ ...row, data: JSON.stringify(merged) }, { created_by: user.email }));
+});
+
+apiRouter.delete('/progress/:id', requireAuth, (req, res) => {
+  const user: UserRow = res.locals.user;
+  db.prepare('DELETE FROM user_progress WHERE id = ? AND user_id = ?').run(req.params.id, user.id);
+  res.status(204).end();
+});
+
+// --- Quiz sessions: one in-progress quiz per user per year ---
+
+apiRouter.get('/quiz-session', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const row = db.prepare('SELECT * FROM quiz_sessions WHERE user_id = ? AND year = ?').get(user.id, year) as DocumentRow | undefined;
+  if (!row) {
+    res.status(404).json({ message: 'No quiz in progress' });
+    return;
+  }
+  res.json(toDocument(row, { created_by: user.email }));
+});
+
+apiRouter.put('/quiz-session', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res, req.body?.year);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const id = typeof req.body.id === 'string' && req.body.id ? req.body.id : newId();
+  const updatedAt = new Date().toISOString();
+  // Replacing the (user, year) row keeps one session per year
+  db.prepare(
+    'INSERT INTO quiz_sessions (id, user_id, year, data, updated_at) VALUES (?, ?, ?, ?, ?) ' +
+    'ON CONFLICT(user_id, year) DO UPDATE SET id = excluded.id, data = excluded.data, updated_at = excluded.updated_at'
+  ).run(id, user.id, year, documentData({ ...req.body, updated_at: updatedAt }), updatedAt);
+  const row = db.prepare('SELECT * FROM quiz_sessions WHERE user_id = ? AND year = ?').get(user.id, year) as DocumentRow;
+  res.json(toDocument(row, { created_by: user.email }));
+});
+
+apiRouter.delete('/quiz-session', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  db.prepare('DELETE FROM quiz_sessions WHERE user_id = ? AND year = ?').run(user.id, year);
+  res.status(204).end();
+});
+
+// --- Quiz attempts: finished quizzes, newest first ---
+
+apiRouter.get('/quiz-attempts', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const rows = db.prepare(
+    'SELECT * FROM quiz_attempts WHERE user_id = ? AND year = ? ORDER BY completed_at DESC, rowid DESC'
+  ).all(user.id, year) as (DocumentRow & { completed_at: string })[];
+  res.json(rows.map((row) => toDocument(row, { created_by: user.email, completed_at: row.completed_at })));
+});
+
+apiRouter.post('/quiz-attempts', requireAuth, (req, res) => {
+  const year = parseRecordYear(req, res, req.body?.year);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const id = newId();
+  const completedAt = typeof req.body.completed_at === 'string' ? req.body.completed_at : new Date().toISOString();
+  db.prepare('INSERT INTO quiz_attempts (id, user_id, year, data, completed_at) VALUES (?, ?, ?, ?, ?)')
+    .run(id, user.id, year, documentData(req.body), completedAt);
+  const row = db.prepare('SELECT * FROM quiz_attempts WHERE id = ?').get(id) as DocumentRow;
+  res.status(201).json(toDocument(row, { created_by: user.email, completed_at: completedAt }));
+});
+
+// --- Quiz presets: saved custom quizzes, newest first ---
+
+apiRouter.get('/quiz-presets', requireAuth, (req, res) => {
+  const year = parseYear(req, res);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const rows = db.prepare(
+    'SELECT * FROM quiz_presets WHERE user_id = ? AND year = ? ORDER BY created_at DESC, rowid DESC'
+  ).all(user.id, year) as (DocumentRow & { created_at: string })[];
+  res.json(rows.map((row) => toDocument(row, { created_by: user.email, created_at: row.created_at })));
+});
+
+apiRouter.post('/quiz-presets', requireAuth, (req, res) => {
+  const year = parseYear(req, res, req.body?.year);
+  if (year == null) return;
+  const user: UserRow = res.locals.user;
+  const id = newId();
+  const createdAt = new Date().toISOString();
+  db.prepare('INSERT INTO quiz_presets (id, user_id, year, data, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(id, user.id, year, documentData(req.body), createdAt);
+  const row = db.prepare('SELECT * FROM quiz_presets WHERE id = ?').get(id) as DocumentRow;
+  res.status(201).json(toDocument(row, { created_by: user.email, created_at: createdAt }));
+});
+
+apiRouter.delete('/quiz-presets/:id', requireAuth, (req, res) => {
+  const user: UserRow = res.locals.user;
+  db.prepare('DELETE FROM quiz_presets WHERE id = ? AND user_id = ?').run(req.params.id, user.id);
+  res.status(204).end();
+});
@@ -0,0 +1,66 @@
+/**
+ * express-session store backed by the `sessions` table in server/db.ts.
+ */
+
+import session from 'express-session';
+import { db } from './db';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+type Callback = (err?: unknown, value?: session.SessionData | null) => void;
+
+export class SqliteSessionStore extends session.Store {
+  private cleanupTimer: NodeJS.Timeout;
+
+  constructor() {
+    super();
+    // Expired sessions are ignored on read; this just keeps the table small
+    this.cleanupTimer = setInterval(() => {
+      db.prepare('DELETE FROM sessions WHERE expire < ?').run(Date.now());
+    }, ONE_DAY_MS / 24);
+    this.cleanupTimer.unref();
+  }
+
+  private expiry(sess: session.SessionData) {
+    const expires = sess.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + ONE_DAY_MS;
+  }
+
+  get(sid: string, callback: Callback) {
+    try {
+      const row = db.prepare('SELECT sess, expire FROM sessions WHERE sid = ?').get(sid) as
+        | { sess: string; expire: number }
+        | undefined;
+      if (!row || row.expire < Date.now()) return callback(null, null);
+      callback(null, JSON.parse(row.sess));
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid: string, sess: session.SessionData, callback?: (err?: unknown) => void) {
+    try {
+      db.prepare(
+        'INSERT INTO sessions (sid, sess, expire) VALUES (?, ?, ?) ' +
+        'ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, expire = excluded.expire'
+      ).run(sid, JSON.stringify(sess), this.expiry(sess));
+      callback?.();
+    } catch (error) {
+      callback?.(error);
+    }
+  }
+
+  touch(sid: string, sess: session.SessionData, callback?: () => void) {
+    db.prepare('UPDATE sessions SET expire = ? WHERE sid = ?').run(this.expiry(sess), sid);
+    callback?.();
+  }
+
+  destroy(sid: string, callback?: (err?: unknown) => void) {
+    try {
+      db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+      callback?.();
+    } catch (error) {
+      callback?.(error);
+    }
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Serves the frontend: Vite in middleware mode during development, the
+ * built dist/ folder in production. API routes are mounted before this.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { Server } from 'http';
+import express, { type Express } from 'express';
+
+export async function setupVite(app: Express, server: Server) {
+  // The app talks to this server rather than localStorage
+  process.env.VITE_API_BACKEND ??= 'rest';
+
+  const { createServer } = await import('vite');
+  const vite = await createServer({
+    // HMR shares the app's port instead of opening a second one
+    server: { middlewareMode: true, hmr: { server } },
+    appType: 'spa',
+  });
+  app.use(vite.middlewares);
+}
+
+export function serveStatic(app: Express) {
+  const distPath = path.join(process.cwd(), 'dist');
+  if (!fs.existsSync(path.join(distPath, 'index.html'))) {
+    throw new Error('dist/ not found. Run `VITE_API_BACKEND=rest npm run build` first.');
+  }
+
+  app.use(express.static(distPath));
+  app.get(/^(?!\/api\/).*/, (_req, res) => {
+    res.sendFile(path.join(distPath, 'index.html'));
+  });
+}
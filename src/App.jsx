@@ -12,6 +12,7 @@ import Dashboard from '@/pages/Dashboard';
 import LandingPage from '@/pages/LandingPage';
 import AuthPage from '@/pages/AuthPage';
 import YearHeader from '@/components/YearHeader';
+import GuestProgressMerge from '@/components/GuestProgressMerge';
 
 const { Pages } = pagesConfig;
 
@@ -51,26 +52,29 @@ const AuthenticatedApp = () => {
   }
 
   return (
-    <Routes>
-      <Route path="/auth" element={<Navigate to="/" replace />} />
-      <Route path="/" element={
-        <LayoutWrapper currentPageName="Dashboard">
-          <Dashboard />
-        </LayoutWrapper>
-      } />
-      {Object.entries(Pages).filter(([path]) => path !== 'Dashboard').map(([path, Page]) => (
-        <Route
-          key={path}
-          path={`/${path}`}
-          element={
-            <LayoutWrapper currentPageName={path}>
-              <Page />
-            </LayoutWrapper>
-          }
-        />
-      ))}
-      <Route path="*" element={<PageNotFound />} />
-    </Routes>
+    <>
+      <GuestProgressMerge />
+      <Routes>
+        <Route path="/auth" element={<Navigate to="/" replace />} />
+        <Route path="/" element={
+          <LayoutWrapper currentPageName="Dashboard">
+            <Dashboard />
+          </LayoutWrapper>
+        } />
+        {Object.entries(Pages).filter(([path]) => path !== 'Dashboard').map(([path, Page]) => (
+          <Route
+            key={path}
+            path={`/${path}`}
+            element={
+              <LayoutWrapper currentPageName={path}>
+                <Page />
+              </LayoutWrapper>
+            }
+          />
+        ))}
+        <Route path="*" element={<PageNotFound />} />
+      </Routes>
+    </>
   );
 };
 
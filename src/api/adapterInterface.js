@@ -0,0 +1,83 @@
+/**
+ * The data-access interface every backend adapter implements
+ * (localClient.js, supabaseClient.js, restClient.js). Pages only ever use
+ * `api` from '@/api/client', so any adapter can be swapped in by configuration.
+ *
+ * auth
+ *   me()                      → current user { id, email, full_name, selected_year, role }, or null when signed out
+ *   signIn(email, password)   → user; throws Error(message) on bad credentials
+ *   signUp({ email, password, fullName, securityQuestion, securityAnswer }) → user; throws Error(message)
+ *   updateMe({ selected_year }) → updated user
+ *   logout()
+ *   redirectToLogin()
+ *
+ * auth, password accounts only (optional; the local guest adapter has no password).
+ * Pages check for the method before offering the feature.
+ *   getResetQuestion(email)                → security question for the reset flow
+ *   verifyResetAnswer(email, answer)       → single-use reset token
+ *   resetPassword(email, resetToken, newPassword)
+ *   changePassword(currentPassword, newPassword)
+ *   getSecurityQuestion()                  → the signed-in user's question
+ *   updateSecurityQuestion({ currentPassword, securityQuestion, securityAnswer })
+ *
+ * entities.Question
+ *   filter({ year, section? }) → questions for that year (and section)
+ *
+ * entities.UserProgress — one record per user per year
+ *   filter({ created_by, year }) → [record] or []
+ *   create({ year, ...fields }) → record with an id
+ *   update(id, { _year, ...fields }) → merged record; `_year` names the record's year and is never stored
+ *   delete(id, year)
+ *
+ * entities.QuizSession — one in-progress quiz per year
+ *   get({ year }) → session or null
+ *   save({ id?, year, ...state }) → session with an id; replaces any other session for that year
+ *   delete(year)
+ *
+ * entities.QuizAttempt — finished quizzes
+ *   filter({ year }) → attempts for the current user, newest first
+ *   create({ year, ...fields }) → attempt with an id
+ *
+ * UserProgress, QuizSession and QuizAttempt also take year 0 (CUMULATIVE_YEAR in
+ * src/lib/cumulativeExam.js), the record for cumulative exams across all years.
+ *
+ * entities.QuizPreset — saved custom quizzes (definition shape in src/lib/customQuiz.js)
+ *   filter({ year }) → presets for the current user, newest first
+ *   create({ year, ...definition }) → preset with an id
+ *   delete(id, year)
+ *
+ * studyGuides
+ *   getByYear(year) → guides
+ *   getByYearAndSection(year, section) → guides for that section
+ *
+ * contentPacks
+ *   list(year) → [{ id, type, year, version, source, count }] (empty when content isn't pack-based)
+ *
+ * appLogs
+ *   logUserInApp(pageName)
+ */
+
+export const ADAPTER_INTERFACE = {
+  auth: ['me', 'signIn', 'signUp', 'updateMe', 'logout', 'redirectToLogin'],
+  'entities.Question': ['filter'],
+  'entities.UserProgress': ['filter', 'create', 'update', 'delete'],
+  'entities.QuizSession': ['get', 'save', 'delete'],
+  'entities.QuizAttempt': ['filter', 'create'],
+  'entities.QuizPreset': ['filter', 'create', 'delete'],
+  studyGuides: ['getByYear', 'getByYearAndSection'],
+  contentPacks: ['list'],
+  appLogs: ['logUserInApp'],
+};
+
+/**
+ * Methods from ADAPTER_INTERFACE that `adapter` doesn't provide, as
+ * 'namespace.method' strings (empty when it conforms).
+ */
+export function missingMethods(adapter) {
+  return Object.entries(ADAPTER_INTERFACE).flatMap(([namespace, methods]) => {
+    const target = namespace.split('.').reduce((obj, key) => obj?.[key], adapter);
+    return methods
+      .filter((method) => typeof target?.[method] !== 'function')
+      .map((method) => `${namespace}.${method}`);
+  });
+}
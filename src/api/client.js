@@ -0,0 +1,35 @@
+/**
+ * The app's data-access adapter, picked by VITE_API_BACKEND:
+ *   local    — localStorage + bundled content packs, fully offline (default)
+ *   supabase — Supabase (needs VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY)
+ *   rest     — the Express backend under /api (VITE_API_URL for another origin)
+ * Every adapter implements the interface in adapterInterface.js.
+ */
+
+import { api as localApi } from './localClient';
+import { api as supabaseApi } from './supabaseClient';
+import { api as restApi } from './restClient';
+import { isSupabaseConfigured } from '@/lib/supabase';
+
+const ADAPTERS = {
+  local: localApi,
+  supabase: supabaseApi,
+  rest: restApi,
+};
+
+function resolveBackend(requested) {
+  const name = (requested || 'local').toLowerCase();
+  if (!ADAPTERS[name]) {
+    console.warn(`Unknown VITE_API_BACKEND "${requested}", using local`);
+    return 'local';
+  }
+  if (name === 'supabase' && !isSupabaseConfigured) {
+    console.warn('VITE_API_BACKEND is supabase but Supabase is not configured, using local');
+    return 'local';
+  }
+  return name;
+}
+
+export const backend = resolveBackend(import.meta.env.VITE_API_BACKEND);
+
+export const api = ADAPTERS[backend];
@@ -1,58 +1,80 @@
 /**
  * Local API client — auth, questions, user progress (no external backend).
- * Questions: /data/questions.json. UserProgress & auth: localStorage.
+ * Questions & study guides: content packs from data/manifest.json. UserProgress, QuizSession, QuizAttempt, QuizPreset & auth: localStorage.
+ * Everyone is the same guest user, so sign-in always succeeds. Implements the interface in adapterInterface.js.
  */
 
+import { loadContent } from '@/lib/contentPacks';
+
 const STORAGE_KEYS = {
   selectedYear: 'tradebench_selected_year',
   userProgress: 'tradebench_user_progress',
 };
 
 function progressKey(year) {
-  return year ? `tradebench_user_progress_y${year}` : STORAGE_KEYS.userProgress;
+  return year != null ? `tradebench_user_progress_y${year}` : STORAGE_KEYS.userProgress;
+}
+
+function quizSessionKey(year) {
+  return `tradebench_quiz_session_y${year ?? 1}`;
+}
+
+function quizAttemptsKey(year) {
+  return `tradebench_quiz_attempts_y${year ?? 1}`;
+}
+
+function quizPresetsKey(year) {
+  return `tradebench_quiz_presets_y${year ?? 1}`;
+}
+
+function readJson(key, fallback) {
+  const raw = localStorage.getItem(key);
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
 }
 
 const GUEST_USER_EMAIL = 'guest@local';
 
-let questionsCache = null;
-let studyGuidesCache = null;
+// Loaded content per type and year ('all' when no year is given)
+const contentCache = new Map();
+
+function loadPacks(type, year) {
+  const packYear = year == null ? undefined : Number(year);
+  const key = `${type}:${packYear ?? 'all'}`;
+  if (!contentCache.has(key)) {
+    contentCache.set(key, loadContent(type, packYear).catch((error) => {
+      contentCache.delete(key);
+      throw error;
+    }));
+  }
+  return contentCache.get(key);
+}
 
-async function loadQuestions() {
-  if (questionsCache) return questionsCache;
+async function loadQuestions(year) {
   try {
-    const res = await fetch('/data/questions-massive-comprehensive.json');
-    if (res.ok) {
-      const data = await res.json();
-      questionsCache = Array.isArray(data) ? data : data.questions || [];
-    } else {
-      questionsCache = [];
-    }
+    return (await loadPacks('questions', year)).items;
   } catch {
-    questionsCache = [];
+    return [];
   }
-  return questionsCache;
 }
 
-async function loadStudyGuides() {
-  if (studyGuidesCache) return studyGuidesCache;
+async function loadStudyGuides(year) {
   try {
-    const res = await fetch('/data/study-guides-massive-comprehensive.json');
-    if (res.ok) {
-      const data = await res.json();
-      studyGuidesCache = Array.isArray(data) ? data : data.guides || [];
-    } else {
-      studyGuidesCache = [];
-    }
+    return (await loadPacks('study_guides', year)).items;
   } catch {
-    studyGuidesCache = [];
+    return [];
   }
-  return studyGuidesCache;
 }
 
 const auth = {
   async me() {
     const selectedYear = parseInt(localStorage.getItem(STORAGE_KEYS.selectedYear), 10);
     return {
+      id: 'guest',
       email: GUEST_USER_EMAIL,
       full_name: 'Guest',
       selected_year: Number.isFinite(selectedYear) ? selectedYear : null,
@@ -60,6 +82,14 @@ const auth = {
     };
   },
 
+  async signIn() {
+    return auth.me();
+  },
+
+  async signUp() {
+    return auth.me();
+  },
+
   async updateMe({ selected_year }) {
     if (selected_year != null) {
       localStorage.setItem(STORAGE_KEYS.selectedYear, String(selected_year));
@@ -70,8 +100,11 @@ const auth = {
   logout() {
     localStorage.removeItem(STORAGE_KEYS.selectedYear);
     localStorage.removeItem(STORAGE_KEYS.userProgress);
-    for (let y = 1; y <= 4; y++) {
+    // Year 0 holds cumulative (all-years) exams
+    for (let y = 0; y <= 4; y++) {
       localStorage.removeItem(progressKey(y));
+      localStorage.removeItem(quizSessionKey(y));
+      localStorage.removeItem(quizAttemptsKey(y));
     }
   },
 
@@ -81,9 +114,7 @@ const auth = {
 const entities = {
   Question: {
     async filter({ year, section }) {
-      const all = await loadQuestions();
-      let list = all;
-      if (year != null) list = list.filter((q) => q.year === year);
+      let list = await loadQuestions(year);
       if (section != null) list = list.filter((q) => q.section === section);
       return list;
     },
@@ -133,6 +164,77 @@ const entities = {
       localStorage.removeItem(key);
     },
   },
+
+  // One in-progress quiz per year, saved continuously so it can be resumed.
+  QuizSession: {
+    async get({ year }) {
+      const raw = localStorage.getItem(quizSessionKey(year));
+      if (!raw) return null;
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    },
+
+    async save(payload) {
+      const record = {
+        id: payload.id || `local-session-${Date.now()}`,
+        created_by: GUEST_USER_EMAIL,
+        ...payload,
+        updated_at: new Date().toISOString(),
+      };
+      localStorage.setItem(quizSessionKey(payload.year), JSON.stringify(record));
+      return record;
+    },
+
+    async delete(year) {
+      localStorage.removeItem(quizSessionKey(year));
+    },
+  },
+
+  // Finished quizzes per year, newest first.
+  QuizAttempt: {
+    async filter({ year }) {
+      return readJson(quizAttemptsKey(year), []);
+    },
+
+    async create(payload) {
+      const record = {
+        id: `local-attempt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        created_by: GUEST_USER_EMAIL,
+        completed_at: new Date().toISOString(),
+        ...payload,
+      };
+      const attempts = readJson(quizAttemptsKey(payload.year), []);
+      localStorage.setItem(quizAttemptsKey(payload.year), JSON.stringify([record, ...attempts]));
+      return record;
+    },
+  },
+
+  // Saved custom quizzes per year, newest first.
+  QuizPreset: {
+    async filter({ year }) {
+      return readJson(quizPresetsKey(year), []);
+    },
+
+    async create(payload) {
+      const record = {
+        id: `local-preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        created_by: GUEST_USER_EMAIL,
+        created_at: new Date().toISOString(),
+        ...payload,
+      };
+      const presets = readJson(quizPresetsKey(payload.year), []);
+      localStorage.setItem(quizPresetsKey(payload.year), JSON.stringify([record, ...presets]));
+      return record;
+    },
+
+    async delete(id, year) {
+      const presets = readJson(quizPresetsKey(year), []);
+      localStorage.setItem(quizPresetsKey(year), JSON.stringify(presets.filter((p) => p.id !== id)));
+    },
+  },
 };
 
 const appLogs = {
@@ -143,12 +245,22 @@ const appLogs = {
 
 const studyGuides = {
   async getByYear(year) {
-    const guides = await loadStudyGuides();
-    return guides.filter((g) => g.year === year);
+    return loadStudyGuides(year);
   },
   async getByYearAndSection(year, section) {
-    const guides = await loadStudyGuides();
-    return guides.filter((g) => g.year === year && g.section === section);
+    const guides = await loadStudyGuides(year);
+    return guides.filter((g) => g.section === section);
+  },
+};
+
+// Which packs (id, version, source, item count) make up a year's content
+const contentPacks = {
+  async list(year) {
+    const [questions, guides] = await Promise.all([
+      loadPacks('questions', year),
+      loadPacks('study_guides', year),
+    ]);
+    return [...questions.packs, ...guides.packs];
   },
 };
 
@@ -157,4 +269,25 @@ export const api = {
   entities,
   appLogs,
   studyGuides,
+  contentPacks,
+};
+
+/**
+ * Raw access to what a guest saved on this device, for merging into an
+ * account once they sign in with another backend (src/lib/guestMerge.js).
+ */
+export const guestData = {
+  read(year) {
+    const progress = readJson(progressKey(year), null);
+    return {
+      progress: progress?.created_by === GUEST_USER_EMAIL ? progress : null,
+      attempts: readJson(quizAttemptsKey(year), []),
+    };
+  },
+
+  clear(year) {
+    localStorage.removeItem(progressKey(year));
+    localStorage.removeItem(quizAttemptsKey(year));
+    localStorage.removeItem(quizSessionKey(year));
+  },
 };
@@ -0,0 +1,213 @@
+/**
+ * REST API client — talks to the Express backend under /api (cookie session).
+ * Implements the interface in adapterInterface.js; VITE_API_URL points it at
+ * another origin (defaults to the app's own).
+ */
+
+const BASE_URL = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
+
+async function request(path, { method = 'GET', body, allowNotFound = false } = {}) {
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method,
+    credentials: 'include',
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  if (allowNotFound && response.status === 404) return null;
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error(data?.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function query(params) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value != null) search.set(key, String(value));
+  });
+  const text = search.toString();
+  return text ? `?${text}` : '';
+}
+
+// The server speaks camelCase for the user record
+function toUser(data) {
+  if (!data) return null;
+  return {
+    id: data.id,
+    email: data.email,
+    full_name: data.fullName || [data.firstName, data.lastName].filter(Boolean).join(' ') || data.email,
+    first_name: data.firstName,
+    last_name: data.lastName,
+    profile_image_url: data.profileImageUrl,
+    selected_year: data.selectedYear || null,
+    role: data.role || 'user',
+  };
+}
+
+const auth = {
+  async me() {
+    try {
+      return toUser(await request('/api/auth/user'));
+    } catch (error) {
+      if (error.status === 401) return null;
+      throw error;
+    }
+  },
+
+  async signIn(email, password) {
+    await request('/api/auth/login', { method: 'POST', body: { email, password } });
+    return auth.me();
+  },
+
+  async signUp({ email, password, fullName, securityQuestion, securityAnswer }) {
+    await request('/api/auth/register', {
+      method: 'POST',
+      body: { email, password, fullName, securityQuestion, securityAnswer },
+    });
+    return auth.me();
+  },
+
+  async updateMe({ selected_year }) {
+    return toUser(await request('/api/auth/user', { method: 'PATCH', body: { selectedYear: selected_year } }));
+  },
+
+  async logout() {
+    await request('/api/auth/logout', { method: 'POST' });
+  },
+
+  redirectToLogin() {
+    window.location.href = '/auth';
+  },
+
+  async getResetQuestion(email) {
+    const data = await request('/api/auth/forgot-password/verify-email', { method: 'POST', body: { email } });
+    return data.securityQuestion;
+  },
+
+  async verifyResetAnswer(email, securityAnswer) {
+    const data = await request('/api/auth/forgot-password/verify-answer', { method: 'POST', body: { email, securityAnswer } });
+    return data.resetToken;
+  },
+
+  async resetPassword(email, resetToken, newPassword) {
+    const data = await request('/api/auth/forgot-password/reset', { method: 'POST', body: { email, resetToken, newPassword } });
+    return data.message;
+  },
+
+  async changePassword(currentPassword, newPassword) {
+    await request('/api/auth/change-password', { method: 'POST', body: { currentPassword, newPassword } });
+  },
+
+  async getSecurityQuestion() {
+    return (await request('/api/auth/security-question')).securityQuestion;
+  },
+
+  async updateSecurityQuestion({ currentPassword, securityQuestion, securityAnswer }) {
+    await request('/api/auth/security-question', {
+      method: 'PUT',
+      body: { currentPassword, securityQuestion, securityAnswer },
+    });
+  },
+};
+
+const entities = {
+  Question: {
+    async filter({ year, section }) {
+      return request(`/api/questions${query({ year, section })}`);
+    },
+  },
+
+  UserProgress: {
+    async filter({ year }) {
+      const record = await request(`/api/progress${query({ year })}`, { allowNotFound: true });
+      return record ? [record] : [];
+    },
+
+    async create(payload) {
+      return request('/api/progress', { method: 'POST', body: payload });
+    },
+
+    async update(id, payload) {
+      const fields = { ...payload };
+      delete fields._year;
+      return request(`/api/progress/${encodeURIComponent(id)}`, { method: 'PATCH', body: fields });
+    },
+
+    async delete(id) {
+      await request(`/api/progress/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    },
+  },
+
+  QuizSession: {
+    async get({ year }) {
+      return request(`/api/quiz-session${query({ year })}`, { allowNotFound: true });
+    },
+
+    async save(payload) {
+      return request('/api/quiz-session', { method: 'PUT', body: payload });
+    },
+
+    async delete(year) {
+      await request(`/api/quiz-session${query({ year })}`, { method: 'DELETE' });
+    },
+  },
+
+  QuizAttempt: {
+    async filter({ year }) {
+      return request(`/api/quiz-attempts${query({ year })}`);
+    },
+
+    async create(payload) {
+      return request('/api/quiz-attempts', { method: 'POST', body: payload });
+    },
+  },
+
+  QuizPreset: {
+    async filter({ year }) {
+      return request(`/api/quiz-presets${query({ year })}`);
+    },
+
+    async create(payload) {
+      return request('/api/quiz-presets', { method: 'POST', body: payload });
+    },
+
+    async delete(id) {
+      await request(`/api/quiz-presets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    },
+  },
+};
+
+const appLogs = {
+  logUserInApp() {
+    return Promise.resolve();
+  },
+};
+
+const studyGuides = {
+  async getByYear(year) {
+    return request(`/api/study-guides${query({ year })}`);
+  },
+  async getByYearAndSection(year, section) {
+    return request(`/api/study-guides${query({ year, section })}`);
+  },
+};
+
+const contentPacks = {
+  async list(year) {
+    return request(`/api/content-packs${query({ year })}`);
+  },
+};
+
+export const api = {
+  auth,
+  entities,
+  appLogs,
+  studyGuides,
+  contentPacks,
+};
@@ -1,6 +1,6 @@
 /**
  * Supabase API client — auth, questions, user progress, quiz attempts
- * Replaces the localClient.js with Supabase integration
+ * Implements the interface in adapterInterface.js on top of Supabase
  */
 
 import { supabase } from '@/lib/supabase';
@@ -8,6 +8,28 @@ import { supabase } from '@/lib/supabase';
 let questionsCache = null;
 let studyGuidesCache = null;
 
+// user_progress keeps the progress document in its progress_data JSONB column
+// (as the Express server keeps it in `data`), so new progress fields need no
+// schema change. These map between the document and the row.
+const PROGRESS_ROW_FIELDS = ['id', 'user_id', 'year', 'created_by', 'created_at', 'updated_at', '_year'];
+
+function progressData(payload) {
+  const data = { ...payload };
+  PROGRESS_ROW_FIELDS.forEach((field) => delete data[field]);
+  return data;
+}
+
+function toProgress(row, email) {
+  return {
+    ...(row.progress_data || {}),
+    id: row.id,
+    year: row.year,
+    created_by: email,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
 async function loadQuestions() {
   if (questionsCache) return questionsCache;
   try {
@@ -56,7 +78,7 @@ const auth = {
       const { data: { user }, error } = await supabase.auth.getUser();
       
       if (error || !user) {
-        throw new Error('User not authenticated');
+        return null;
       }
 
       // Get user profile data
@@ -135,7 +157,7 @@ const auth = {
 
   async signIn(email, password) {
     try {
-      const { data, error } = await supabase.auth.signInWithPassword({
+      const { error } = await supabase.auth.signInWithPassword({
         email,
         password
       });
@@ -144,16 +166,17 @@ const auth = {
         throw error;
       }
 
-      return data;
+      return auth.me();
     } catch (error) {
       console.error('Sign in error:', error);
       throw error;
     }
   },
 
-  async signUp(email, password, fullName) {
+  // Supabase handles password recovery by email, so security questions aren't stored
+  async signUp({ email, password, fullName }) {
     try {
-      const { data, error } = await supabase.auth.signUp({
+      const { error } = await supabase.auth.signUp({
         email,
         password,
         options: {
@@ -167,16 +190,35 @@ const auth = {
         throw error;
       }
 
-      return data;
+      return auth.me();
     } catch (error) {
       console.error('Sign up error:', error);
       throw error;
     }
   },
 
+  // Supabase has no "current password" check, so confirm it by signing in again first
+  async changePassword(currentPassword, newPassword) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { error: signInError } = await supabase.auth.signInWithPassword({ email: user.email, password: currentPassword });
+    if (signInError) {
+      throw new Error('Current password is incorrect');
+    }
+
+    const { error } = await supabase.auth.updateUser({ password: newPassword });
+    if (error) {
+      console.error('Change password error:', error);
+      throw error;
+    }
+  },
+
   redirectToLogin() {
     // This would typically redirect to a login page
-    window.location.href = '/login';
+    window.location.href = '/auth';
   },
 
   onAuthStateChange(callback) {
@@ -217,7 +259,7 @@ const entities = {
   },
 
   UserProgress: {
-    async filter({ created_by }) {
+    async filter({ created_by, year }) {
       try {
         const { data: user } = await supabase.auth.getUser();
         
@@ -229,6 +271,7 @@ const entities = {
           .from('user_progress')
           .select('*')
           .eq('user_id', user.user.id)
+          .eq('year', year)
           .single();
 
         if (error && error.code !== 'PGRST116') {
@@ -236,7 +279,7 @@ const entities = {
           return [];
         }
 
-        return data ? [data] : [];
+        return data ? [toProgress(data, user.user.email)] : [];
       } catch (error) {
         console.error('Error filtering user progress:', error);
         return [];
@@ -251,12 +294,15 @@ const entities = {
           throw new Error('User not authenticated');
         }
 
+        // One record per user and year: creating again replaces it, as on the server
         const { data, error } = await supabase
           .from('user_progress')
-          .insert({
+          .upsert({
             user_id: user.user.id,
-            ...payload
-          })
+            year: payload.year,
+            progress_data: progressData(payload),
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'user_id,year' })
           .select()
           .single();
 
@@ -265,7 +311,7 @@ const entities = {
           throw error;
         }
 
-        return data;
+        return toProgress(data, user.user.email);
       } catch (error) {
         console.error('Error creating user progress:', error);
         throw error;
@@ -280,10 +326,23 @@ const entities = {
           throw new Error('User not authenticated');
         }
 
+        const { data: existing, error: readError } = await supabase
+          .from('user_progress')
+          .select('progress_data')
+          .eq('id', id)
+          .eq('user_id', user.user.id)
+          .single();
+
+        if (readError) {
+          console.error('Error updating user progress:', readError);
+          throw readError;
+        }
+
+        // Fields not in the payload are kept; _year only routes the local adapter
         const { data, error } = await supabase
           .from('user_progress')
           .update({
-            ...payload,
+            progress_data: { ...(existing.progress_data || {}), ...progressData(payload) },
             updated_at: new Date().toISOString()
           })
           .eq('id', id)
@@ -296,14 +355,14 @@ const entities = {
           throw error;
         }
 
-        return data;
+        return toProgress(data, user.user.email);
       } catch (error) {
         console.error('Error updating user progress:', error);
         throw error;
       }
     },
 
-    async delete() {
+    async delete(id) {
       try {
         const { data: user } = await supabase.auth.getUser();
         
@@ -314,6 +373,7 @@ const entities = {
         const { error } = await supabase
           .from('user_progress')
           .delete()
+          .eq('id', id)
           .eq('user_id', user.user.id);
 
         if (error) {
@@ -329,19 +389,120 @@ const entities = {
     },
   },
 
+  QuizSession: {
+    async get({ year }) {
+      try {
+        const { data: user } = await supabase.auth.getUser();
+        
+        if (!user.user) {
+          return null;
+        }
+
+        const { data, error } = await supabase
+          .from('quiz_sessions')
+          .select('*')
+          .eq('user_id', user.user.id)
+          .eq('year', year)
+          .is('completed_at', null)
+          .order('updated_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        if (error) {
+          console.error('Error fetching quiz session:', error);
+          return null;
+        }
+
+        return data;
+      } catch (error) {
+        console.error('Error fetching quiz session:', error);
+        return null;
+      }
+    },
+
+    async save(payload) {
+      try {
+        const { data: user } = await supabase.auth.getUser();
+        
+        if (!user.user) {
+          throw new Error('User not authenticated');
+        }
+
+        const record = {
+          ...payload,
+          user_id: user.user.id,
+          updated_at: new Date().toISOString()
+        };
+
+        // One in-progress session per year: a new session replaces older ones
+        await supabase
+          .from('quiz_sessions')
+          .delete()
+          .eq('user_id', user.user.id)
+          .eq('year', payload.year)
+          .is('completed_at', null)
+          .neq('id', payload.id);
+
+        const { data, error } = await supabase
+          .from('quiz_sessions')
+          .upsert(record)
+          .select()
+          .single();
+
+        if (error) {
+          console.error('Error saving quiz session:', error);
+          throw error;
+        }
+
+        return data;
+      } catch (error) {
+        console.error('Error saving quiz session:', error);
+        throw error;
+      }
+    },
+
+    async delete(year) {
+      try {
+        const { data: user } = await supabase.auth.getUser();
+        
+        if (!user.user) {
+          throw new Error('User not authenticated');
+        }
+
+        const { error } = await supabase
+          .from('quiz_sessions')
+          .delete()
+          .eq('user_id', user.user.id)
+          .eq('year', year)
+          .is('completed_at', null);
+
+        if (error) {
+          console.error('Error deleting quiz session:', error);
+          throw error;
+        }
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting quiz session:', error);
+        throw error;
+      }
+    },
+  },
+
   QuizAttempt: {
-    async filter({ user_id }) {
+    async filter({ year }) {
       try {
         const { data: user } = await supabase.auth.getUser();
         
-        if (!user.user || user.user.id !== user_id) {
+        if (!user.user) {
           return [];
         }
 
         const { data, error } = await supabase
           .from('quiz_attempts')
           .select('*')
-          .eq('user_id', user_id)
+          .eq('user_id', user.user.id)
+          .eq('year', year)
           .order('completed_at', { ascending: false });
 
         if (error) {
@@ -385,6 +546,90 @@ const entities = {
       }
     },
   },
+
+  QuizPreset: {
+    async filter({ year }) {
+      try {
+        const { data: user } = await supabase.auth.getUser();
+        
+        if (!user.user) {
+          return [];
+        }
+
+        const { data, error } = await supabase
+          .from('quiz_presets')
+          .select('*')
+          .eq('user_id', user.user.id)
+          .eq('year', year)
+          .order('created_at', { ascending: false });
+
+        if (error) {
+          console.error('Error fetching quiz presets:', error);
+          return [];
+        }
+
+        return data || [];
+      } catch (error) {
+        console.error('Error filtering quiz presets:', error);
+        return [];
+      }
+    },
+
+    async create(payload) {
+      try {
+        const { data: user } = await supabase.auth.getUser();
+        
+        if (!user.user) {
+          throw new Error('User not authenticated');
+        }
+
+        const { data, error } = await supabase
+          .from('quiz_presets')
+          .insert({
+            user_id: user.user.id,
+            ...payload
+          })
+          .select()
+          .single();
+
+        if (error) {
+          console.error('Error creating quiz preset:', error);
+          throw error;
+        }
+
+        return data;
+      } catch (error) {
+        console.error('Error creating quiz preset:', error);
+        throw error;
+      }
+    },
+
+    async delete(id) {
+      try {
+        const { data: user } = await supabase.auth.getUser();
+        
+        if (!user.user) {
+          throw new Error('User not authenticated');
+        }
+
+        const { error } = await supabase
+          .from('quiz_presets')
+          .delete()
+          .eq('id', id)
+          .eq('user_id', user.user.id);
+
+        if (error) {
+          console.error('Error deleting quiz preset:', error);
+          throw error;
+        }
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting quiz preset:', error);
+        throw error;
+      }
+    },
+  },
 };
 
 const appLogs = {
@@ -440,25 +685,32 @@ const studyGuides = {
         .from('study_guides')
         .select('*')
         .eq('year', year)
-        .eq('section', section)
-        .single();
+        .eq('section', section);
 
-      if (error && error.code !== 'PGRST116') {
-        console.error('Error fetching study guide:', error);
-        return null;
+      if (error) {
+        console.error('Error fetching study guides by section:', error);
+        return [];
       }
 
-      return data;
+      return data || [];
     } catch (error) {
-      console.error('Error fetching study guide:', error);
-      return null;
+      console.error('Error fetching study guides by section:', error);
+      return [];
     }
   },
 };
 
+// Questions live in one table here rather than in versioned content packs
+const contentPacks = {
+  async list() {
+    return [];
+  },
+};
+
 export const api = {
   auth,
   entities,
   appLogs,
   studyGuides,
+  contentPacks,
 };
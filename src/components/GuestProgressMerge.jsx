@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { api, backend } from '@/api/client';
+import { useAuth } from '@/lib/AuthContext';
+import { mergeGuestProgress, hasGuestProgress } from '@/lib/guestMerge';
+import { CUMULATIVE_YEAR } from '@/lib/cumulativeExam';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { toast } from "sonner";
+
+function describe(entry) {
+  const parts = [];
+  if (entry.questionsAnswered) parts.push(`${entry.questionsAnswered} questions answered`);
+  if (entry.attemptsImported) parts.push(`${entry.attemptsImported} quiz results`);
+  if (entry.weakAdded) parts.push(`${entry.weakAdded} weak questions`);
+  if (entry.bookmarksAdded) parts.push(`${entry.bookmarksAdded} bookmarks`);
+  return parts.length ? parts.join(', ') : 'study streak and review schedule';
+}
+
+/**
+ * Once a user is signed in to an account backend, moves any progress they
+ * made as a guest on this device into the account and shows what came across.
+ */
+export default function GuestProgressMerge() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [summary, setSummary] = useState([]);
+  const started = useRef(false);
+
+  useEffect(() => {
+    // With the local adapter the guest data already is the user's data
+    if (backend === 'local' || !user || started.current || !hasGuestProgress()) return;
+    started.current = true;
+
+    mergeGuestProgress(api, user)
+      .then((result) => {
+        queryClient.invalidateQueries({ queryKey: ['userProgress'] });
+        queryClient.invalidateQueries({ queryKey: ['quizAttempts'] });
+        setSummary(result);
+      })
+      .catch((error) => {
+        console.error('Guest progress merge failed:', error);
+        toast.error('Could not import your guest progress. We will try again next time.');
+      });
+  }, [user, queryClient]);
+
+  return (
+    <AlertDialog open={summary.length > 0} onOpenChange={(open) => !open && setSummary([])}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>Guest Progress Imported</AlertDialogTitle>
+          <AlertDialogDescription>
+            Progress you made before signing in has been added to your account.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <ul className="space-y-2 text-sm">
+          {summary.map((entry) => (
+            <li key={entry.year} className="p-3 rounded-lg bg-slate-50">
+              <span className="font-medium">{entry.year === CUMULATIVE_YEAR ? 'Cumulative exams' : `Year ${entry.year}`}:</span> {describe(entry)}
+            </li>
+          ))}
+        </ul>
+        <AlertDialogFooter>
+          <AlertDialogAction>Got it</AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
@@ -1,12 +1,14 @@
 import React from 'react';
 import { Badge } from "@/components/ui/badge";
+import { CUMULATIVE_YEAR } from '@/lib/cumulativeExam';
 
 export default function YearIndicator({ year }) {
   const yearLabels = {
     1: "Year 1",
     2: "Year 2", 
     3: "Year 3",
-    4: "Year 4"
+    4: "Year 4",
+    [CUMULATIVE_YEAR]: "Years 1–4"
   };
 
   return (
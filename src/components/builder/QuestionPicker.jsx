@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Search, X } from "lucide-react";
+
+// Rendering thousands of rows makes typing in the search box sluggish
+const MAX_RESULTS = 50;
+
+function matchesSearch(question, terms) {
+  const text = [question.id, question.question_text, question.subtopic, question.section_name, question.reference]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+export default function QuestionPicker({ questions, sections, pickedIds, onChange }) {
+  const [search, setSearch] = useState('');
+  const [sectionFilter, setSectionFilter] = useState('all');
+
+  const picked = new Set(pickedIds);
+  const byId = new Map(questions.map(q => [q.id, q]));
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = questions.filter(q =>
+    (sectionFilter === 'all' || q.section === Number(sectionFilter)) && matchesSearch(q, terms)
+  );
+
+  const toggle = (id) => {
+    onChange(picked.has(id) ? pickedIds.filter(p => p !== id) : [...pickedIds, id]);
+  };
+
+  const addAllShown = () => {
+    onChange([...pickedIds, ...matches.slice(0, MAX_RESULTS).map(q => q.id).filter(id => !picked.has(id))]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search question text, ID, subtopic or reference"
+            className="pl-9"
+          />
+        </div>
+        <Select value={sectionFilter} onValueChange={setSectionFilter}>
+          <SelectTrigger className="sm:w-56">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All sections</SelectItem>
+            {sections.map(s => (
+              <SelectItem key={s.num} value={s.num.toString()}>Section {s.num}: {s.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-slate-500">
+        <span>
+          {matches.length > MAX_RESULTS
+            ? `Showing ${MAX_RESULTS} of ${matches.length} matches; refine your search to see the rest`
+            : `${matches.length} matching questions`}
+        </span>
+        {matches.length > 0 && (
+          <Button variant="ghost" size="sm" onClick={addAllShown}>Add all shown</Button>
+        )}
+      </div>
+
+      <div className="space-y-2 max-h-[28rem] overflow-y-auto pr-1">
+        {matches.slice(0, MAX_RESULTS).map(q => (
+          <label
+            key={q.id}
+            className="flex items-start gap-3 p-3 rounded-lg border border-slate-200 hover:bg-slate-50 cursor-pointer"
+          >
+            <Checkbox checked={picked.has(q.id)} onCheckedChange={() => toggle(q.id)} className="mt-1" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-slate-800">{q.question_text}</p>
+              <div className="flex flex-wrap items-center gap-2 mt-1.5">
+                <Badge variant="secondary">Section {q.section}</Badge>
+                <Badge variant="outline" className="capitalize">{q.difficulty}</Badge>
+                <span className="text-xs font-mono text-slate-400">{q.id}</span>
+              </div>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {pickedIds.length > 0 && (
+        <div className="border-t pt-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-medium text-slate-700">Picked, in quiz order ({pickedIds.length})</p>
+            <Button variant="ghost" size="sm" onClick={() => onChange([])}>Clear</Button>
+          </div>
+          <ol className="space-y-1">
+            {pickedIds.map((id, index) => (
+              <li key={id} className="flex items-center gap-2 text-sm">
+                <span className="w-6 text-right text-slate-400">{index + 1}.</span>
+                <span className="flex-1 truncate text-slate-600" title={byId.get(id)?.question_text}>
+                  {byId.get(id)?.question_text || `${id} (no longer in the bank)`}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-6 w-6 text-slate-400"
+                  onClick={() => toggle(id)}
+                  aria-label={`Remove ${id}`}
+                >
+                  <X className="h-3.5 w-3.5" />
+                </Button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
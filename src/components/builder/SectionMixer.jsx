@@ -0,0 +1,64 @@
+import React from 'react';
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+
+const difficulties = [
+  { value: 'mixed', label: 'Mixed' },
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' }
+];
+
+export default function SectionMixer({ questions, sections, counts, onCountsChange, difficulty, onDifficultyChange }) {
+  const available = (num) => questions.filter(q =>
+    q.section === num && (difficulty === 'mixed' || q.difficulty === difficulty)
+  ).length;
+
+  const setCount = (num, value) => {
+    const count = Math.max(0, Math.min(available(num), parseInt(value) || 0));
+    const next = { ...counts };
+    if (count > 0) next[num] = count;
+    else delete next[num];
+    onCountsChange(next);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <Label htmlFor="mix-difficulty">Difficulty</Label>
+        <Select value={difficulty} onValueChange={onDifficultyChange}>
+          <SelectTrigger id="mix-difficulty" className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {difficulties.map(d => (
+              <SelectItem key={d.value} value={d.value}>{d.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="space-y-2">
+        {sections.map(s => (
+          <div key={s.num} className="flex items-center gap-3 p-3 rounded-lg bg-slate-50">
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-slate-800 truncate">Section {s.num}: {s.name}</p>
+              <p className="text-xs text-slate-500">{available(s.num)} available • {s.weight}% of exam</p>
+            </div>
+            <Input
+              type="number"
+              min={0}
+              max={available(s.num)}
+              value={counts[s.num] || ''}
+              placeholder="0"
+              onChange={(e) => setCount(s.num, e.target.value)}
+              className="w-20 text-right"
+              aria-label={`Questions from section ${s.num}`}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
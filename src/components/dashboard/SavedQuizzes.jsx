@@ -0,0 +1,50 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { ListPlus, Play, Plus } from "lucide-react";
+import { definitionQuestionCount, customQuizParams } from '@/lib/customQuiz';
+
+// Only the newest few; the Quiz Builder lists them all
+const SHOWN_PRESETS = 5;
+
+export default function SavedQuizzes({ presets = [] }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ListPlus className="h-5 w-5" />
+          Saved Quizzes
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {presets.length === 0 && (
+          <p className="text-sm text-slate-500">
+            Hand-pick questions or mix sections into a quiz you can re-run and share.
+          </p>
+        )}
+        {presets.slice(0, SHOWN_PRESETS).map(preset => (
+          <Link
+            key={preset.id}
+            to={createPageUrl('Quiz') + '?' + customQuizParams(preset, preset.settings).toString()}
+          >
+            <Button variant="outline" className="w-full justify-between h-auto py-2">
+              <span className="text-left min-w-0">
+                <span className="block font-medium truncate">{preset.name}</span>
+                <span className="block text-xs text-slate-500">{definitionQuestionCount(preset)} questions</span>
+              </span>
+              <Play className="h-4 w-4 shrink-0" />
+            </Button>
+          </Link>
+        ))}
+        <Link to={createPageUrl('QuizBuilder')}>
+          <Button variant="ghost" className="w-full justify-start">
+            <Plus className="h-4 w-4 mr-2" />
+            {presets.length > SHOWN_PRESETS ? `Build a Quiz (${presets.length} saved)` : 'Build a Quiz'}
+          </Button>
+        </Link>
+      </CardContent>
+    </Card>
+  );
+}
@@ -3,26 +3,24 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { cn } from "@/lib/utils";
 import { TrendingUp, TrendingDown, Minus, AlertCircle } from "lucide-react";
+import { getBlueprint } from '@/lib/blueprints';
 
-const sectionInfo = {
-  1: { name: "Workplace Safety and Rigging", target: 10, color: "blue" },
-  2: { name: "Tools, Equipment and Materials", target: 38, color: "purple" },
-  3: { name: "Metal Fabrication", target: 19, color: "orange" },
-  4: { name: "Drawings and Specifications", target: 13, color: "teal" },
-  5: { name: "Calculations and Science", target: 20, color: "pink" }
-};
+const sectionColors = ["blue", "purple", "orange", "teal", "pink", "indigo"];
 
-export default function SectionProgress({ sectionStats = {} }) {
-  const sections = Object.entries(sectionInfo).map(([num, info]) => {
-    const stats = sectionStats[num] || { attempted: 0, correct: 0 };
+export default function SectionProgress({ year, sectionStats = {} }) {
+  const { sections: blueprintSections, pass_mark: passMark } = getBlueprint(year);
+  const sections = blueprintSections.map((info, index) => {
+    const stats = sectionStats[info.num] || { attempted: 0, correct: 0 };
     const percentage = stats.attempted > 0 
       ? Math.round((stats.correct / stats.attempted) * 100) 
       : 0;
-    const status = percentage >= 70 ? "passing" : percentage > 0 ? "needs_work" : "not_started";
+    const status = percentage >= passMark ? "passing" : percentage > 0 ? "needs_work" : "not_started";
     
     return {
-      section: num,
-      ...info,
+      section: info.num,
+      name: info.name,
+      target: info.weight,
+      color: sectionColors[index % sectionColors.length],
       ...stats,
       percentage,
       status
@@ -31,14 +29,14 @@ export default function SectionProgress({ sectionStats = {} }) {
 
   const getStatusIcon = (status, percentage) => {
     if (status === "not_started") return <Minus className="h-4 w-4 text-slate-400" />;
-    if (percentage >= 70) return <TrendingUp className="h-4 w-4 text-emerald-500" />;
+    if (percentage >= passMark) return <TrendingUp className="h-4 w-4 text-emerald-500" />;
     return <TrendingDown className="h-4 w-4 text-rose-500" />;
   };
 
   const getStatusBadge = (status, percentage) => {
     if (status === "not_started") return { text: "Not Started", class: "bg-slate-100 text-slate-600" };
     if (percentage >= 85) return { text: "Excellent", class: "bg-emerald-100 text-emerald-700" };
-    if (percentage >= 70) return { text: "Passing", class: "bg-blue-100 text-blue-700" };
+    if (percentage >= passMark) return { text: "Passing", class: "bg-blue-100 text-blue-700" };
     if (percentage >= 50) return { text: "Needs Work", class: "bg-amber-100 text-amber-700" };
     return { text: "Focus Area", class: "bg-rose-100 text-rose-700" };
   };
@@ -69,11 +67,13 @@ export default function SectionProgress({ sectionStats = {} }) {
                     backgroundColor: section.color === 'blue' ? '#dbeafe' : 
                                    section.color === 'purple' ? '#f3e8ff' :
                                    section.color === 'orange' ? '#fed7aa' :
-                                   section.color === 'teal' ? '#ccfbf1' : '#fce7f3',
+                                   section.color === 'teal' ? '#ccfbf1' :
+                                   section.color === 'indigo' ? '#e0e7ff' : '#fce7f3',
                     color: section.color === 'blue' ? '#1d4ed8' : 
                           section.color === 'purple' ? '#7c3aed' :
                           section.color === 'orange' ? '#c2410c' :
-                          section.color === 'teal' ? '#0d9488' : '#be185d'
+                          section.color === 'teal' ? '#0d9488' :
+                          section.color === 'indigo' ? '#4338ca' : '#be185d'
                   }}
                   >
                     {section.section}
@@ -97,7 +97,7 @@ export default function SectionProgress({ sectionStats = {} }) {
                 <div 
                   className={cn(
                     "h-full transition-all duration-500",
-                    section.percentage >= 70 ? "bg-emerald-500" :
+                    section.percentage >= passMark ? "bg-emerald-500" :
                     section.percentage > 0 ? "bg-amber-500" : "bg-slate-200"
                   )}
                   style={{ width: `${section.percentage}%` }}
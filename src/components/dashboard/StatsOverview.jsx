@@ -6,12 +6,14 @@ import {
   Flame, 
   Trophy,
   BookOpen,
-  TrendingUp
+  TrendingUp,
+  Gauge,
+  GraduationCap
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { motion } from "framer-motion";
 
-export default function StatsOverview({ progress }) {
+export default function StatsOverview({ progress, readiness }) {
   const stats = [
     {
       label: "Questions Answered",
@@ -56,11 +58,27 @@ export default function StatsOverview({ progress }) {
       icon: TrendingUp,
       color: "text-teal-600",
       bgColor: "bg-teal-50"
+    },
+    {
+      label: "Predicted Exam Score",
+      value: readiness ? `${Math.round(readiness.estimate)}%` : "—",
+      detail: readiness && `${Math.round(readiness.low)}–${Math.round(readiness.high)}% likely`,
+      icon: Gauge,
+      color: "text-blue-600",
+      bgColor: "bg-blue-50"
+    },
+    {
+      label: "Pass Probability",
+      value: readiness ? `${Math.round(readiness.passProbability)}%` : "—",
+      detail: readiness && `of scoring ${readiness.passMark}% or more`,
+      icon: GraduationCap,
+      color: "text-emerald-600",
+      bgColor: "bg-emerald-50"
     }
   ];
 
   return (
-    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
       {stats.map((stat, index) => (
         <motion.div
           key={stat.label}
@@ -75,6 +93,7 @@ export default function StatsOverview({ progress }) {
               </div>
               <p className="text-2xl font-bold text-slate-800">{stat.value}</p>
               <p className="text-xs text-slate-500 mt-1">{stat.label}</p>
+              {stat.detail && <p className="text-xs text-slate-400">{stat.detail}</p>}
             </CardContent>
           </Card>
         </motion.div>
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Badge } from "@/components/ui/badge";
+import { ArrowDown, ArrowRight, ArrowUp, SlidersHorizontal } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { LEVELS } from '@/lib/adaptiveDifficulty';
+import { getSectionName } from '@/lib/blueprints';
+
+const levelColors = {
+  easy: "bg-emerald-100 text-emerald-700",
+  medium: "bg-amber-100 text-amber-700",
+  hard: "bg-rose-100 text-rose-700"
+};
+
+function explain(entry) {
+  const change = LEVELS.indexOf(entry.level) - LEVELS.indexOf(entry.start);
+  const record = `${entry.correct} of ${entry.answered} correct`;
+  if (change > 0) return `Moved up from ${entry.start} to ${entry.level} (${record}).`;
+  if (change < 0) return `Dropped from ${entry.start} to ${entry.level} after misses (${record}).`;
+  if (entry.peak !== entry.level) return `Reached ${entry.peak} but finished back at ${entry.level} (${record}).`;
+  return `Stayed at ${entry.level} (${record}).`;
+}
+
+export default function AdaptiveSummary({ year, levels }) {
+  if (!levels?.length) return null;
+
+  return (
+    <div className="mb-8">
+      <h3 className="font-semibold text-slate-800 mb-1 flex items-center gap-2">
+        <SlidersHorizontal className="h-4 w-4" />
+        Adaptive Difficulty
+      </h3>
+      <p className="text-sm text-slate-500 mb-4">
+        Each section started at a level based on your past accuracy, stepped up after two correct answers in a row, and down after a miss.
+      </p>
+      <div className="space-y-3">
+        {levels.map(entry => {
+          const change = LEVELS.indexOf(entry.level) - LEVELS.indexOf(entry.start);
+          const Icon = change > 0 ? ArrowUp : change < 0 ? ArrowDown : ArrowRight;
+          return (
+            <div key={entry.section} className="flex items-start gap-3 p-3 rounded-lg bg-slate-50">
+              <Icon className={cn(
+                "h-4 w-4 mt-0.5 shrink-0",
+                change > 0 ? "text-emerald-500" : change < 0 ? "text-rose-500" : "text-slate-400"
+              )} />
+              <div className="flex-1 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-slate-700 truncate">{getSectionName(year, entry.section)}</span>
+                  <Badge className={cn("capitalize", levelColors[entry.level])}>{entry.level}</Badge>
+                </div>
+                <p className="text-slate-500 mt-0.5">{explain(entry)}</p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from "@/components/ui/collapsible";
+import { KeyRound, Link2, Copy, ChevronDown } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+import { formatAnswer, formatCorrectAnswer } from '@/lib/questionTypes';
+import { toDisplayQuestion, toDisplayAnswer } from '@/lib/optionShuffle';
+
+// Key and answers in the letters everyone on the same link saw
+function keyEntries(questions, questionResults) {
+  const resultsById = new Map(questionResults.map(r => [r.question_id, r]));
+  return questions
+    .map((question, index) => ({ question, number: index + 1, result: resultsById.get(question.id) }))
+    .filter(entry => entry.result)
+    .map(({ question, number, result }) => {
+      const shown = toDisplayQuestion(question, result.option_order);
+      return {
+        number,
+        section: question.section,
+        key: formatCorrectAnswer(shown),
+        answer: formatAnswer(shown, toDisplayAnswer(question, result.user_answer, result.option_order)),
+        correct: result.correct
+      };
+    });
+}
+
+async function copy(text, message) {
+  try {
+    await navigator.clipboard.writeText(text);
+    toast.success(message);
+  } catch {
+    toast.error('Copying is blocked in this browser');
+  }
+}
+
+export default function AnswerKey({ seed, shareUrl, questions = [], questionResults = [] }) {
+  const [open, setOpen] = useState(false);
+  const entries = keyEntries(questions, questionResults);
+  if (!seed || entries.length === 0) return null;
+
+  const matched = entries.filter(e => e.correct);
+  const missed = entries.filter(e => !e.correct);
+  const keyText = `Quiz ${seed} answer key: ` + entries.map(e => `${e.number} ${e.key}`).join(', ');
+
+  return (
+    <div className="mb-8 p-4 rounded-xl border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <KeyRound className="h-4 w-4" />
+          Quiz Code <span className="font-mono tracking-wider">{seed}</span>
+        </h3>
+        <div className="flex gap-2">
+          {shareUrl && (
+            <Button variant="outline" size="sm" onClick={() => copy(shareUrl, 'Quiz link copied')}>
+              <Link2 className="mr-1 h-4 w-4" />
+              Copy Link
+            </Button>
+          )}
+          <Button variant="outline" size="sm" onClick={() => copy(keyText, 'Answer key copied')}>
+            <Copy className="mr-1 h-4 w-4" />
+            Copy Key
+          </Button>
+        </div>
+      </div>
+      <p className="text-sm text-slate-500 mb-3">
+        {shareUrl
+          ? 'Anyone who opens this quiz link gets the same questions in the same order, with the same answer letters.'
+          : 'This quiz was drawn from your own progress, so the code only repeats it for you.'}
+      </p>
+      <p className="text-sm text-slate-700">
+        You matched the key on <span className="font-semibold">{matched.length} of {entries.length}</span>
+        {missed.length > 0 && <>; missed {missed.map(e => `Q${e.number}`).join(', ')}</>}.
+      </p>
+
+      <Collapsible open={open} onOpenChange={setOpen}>
+        <CollapsibleTrigger asChild>
+          <Button variant="ghost" size="sm" className="mt-2 -ml-2">
+            <ChevronDown className={cn("mr-1 h-4 w-4 transition-transform", open && "rotate-180")} />
+            {open ? 'Hide' : 'Show'} answer key
+          </Button>
+        </CollapsibleTrigger>
+        <CollapsibleContent>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-2">
+            {entries.map(e => (
+              <div
+                key={e.number}
+                className={cn(
+                  "px-2 py-1.5 rounded-lg text-sm",
+                  e.correct ? "bg-emerald-50 text-emerald-800" : "bg-rose-50 text-rose-800"
+                )}
+                title={`Section ${e.section}`}
+              >
+                <span className="font-medium">{e.number}.</span> {e.key}
+                {!e.correct && (
+                  <span className="block text-xs text-rose-600">you: {e.answer || 'blank'}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </CollapsibleContent>
+      </Collapsible>
+    </div>
+  );
+}
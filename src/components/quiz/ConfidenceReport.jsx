@@ -0,0 +1,89 @@
+import React from 'react';
+import { Button } from "@/components/ui/button";
+import { ShieldQuestion, AlertTriangle, Dices } from "lucide-react";
+import { summarizeConfidence } from '@/lib/confidence';
+
+function QuestionList({ results, positions }) {
+  return (
+    <div className="space-y-1.5">
+      {results.map(r => {
+        const entry = positions.get(r.question_id);
+        return (
+          <p key={r.question_id} className="text-sm text-slate-600 truncate" title={entry?.question.question_text}>
+            {entry ? `Q${entry.number}. ${entry.question.question_text}` : r.question_id}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
+
+export default function ConfidenceReport({ questionResults = [], questions = [], onReview }) {
+  const summary = summarizeConfidence(questionResults);
+  if (summary.rated === 0) return null;
+
+  const positions = new Map(questions.map((q, i) => [q.id, { question: q, number: i + 1 }]));
+  const { confidentMisses, luckyGuesses } = summary;
+
+  return (
+    <div className="mb-8">
+      <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+        <ShieldQuestion className="h-4 w-4" />
+        Confidence
+      </h3>
+
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        {summary.levels.map(level => (
+          <div key={level.value} className="text-center p-3 bg-slate-50 rounded-xl">
+            <p className="text-lg font-bold text-slate-800">
+              {level.answered > 0 ? `${Math.round((level.correct / level.answered) * 100)}%` : '–'}
+            </p>
+            <p className="text-xs text-slate-500">
+              {level.label} · {level.correct}/{level.answered} correct
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {confidentMisses.length > 0 && (
+        <div className="p-4 rounded-xl border bg-rose-50 border-rose-200 mb-3">
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <p className="font-medium text-rose-800 flex items-center gap-2 text-sm">
+              <AlertTriangle className="h-4 w-4" />
+              Sure but wrong ({confidentMisses.length})
+            </p>
+            {onReview && (
+              <Button variant="outline" size="sm" onClick={() => onReview('confident_miss')}>
+                Review
+              </Button>
+            )}
+          </div>
+          <p className="text-sm text-rose-700 mb-2">
+            These point to a misunderstanding rather than a gap, so they're first in line in Weak Areas practice.
+          </p>
+          <QuestionList results={confidentMisses} positions={positions} />
+        </div>
+      )}
+
+      {luckyGuesses.length > 0 && (
+        <div className="p-4 rounded-xl border bg-amber-50 border-amber-200">
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <p className="font-medium text-amber-800 flex items-center gap-2 text-sm">
+              <Dices className="h-4 w-4" />
+              Lucky guesses ({luckyGuesses.length})
+            </p>
+            {onReview && (
+              <Button variant="outline" size="sm" onClick={() => onReview('lucky')}>
+                Review
+              </Button>
+            )}
+          </div>
+          <p className="text-sm text-amber-700 mb-2">
+            Right, but not for certain. They stay on your weak questions list until you get them right with confidence.
+          </p>
+          <QuestionList results={luckyGuesses} positions={positions} />
+        </div>
+      )}
+    </div>
+  );
+}
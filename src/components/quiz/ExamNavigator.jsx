@@ -0,0 +1,60 @@
+import React from 'react';
+import { Button } from "@/components/ui/button";
+import { ChevronLeft, ChevronRight, Flag, ClipboardCheck } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+export default function ExamNavigator({
+  currentIndex,
+  totalQuestions,
+  isFlagged,
+  onPrevious,
+  onNext,
+  onToggleFlag,
+  onReview
+}) {
+  const isLast = currentIndex === totalQuestions - 1;
+
+  return (
+    <div className="w-full max-w-3xl mx-auto mt-6 flex items-center justify-between gap-3">
+      <Button
+        variant="outline"
+        onClick={onPrevious}
+        disabled={currentIndex === 0}
+        className="h-12"
+      >
+        <ChevronLeft className="mr-1 h-5 w-5" />
+        Previous
+      </Button>
+
+      <Button
+        variant="outline"
+        onClick={onToggleFlag}
+        className={cn(
+          "h-12",
+          isFlagged && "border-amber-400 bg-amber-50 text-amber-700 hover:bg-amber-100"
+        )}
+      >
+        <Flag className={cn("mr-2 h-4 w-4", isFlagged && "fill-amber-500 text-amber-500")} />
+        {isFlagged ? 'Flagged' : 'Flag for Review'}
+      </Button>
+
+      {isLast ? (
+        <Button
+          onClick={onReview}
+          className="h-12 bg-slate-900 hover:bg-slate-800"
+        >
+          <ClipboardCheck className="mr-2 h-5 w-5" />
+          Review & Submit
+        </Button>
+      ) : (
+        <Button
+          onClick={onNext}
+          className="h-12 bg-slate-900 hover:bg-slate-800"
+        >
+          Next
+          <ChevronRight className="ml-1 h-5 w-5" />
+        </Button>
+      )}
+    </div>
+  );
+}
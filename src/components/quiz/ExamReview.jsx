@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { ArrowLeft, Send, Flag, AlertTriangle, CheckCircle2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { motion } from "framer-motion";
+import { formatAnswer } from '@/lib/questionTypes';
+import { toDisplayAnswer } from '@/lib/optionShuffle';
+
+const filters = [
+  { value: 'all', label: 'All' },
+  { value: 'unanswered', label: 'Unanswered' },
+  { value: 'flagged', label: 'Flagged' }
+];
+
+export default function ExamReview({
+  questions,
+  responses = {},
+  flagged = [],
+  optionOrders = {},
+  onJumpTo,
+  onReturn,
+  onSubmit
+}) {
+  const [filter, setFilter] = useState('all');
+
+  const items = questions.map((q, index) => ({
+    index,
+    question: q,
+    // Shown in the letters the user saw
+    answer: toDisplayAnswer(q, responses[q.id], optionOrders[q.id]),
+    isFlagged: flagged.includes(q.id)
+  }));
+
+  const unansweredCount = items.filter(i => !i.answer).length;
+  const flaggedCount = items.filter(i => i.isFlagged).length;
+
+  const visible = items.filter(i =>
+    filter === 'all' ||
+    (filter === 'unanswered' && !i.answer) ||
+    (filter === 'flagged' && i.isFlagged)
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="w-full max-w-3xl mx-auto"
+    >
+      <Card className="border-0 shadow-xl bg-white/80 backdrop-blur-sm">
+        <CardContent className="p-8">
+          <h2 className="text-2xl font-bold text-slate-900 mb-2">Review Before Submitting</h2>
+          <p className="text-slate-600 mb-6">
+            Select any question to go back and change your answer. Your exam is scored only when you submit.
+          </p>
+
+          {/* Summary */}
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="text-center p-4 bg-slate-50 rounded-xl">
+              <CheckCircle2 className="h-6 w-6 text-emerald-500 mx-auto mb-2" />
+              <p className="text-2xl font-bold text-slate-800">{items.length - unansweredCount}</p>
+              <p className="text-xs text-slate-500">Answered</p>
+            </div>
+            <div className="text-center p-4 bg-slate-50 rounded-xl">
+              <AlertTriangle className="h-6 w-6 text-rose-500 mx-auto mb-2" />
+              <p className="text-2xl font-bold text-slate-800">{unansweredCount}</p>
+              <p className="text-xs text-slate-500">Unanswered</p>
+            </div>
+            <div className="text-center p-4 bg-slate-50 rounded-xl">
+              <Flag className="h-6 w-6 text-amber-500 mx-auto mb-2" />
+              <p className="text-2xl font-bold text-slate-800">{flaggedCount}</p>
+              <p className="text-xs text-slate-500">Flagged</p>
+            </div>
+          </div>
+
+          {/* Filter */}
+          <div className="flex gap-2 mb-4">
+            {filters.map(f => (
+              <Button
+                key={f.value}
+                variant={filter === f.value ? "default" : "outline"}
+                size="sm"
+                onClick={() => setFilter(f.value)}
+              >
+                {f.label}
+              </Button>
+            ))}
+          </div>
+
+          {/* Question List */}
+          <div className="space-y-2 max-h-96 overflow-y-auto mb-6">
+            {visible.length === 0 ? (
+              <p className="text-sm text-slate-500 text-center py-6">Nothing to review here.</p>
+            ) : (
+              visible.map(item => (
+                <button
+                  key={item.question.id}
+                  onClick={() => onJumpTo(item.index)}
+                  className="w-full flex items-center gap-3 p-3 rounded-lg border border-slate-200 hover:bg-slate-50 text-left transition-colors"
+                >
+                  <span className={cn(
+                    "w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium shrink-0",
+                    item.answer ? "bg-slate-400 text-white" : "bg-slate-100 text-slate-500"
+                  )}>
+                    {item.index + 1}
+                  </span>
+                  <span className="flex-1 text-sm text-slate-700 truncate">
+                    {item.question.question_text}
+                  </span>
+                  {item.isFlagged && <Flag className="h-4 w-4 text-amber-500 fill-amber-500 shrink-0" />}
+                  <Badge variant="outline" className={cn(!item.answer && "text-rose-600 border-rose-200")}>
+                    {formatAnswer(item.question, item.answer) || 'Unanswered'}
+                  </Badge>
+                </button>
+              ))
+            )}
+          </div>
+
+          {unansweredCount > 0 && (
+            <div className="mb-6 p-4 bg-amber-50 rounded-xl border border-amber-200 text-sm text-amber-800">
+              {unansweredCount} {unansweredCount === 1 ? 'question is' : 'questions are'} unanswered and will be marked incorrect.
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="grid grid-cols-2 gap-3">
+            <Button variant="outline" onClick={onReturn} className="h-12">
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              Return to Exam
+            </Button>
+            <Button onClick={onSubmit} className="h-12 bg-slate-900 hover:bg-slate-800">
+              <Send className="mr-2 h-4 w-4" />
+              Submit Exam
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
@@ -0,0 +1,81 @@
+import React from 'react';
+import { Check, CheckCircle2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { getOptions, splitLetters, joinLetters } from '@/lib/questionTypes';
+
+export default function MultiSelectAnswer({ question, value, onChange, showExplanation }) {
+  const options = getOptions(question);
+  const selected = splitLetters(value);
+  const correct = splitLetters(question.correct_answer);
+
+  const toggle = (letter) => {
+    const next = selected.includes(letter)
+      ? selected.filter(l => l !== letter)
+      : [...selected, letter].sort();
+    onChange(joinLetters(next));
+  };
+
+  const getOptionStyle = (letter) => {
+    const isSelected = selected.includes(letter);
+    if (!showExplanation) {
+      return isSelected
+        ? "border-slate-900 bg-slate-50 ring-2 ring-slate-900"
+        : "border-slate-200 hover:border-slate-300 hover:bg-slate-50";
+    }
+    if (correct.includes(letter)) {
+      return isSelected
+        ? "border-emerald-500 bg-emerald-50 ring-2 ring-emerald-500"
+        : "border-emerald-500 border-dashed bg-emerald-50/50";
+    }
+    if (isSelected) {
+      return "border-rose-500 bg-rose-50 ring-2 ring-rose-500";
+    }
+    return "border-slate-200 opacity-50";
+  };
+
+  return (
+    <div>
+      <p className="text-sm font-medium text-slate-600 mb-3">Select all that apply</p>
+      <div className="space-y-3">
+        {options.map((option) => {
+          const isSelected = selected.includes(option.letter);
+          const isCorrect = correct.includes(option.letter);
+          return (
+            <button
+              key={option.letter}
+              onClick={() => !showExplanation && toggle(option.letter)}
+              disabled={showExplanation}
+              className={cn(
+                "w-full p-4 rounded-xl border-2 text-left transition-all duration-200 flex items-center gap-4",
+                getOptionStyle(option.letter),
+                !showExplanation && "cursor-pointer"
+              )}
+            >
+              <span className={cn(
+                "w-10 h-10 rounded-lg flex items-center justify-center font-semibold text-sm shrink-0",
+                showExplanation && isCorrect
+                  ? "bg-emerald-500 text-white"
+                  : showExplanation && isSelected
+                  ? "bg-rose-500 text-white"
+                  : isSelected
+                  ? "bg-slate-900 text-white"
+                  : "bg-slate-100 text-slate-600"
+              )}>
+                {showExplanation && isCorrect ? (
+                  <CheckCircle2 className="h-5 w-5" />
+                ) : showExplanation && isSelected ? (
+                  <XCircle className="h-5 w-5" />
+                ) : isSelected ? (
+                  <Check className="h-5 w-5" />
+                ) : (
+                  option.letter
+                )}
+              </span>
+              <span className="text-slate-700 font-medium">{option.text}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Input } from "@/components/ui/input";
+import { CheckCircle2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { isAnswerCorrect } from '@/lib/questionTypes';
+
+export default function NumericAnswer({ question, value, onChange, showExplanation }) {
+  const isCorrect = showExplanation && isAnswerCorrect(question, value);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-600 mb-2">
+        Enter your answer{question.unit ? ` in ${question.unit}` : ''}
+      </label>
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1">
+          <Input
+            type="text"
+            inputMode="decimal"
+            autoComplete="off"
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value.trim())}
+            disabled={showExplanation}
+            placeholder="0"
+            className={cn(
+              "h-14 text-lg font-medium rounded-xl border-2 pr-16",
+              !showExplanation && "border-slate-200 focus-visible:ring-slate-900",
+              showExplanation && (isCorrect
+                ? "border-emerald-500 bg-emerald-50"
+                : "border-rose-500 bg-rose-50")
+            )}
+          />
+          {question.unit && (
+            <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">
+              {question.unit}
+            </span>
+          )}
+        </div>
+        {showExplanation && (isCorrect
+          ? <CheckCircle2 className="h-6 w-6 text-emerald-600 shrink-0" />
+          : <XCircle className="h-6 w-6 text-rose-600 shrink-0" />
+        )}
+      </div>
+      {Number(question.tolerance) > 0 && !showExplanation && (
+        <p className="text-xs text-slate-400 mt-2">
+          Answers within ±{question.tolerance}{question.unit ? ` ${question.unit}` : ''} are accepted
+        </p>
+      )}
+    </div>
+  );
+}
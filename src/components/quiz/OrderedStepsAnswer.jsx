@@ -0,0 +1,128 @@
+import React from 'react';
+import { DragDropContext, Droppable, Draggable } from "@hello-pangea/dnd";
+import { Button } from "@/components/ui/button";
+import { GripVertical, ChevronUp, ChevronDown, CheckCircle2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { getOptions, splitLetters, joinLetters } from '@/lib/questionTypes';
+
+export default function OrderedStepsAnswer({ question, value, onChange, showExplanation }) {
+  const options = getOptions(question);
+  const byLetter = Object.fromEntries(options.map(o => [o.letter, o]));
+  const order = value ? splitLetters(value) : options.map(o => o.letter);
+  const correct = splitLetters(question.correct_answer);
+
+  const move = (from, to) => {
+    if (to < 0 || to >= order.length || from === to) return;
+    const next = [...order];
+    const [letter] = next.splice(from, 1);
+    next.splice(to, 0, letter);
+    onChange(joinLetters(next));
+  };
+
+  const handleDragEnd = (result) => {
+    if (!result.destination) return;
+    move(result.source.index, result.destination.index);
+  };
+
+  return (
+    <div>
+      <p className="text-sm font-medium text-slate-600 mb-3">
+        Drag the steps into the correct order (first step at the top)
+      </p>
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <Droppable droppableId={`steps-${question.id}`} isDropDisabled={showExplanation}>
+          {(provided) => (
+            <div ref={provided.innerRef} {...provided.droppableProps} className="space-y-3">
+              {order.map((letter, index) => {
+                const isRight = correct[index] === letter;
+                return (
+                  <Draggable key={letter} draggableId={letter} index={index} isDragDisabled={showExplanation}>
+                    {(dragProvided, snapshot) => (
+                      <div
+                        ref={dragProvided.innerRef}
+                        {...dragProvided.draggableProps}
+                        className={cn(
+                          "w-full p-3 rounded-xl border-2 bg-white flex items-center gap-3 transition-colors",
+                          snapshot.isDragging && "border-slate-900 shadow-lg",
+                          !showExplanation && !snapshot.isDragging && "border-slate-200",
+                          showExplanation && (isRight
+                            ? "border-emerald-500 bg-emerald-50"
+                            : "border-rose-500 bg-rose-50")
+                        )}
+                      >
+                        <span
+                          {...dragProvided.dragHandleProps}
+                          className={cn("text-slate-400", !showExplanation && "cursor-grab")}
+                        >
+                          <GripVertical className="h-5 w-5" />
+                        </span>
+                        <span className={cn(
+                          "w-8 h-8 rounded-full flex items-center justify-center font-semibold text-sm shrink-0",
+                          showExplanation
+                            ? (isRight ? "bg-emerald-500 text-white" : "bg-rose-500 text-white")
+                            : "bg-slate-100 text-slate-600"
+                        )}>
+                          {index + 1}
+                        </span>
+                        <span className="flex-1 text-slate-700 font-medium">{byLetter[letter]?.text}</span>
+                        {showExplanation ? (
+                          isRight
+                            ? <CheckCircle2 className="h-5 w-5 text-emerald-600 shrink-0" />
+                            : <XCircle className="h-5 w-5 text-rose-600 shrink-0" />
+                        ) : (
+                          <div className="flex flex-col shrink-0">
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              className="h-5 w-7"
+                              onClick={() => move(index, index - 1)}
+                              disabled={index === 0}
+                            >
+                              <ChevronUp className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              className="h-5 w-7"
+                              onClick={() => move(index, index + 1)}
+                              disabled={index === order.length - 1}
+                            >
+                              <ChevronDown className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </Draggable>
+                );
+              })}
+              {provided.placeholder}
+            </div>
+          )}
+        </Droppable>
+      </DragDropContext>
+
+      {!value && !showExplanation && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onChange(joinLetters(order))}
+          className="mt-3"
+        >
+          Keep this order
+        </Button>
+      )}
+
+      {showExplanation && (
+        <div className="mt-4 p-4 rounded-xl bg-slate-50 border border-slate-200">
+          <p className="text-sm font-medium text-slate-600 mb-2">Correct sequence:</p>
+          <ol className="list-decimal list-inside space-y-1 text-sm text-slate-700">
+            {correct.map(letter => (
+              <li key={letter}>{byLetter[letter]?.text}</li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
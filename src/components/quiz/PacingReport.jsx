@@ -0,0 +1,90 @@
+import React from 'react';
+import { Gauge, CheckCircle2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { getBlueprint, getSectionName } from '@/lib/blueprints';
+import { analyzePacing } from '@/lib/pacing';
+
+const formatSeconds = (seconds) => {
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  return `${Math.floor(rounded / 60)}m ${rounded % 60}s`;
+};
+
+const formatDuration = (seconds) => {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.round((seconds % 3600) / 60);
+  return hrs > 0 ? `${hrs}h ${mins}m` : `${mins}m`;
+};
+
+export default function PacingReport({ year, questionResults = [], questions = [] }) {
+  const pacing = analyzePacing(questionResults, year);
+  if (!pacing) return null;
+
+  const blueprint = getBlueprint(year);
+  const examHours = blueprint.time_limit_seconds / 3600;
+  const positions = new Map(questions.map((q, i) => [q.id, { question: q, number: i + 1 }]));
+  const overBy = pacing.projectedExamSeconds - pacing.examSeconds;
+
+  return (
+    <div className="mb-8">
+      <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+        <Gauge className="h-4 w-4" />
+        Pacing
+      </h3>
+
+      <div className={cn(
+        "p-4 rounded-xl border text-sm mb-4",
+        pacing.onPace ? "bg-emerald-50 border-emerald-200 text-emerald-800" : "bg-amber-50 border-amber-200 text-amber-800"
+      )}>
+        <p className="font-medium">
+          {formatSeconds(pacing.averageSeconds)} per question on average
+          (target {formatSeconds(pacing.targetSeconds)})
+        </p>
+        <p className="mt-1">
+          {pacing.onPace
+            ? `On pace for the ${examHours}-hour exam: ${blueprint.total_questions} questions would take about ${formatDuration(pacing.projectedExamSeconds)}.`
+            : `Behind pace: ${blueprint.total_questions} questions would take about ${formatDuration(pacing.projectedExamSeconds)}, ${formatDuration(overBy)} over the ${examHours}-hour limit.`}
+        </p>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <div>
+          <p className="text-sm font-medium text-slate-700 mb-2">Average by section</p>
+          <div className="space-y-1.5">
+            {pacing.sections.map(s => (
+              <div key={s.section} className="flex justify-between text-sm">
+                <span className="text-slate-600 truncate max-w-[180px]">{getSectionName(year, s.section)}</span>
+                <span className={cn(
+                  "font-medium",
+                  s.averageSeconds > pacing.targetSeconds ? "text-amber-600" : "text-slate-800"
+                )}>
+                  {formatSeconds(s.averageSeconds)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-slate-700 mb-2">Slowest questions</p>
+          <div className="space-y-1.5">
+            {pacing.slowest.map(r => {
+              const entry = positions.get(r.question_id);
+              return (
+                <div key={r.question_id} className="flex items-center gap-2 text-sm">
+                  {r.correct
+                    ? <CheckCircle2 className="h-3.5 w-3.5 text-emerald-500 shrink-0" />
+                    : <XCircle className="h-3.5 w-3.5 text-rose-500 shrink-0" />}
+                  <span className="text-slate-600 truncate flex-1" title={entry?.question.question_text}>
+                    {entry ? `Q${entry.number}. ${entry.question.question_text}` : r.question_id}
+                  </span>
+                  <span className="font-medium text-slate-800">{formatSeconds(r.time_seconds)}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
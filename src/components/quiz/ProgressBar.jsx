@@ -5,6 +5,7 @@ export default function ProgressBar({
   current, 
   total, 
   answers = [],
+  flagged = [],
   onQuestionClick 
 }) {
   const progress = (current / total) * 100;
@@ -24,6 +25,7 @@ export default function ProgressBar({
         {Array.from({ length: total }, (_, i) => {
           const answer = answers[i];
           const isCurrent = i + 1 === current;
+          const isFlagged = flagged.includes(i);
           
           return (
             <button
@@ -35,7 +37,8 @@ export default function ProgressBar({
                 answer === undefined && "bg-slate-100 text-slate-400 hover:bg-slate-200",
                 answer?.correct === true && "bg-emerald-500 text-white",
                 answer?.correct === false && "bg-rose-500 text-white",
-                answer !== undefined && answer.correct === undefined && "bg-slate-400 text-white"
+                answer !== undefined && answer.correct === undefined && "bg-slate-400 text-white",
+                isFlagged && (answer === undefined ? "bg-amber-100 text-amber-700" : "bg-amber-500 text-white")
               )}
             >
               {i + 1}
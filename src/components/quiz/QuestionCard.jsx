@@ -2,9 +2,21 @@ import React, { useState } from 'react';
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { Bookmark, BookmarkCheck, ChevronRight, CheckCircle2, XCircle } from "lucide-react";
+import { Bookmark, BookmarkCheck, ChevronRight, CheckCircle2, XCircle, Strikethrough, Undo2 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { motion, AnimatePresence } from "framer-motion";
+import NumericAnswer from '@/components/quiz/NumericAnswer';
+import MultiSelectAnswer from '@/components/quiz/MultiSelectAnswer';
+import OrderedStepsAnswer from '@/components/quiz/OrderedStepsAnswer';
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  getOptions,
+  isAnswerCorrect,
+  formatCorrectAnswer
+} from '@/lib/questionTypes';
+import { toDisplayQuestion, toDisplayAnswer, toCanonicalAnswer } from '@/lib/optionShuffle';
+import { CONFIDENCE_LEVELS, isLuckyGuess, isConfidentMiss } from '@/lib/confidence';
 
 const difficultyColors = {
   easy: "bg-emerald-50 text-emerald-700 border-emerald-200",
@@ -17,31 +29,53 @@ const sectionColors = {
   2: "bg-purple-50 text-purple-700",
   3: "bg-orange-50 text-orange-700",
   4: "bg-teal-50 text-teal-700",
-  5: "bg-pink-50 text-pink-700"
+  5: "bg-pink-50 text-pink-700",
+  6: "bg-indigo-50 text-indigo-700"
 };
 
 export default function QuestionCard({ 
-  question, 
+  question: storedQuestion, 
   questionNumber, 
   totalQuestions,
-  selectedAnswer, 
-  onAnswerSelect, 
+  selectedAnswer: storedAnswer, 
+  onAnswerSelect: onStoredAnswerSelect, 
+  optionOrder, // shuffled display order of the option letters, see optionShuffle.js
+  struckOut = [], // stored option letters the user has crossed out
+  onToggleStrike,
+  confidence, // 'sure' | 'unsure' | 'guess', see confidence.js
+  onConfidenceChange,
   showExplanation,
   onNext,
   isBookmarked,
   onToggleBookmark,
-  isReviewMode = false
+  isReviewMode = false,
+  isExamMode = false
 }) {
   const [hoveredOption, setHoveredOption] = useState(null);
-  const options = [
-    { letter: 'A', text: question.option_a },
-    { letter: 'B', text: question.option_b },
-    { letter: 'C', text: question.option_c },
-    { letter: 'D', text: question.option_d }
-  ];
+  // The card works in the letters shown; answers go back out in stored letters
+  const question = toDisplayQuestion(storedQuestion, optionOrder);
+  const selectedAnswer = toDisplayAnswer(storedQuestion, storedAnswer, optionOrder);
+  const onAnswerSelect = (answer) => onStoredAnswerSelect?.(toCanonicalAnswer(storedQuestion, answer, optionOrder));
+  const struck = (struckOut || []).map(letter => toDisplayAnswer(storedQuestion, letter, optionOrder));
+  const toggleStrike = (letter) => onToggleStrike?.(toCanonicalAnswer(storedQuestion, letter, optionOrder));
+  const questionType = getQuestionType(question);
+  const options = getOptions(question);
+  const isCorrect = isAnswerCorrect(question, selectedAnswer);
+  const graded = { correct: isCorrect, user_answer: selectedAnswer, confidence };
+  const confidenceLabel = CONFIDENCE_LEVELS.find(level => level.value === confidence)?.label;
+
+  const answerInputs = {
+    [QUESTION_TYPES.NUMERIC]: NumericAnswer,
+    [QUESTION_TYPES.MULTI_SELECT]: MultiSelectAnswer,
+    [QUESTION_TYPES.ORDERED_STEPS]: OrderedStepsAnswer
+  };
+  const AnswerInput = answerInputs[questionType];
 
   const getOptionStyle = (letter) => {
     if (!showExplanation) {
+      if (struck.includes(letter)) {
+        return "border-slate-200 bg-slate-50 opacity-60";
+      }
       if (selectedAnswer === letter) {
         return "border-slate-900 bg-slate-50 ring-2 ring-slate-900";
       }
@@ -82,18 +116,20 @@ export default function QuestionCard({
                 {question.difficulty}
               </Badge>
             </div>
-            <Button
-              variant="ghost"
-              size="icon"
-              onClick={onToggleBookmark}
-              className="text-slate-400 hover:text-amber-500"
-            >
-              {isBookmarked ? (
-                <BookmarkCheck className="h-5 w-5 text-amber-500 fill-amber-500" />
-              ) : (
-                <Bookmark className="h-5 w-5" />
-              )}
-            </Button>
+            {onToggleBookmark && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={onToggleBookmark}
+                className="text-slate-400 hover:text-amber-500"
+              >
+                {isBookmarked ? (
+                  <BookmarkCheck className="h-5 w-5 text-amber-500 fill-amber-500" />
+                ) : (
+                  <Bookmark className="h-5 w-5" />
+                )}
+              </Button>
+            )}
           </div>
 
           {/* Section Name */}
@@ -107,42 +143,89 @@ export default function QuestionCard({
           </h2>
 
           {/* Options */}
-          <div className="space-y-3">
-            {options.map((option) => (
-              <button
-                key={option.letter}
-                onClick={() => !showExplanation && onAnswerSelect(option.letter)}
-                onMouseEnter={() => setHoveredOption(option.letter)}
-                onMouseLeave={() => setHoveredOption(null)}
-                disabled={showExplanation}
-                className={cn(
-                  "w-full p-4 rounded-xl border-2 text-left transition-all duration-200 flex items-center gap-4",
-                  getOptionStyle(option.letter),
-                  !showExplanation && "cursor-pointer"
-                )}
-              >
-                <span className={cn(
-                  "w-10 h-10 rounded-full flex items-center justify-center font-semibold text-sm shrink-0",
-                  selectedAnswer === option.letter && !showExplanation
-                    ? "bg-slate-900 text-white"
-                    : showExplanation && option.letter === question.correct_answer
-                    ? "bg-emerald-500 text-white"
-                    : showExplanation && selectedAnswer === option.letter
-                    ? "bg-rose-500 text-white"
-                    : "bg-slate-100 text-slate-600"
-                )}>
-                  {showExplanation && option.letter === question.correct_answer ? (
-                    <CheckCircle2 className="h-5 w-5" />
-                  ) : showExplanation && selectedAnswer === option.letter ? (
-                    <XCircle className="h-5 w-5" />
-                  ) : (
-                    option.letter
-                  )}
-                </span>
-                <span className="text-slate-700 font-medium">{option.text}</span>
-              </button>
-            ))}
-          </div>
+          {AnswerInput ? (
+            <AnswerInput
+              question={question}
+              value={selectedAnswer}
+              onChange={onAnswerSelect}
+              showExplanation={showExplanation}
+            />
+          ) : (
+            <div className="space-y-3">
+              {options.map((option) => {
+                const isStruck = struck.includes(option.letter);
+                return (
+                  <div key={option.letter} className="flex items-center gap-2">
+                    <button
+                      onClick={() => !showExplanation && !isStruck && onAnswerSelect(option.letter)}
+                      onMouseEnter={() => setHoveredOption(option.letter)}
+                      onMouseLeave={() => setHoveredOption(null)}
+                      disabled={showExplanation || isStruck}
+                      className={cn(
+                        "w-full p-4 rounded-xl border-2 text-left transition-all duration-200 flex items-center gap-4",
+                        getOptionStyle(option.letter),
+                        !showExplanation && !isStruck && "cursor-pointer"
+                      )}
+                    >
+                      <span className={cn(
+                        "w-10 h-10 rounded-full flex items-center justify-center font-semibold text-sm shrink-0",
+                        selectedAnswer === option.letter && !showExplanation
+                          ? "bg-slate-900 text-white"
+                          : showExplanation && option.letter === question.correct_answer
+                          ? "bg-emerald-500 text-white"
+                          : showExplanation && selectedAnswer === option.letter
+                          ? "bg-rose-500 text-white"
+                          : "bg-slate-100 text-slate-600"
+                      )}>
+                        {showExplanation && option.letter === question.correct_answer ? (
+                          <CheckCircle2 className="h-5 w-5" />
+                        ) : showExplanation && selectedAnswer === option.letter ? (
+                          <XCircle className="h-5 w-5" />
+                        ) : (
+                          option.letter
+                        )}
+                      </span>
+                      <span className={cn(
+                        "text-slate-700 font-medium",
+                        isStruck && "line-through decoration-2 text-slate-400"
+                      )}>
+                        {option.text}
+                      </span>
+                    </button>
+                    {onToggleStrike && !showExplanation && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => toggleStrike(option.letter)}
+                        title={isStruck ? "Restore option" : "Strike out option"}
+                        aria-label={isStruck ? `Restore option ${option.letter}` : `Strike out option ${option.letter}`}
+                        className="shrink-0 text-slate-400 hover:text-slate-700"
+                      >
+                        {isStruck ? <Undo2 className="h-4 w-4" /> : <Strikethrough className="h-4 w-4" />}
+                      </Button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Confidence */}
+          {onConfidenceChange && !showExplanation && selectedAnswer && (
+            <div className="mt-6 flex flex-wrap items-center gap-2">
+              <span className="text-sm text-slate-500 mr-1">How sure are you?</span>
+              {CONFIDENCE_LEVELS.map(level => (
+                <Button
+                  key={level.value}
+                  variant={confidence === level.value ? "default" : "outline"}
+                  size="sm"
+                  onClick={() => onConfidenceChange(level.value)}
+                >
+                  {level.label}
+                </Button>
+              ))}
+            </div>
+          )}
 
           {/* Explanation */}
           <AnimatePresence>
@@ -155,12 +238,12 @@ export default function QuestionCard({
               >
                 <div className={cn(
                   "rounded-xl p-6",
-                  selectedAnswer === question.correct_answer
+                  isCorrect
                     ? "bg-emerald-50 border border-emerald-200"
                     : "bg-rose-50 border border-rose-200"
                 )}>
                   <div className="flex items-center gap-2 mb-3">
-                    {selectedAnswer === question.correct_answer ? (
+                    {isCorrect ? (
                       <>
                         <CheckCircle2 className="h-5 w-5 text-emerald-600" />
                         <span className="font-semibold text-emerald-700">Correct!</span>
@@ -169,11 +252,26 @@ export default function QuestionCard({
                       <>
                         <XCircle className="h-5 w-5 text-rose-600" />
                         <span className="font-semibold text-rose-700">
-                          Incorrect - The answer is {question.correct_answer}
+                          {selectedAnswer ? 'Incorrect' : 'Not answered'}
+                          {questionType !== QUESTION_TYPES.ORDERED_STEPS && ` - The answer is ${formatCorrectAnswer(question)}`}
                         </span>
                       </>
                     )}
+                    {confidenceLabel && (
+                      <Badge variant="outline" className="ml-auto font-medium">{confidenceLabel}</Badge>
+                    )}
                   </div>
+
+                  {isLuckyGuess(graded) && (
+                    <p className="text-sm text-amber-700 mb-3">
+                      Right, but not a sure thing. It stays on your weak questions list for another look.
+                    </p>
+                  )}
+                  {isConfidentMiss(graded) && (
+                    <p className="text-sm text-rose-700 mb-3">
+                      You were sure of this one. It goes to the front of your weak questions.
+                    </p>
+                  )}
                   
                   <p className="text-slate-700 leading-relaxed mb-4">
                     {question.explanation}
@@ -206,7 +304,9 @@ export default function QuestionCard({
                   onClick={onNext}
                   className="w-full mt-6 bg-slate-900 hover:bg-slate-800 h-12 text-base"
                 >
-                  {questionNumber === totalQuestions ? "View Results" : "Next Question"}
+                  {questionNumber === totalQuestions
+                    ? (isReviewMode ? "Back to Results" : "View Results")
+                    : "Next Question"}
                   <ChevronRight className="ml-2 h-5 w-5" />
                 </Button>
               </motion.div>
@@ -214,7 +314,7 @@ export default function QuestionCard({
           </AnimatePresence>
 
           {/* Submit Button */}
-          {!showExplanation && selectedAnswer && (
+          {!showExplanation && selectedAnswer && !isExamMode && (
             <motion.div
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { ArrowLeft, ChevronLeft, ListChecks } from "lucide-react";
+import { AnimatePresence } from "framer-motion";
+import QuestionCard from '@/components/quiz/QuestionCard';
+import { isLuckyGuess, isConfidentMiss } from '@/lib/confidence';
+
+const filters = [
+  { value: 'all', label: 'All' },
+  { value: 'wrong', label: 'Wrong' },
+  { value: 'flagged', label: 'Flagged' },
+  // Only shown when the quiz had confidence ratings that match
+  { value: 'confident_miss', label: 'Sure but Wrong', optional: true },
+  { value: 'lucky', label: 'Lucky Guesses', optional: true }
+];
+
+export default function QuizReview({
+  questions,
+  questionResults = [],
+  initialFilter = 'all',
+  closeLabel = 'Back to Results',
+  onClose
+}) {
+  const [filter, setFilter] = useState(initialFilter);
+  const [position, setPosition] = useState(0);
+
+  const resultsById = new Map(questionResults.map(r => [r.question_id, r]));
+  const answered = questions.filter(q => resultsById.has(q.id));
+
+  const matches = (q, value) => {
+    const result = resultsById.get(q.id);
+    if (value === 'wrong') return !result.correct;
+    if (value === 'flagged') return !!result.flagged;
+    if (value === 'confident_miss') return isConfidentMiss(result);
+    if (value === 'lucky') return isLuckyGuess(result);
+    return true;
+  };
+
+  const counts = Object.fromEntries(
+    filters.map(f => [f.value, answered.filter(q => matches(q, f.value)).length])
+  );
+  const items = answered.filter(q => matches(q, filter));
+  const current = items[position];
+
+  const changeFilter = (value) => {
+    setFilter(value);
+    setPosition(0);
+  };
+
+  const handleNext = () => {
+    if (position < items.length - 1) {
+      setPosition(position + 1);
+    } else {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="w-full">
+      {/* Toolbar */}
+      <div className="w-full max-w-3xl mx-auto mb-6 flex flex-wrap items-center justify-between gap-3">
+        <Button variant="ghost" onClick={onClose}>
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          {closeLabel}
+        </Button>
+        <div className="flex flex-wrap items-center gap-2">
+          <ListChecks className="h-4 w-4 text-slate-500" />
+          {filters.filter(f => !f.optional || counts[f.value] > 0 || filter === f.value).map(f => (
+            <Button
+              key={f.value}
+              variant={filter === f.value ? "default" : "outline"}
+              size="sm"
+              onClick={() => changeFilter(f.value)}
+              disabled={counts[f.value] === 0}
+            >
+              {f.label} ({counts[f.value]})
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {current ? (
+        <>
+          <AnimatePresence mode="wait">
+            <QuestionCard
+              key={current.id}
+              question={current}
+              questionNumber={position + 1}
+              totalQuestions={items.length}
+              selectedAnswer={resultsById.get(current.id).user_answer}
+              optionOrder={resultsById.get(current.id).option_order}
+              struckOut={resultsById.get(current.id).struck_out}
+              confidence={resultsById.get(current.id).confidence}
+              onAnswerSelect={() => {}}
+              showExplanation
+              onNext={handleNext}
+              isReviewMode
+            />
+          </AnimatePresence>
+          {position > 0 && (
+            <div className="w-full max-w-3xl mx-auto mt-4">
+              <Button variant="outline" onClick={() => setPosition(position - 1)} className="h-12">
+                <ChevronLeft className="mr-1 h-5 w-5" />
+                Previous
+              </Button>
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="text-center text-slate-500 py-12">No questions match this filter.</p>
+      )}
+    </div>
+  );
+}
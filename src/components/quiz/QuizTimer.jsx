@@ -2,17 +2,26 @@ import React, { useState, useEffect } from 'react';
 import { Clock, Pause, Play } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
+import { questionsBehind } from '@/lib/pacing';
 
 export default function QuizTimer({ 
   totalSeconds = 10800, // 3 hours default
+  initialSeconds, // remaining time when resuming a saved session
   onTimeUp, 
+  onTick,
   isPaused = false,
   onPauseToggle,
-  showPauseButton = true
+  showPauseButton = true,
+  answeredCount, // with totalQuestions, enables the behind-schedule warning
+  totalQuestions
 }) {
-  const [timeLeft, setTimeLeft] = useState(totalSeconds);
+  const [timeLeft, setTimeLeft] = useState(initialSeconds ?? totalSeconds);
   const [internalPaused, setInternalPaused] = useState(isPaused);
 
+  useEffect(() => {
+    onTick?.(timeLeft);
+  }, [timeLeft, onTick]);
+
   useEffect(() => {
     if (internalPaused) return;
     
@@ -36,6 +45,13 @@ export default function QuizTimer({
 
   const formatTime = (val) => val.toString().padStart(2, '0');
 
+  const behind = answeredCount == null ? 0 : questionsBehind({
+    answered: answeredCount,
+    totalQuestions,
+    totalSeconds,
+    secondsLeft: timeLeft
+  });
+
   const getTimeColor = () => {
     const percentLeft = (timeLeft / totalSeconds) * 100;
     if (percentLeft <= 10) return "text-rose-600";
@@ -54,6 +70,14 @@ export default function QuizTimer({
       <span className={cn("font-mono text-lg font-semibold tracking-wider", getTimeColor())}>
         {hours > 0 && `${formatTime(hours)}:`}{formatTime(minutes)}:{formatTime(seconds)}
       </span>
+      {behind > 0 && !internalPaused && (
+        <span
+          className="text-xs font-medium text-amber-700 bg-amber-100 px-2 py-0.5 rounded-full"
+          title={`${behind} questions behind an even pace for the time limit`}
+        >
+          <span className="hidden sm:inline">Behind schedule · </span>{behind} Q
+        </span>
+      )}
       {showPauseButton && (
         <Button
           variant="ghost"
@@ -12,24 +12,31 @@ import {
   TrendingUp,
   TrendingDown,
   CheckCircle2,
-  XCircle
+  XCircle,
+  ListChecks,
+  Repeat
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { motion } from "framer-motion";
-
-const sectionNames = {
-  1: "Workplace Safety and Rigging",
-  2: "Tools, Equipment and Materials",
-  3: "Metal Fabrication",
-  4: "Drawings and Specifications",
-  5: "Calculations and Science"
-};
+import { getBlueprint, getSectionName } from '@/lib/blueprints';
+import PacingReport from '@/components/quiz/PacingReport';
+import AdaptiveSummary from '@/components/quiz/AdaptiveSummary';
+import ConfidenceReport from '@/components/quiz/ConfidenceReport';
+import AnswerKey from '@/components/quiz/AnswerKey';
+import YearBreakdown from '@/components/quiz/YearBreakdown';
+import { CUMULATIVE_YEAR, CUMULATIVE_PASS_MARK, parseSectionKey } from '@/lib/cumulativeExam';
 
 export default function ResultsCard({ 
+  year,
   results,
+  questions = [],
   onRetry,
   onHome,
-  onReviewWrong
+  onReview,
+  onReviewWrong,
+  explanationsDeferred = false,
+  seed,
+  shareUrl
 }) {
   const { 
     score_percentage, 
@@ -37,10 +44,20 @@ export default function ResultsCard({
     total_questions, 
     time_taken_seconds,
     section_scores = {},
-    question_results = []
+    question_results = [],
+    adaptive_levels,
+    year_scores
   } = results;
 
-  const passed = score_percentage >= 70;
+  // Cumulative section scores are keyed `${year}.${section}`
+  const isCumulative = year === CUMULATIVE_YEAR;
+  const passMark = isCumulative ? CUMULATIVE_PASS_MARK : getBlueprint(year).pass_mark;
+  const sectionName = (key) => {
+    if (!isCumulative) return getSectionName(year, key);
+    const { year: sectionYear, section } = parseSectionKey(key);
+    return `Year ${sectionYear}: ${getSectionName(sectionYear, section)}`;
+  };
+  const passed = score_percentage >= passMark;
   const formatTime = (seconds) => {
     const hrs = Math.floor(seconds / 3600);
     const mins = Math.floor((seconds % 3600) / 60);
@@ -62,8 +79,12 @@ export default function ResultsCard({
 
   const { grade, color } = getGrade(score_percentage);
 
+  // Cumulative answers arrive in exam order; list sections by year, then number
+  const sectionEntries = Object.entries(section_scores)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+
   const weakSections = Object.entries(section_scores)
-    .filter(([_, data]) => data.percentage < 70)
+    .filter(([_, data]) => data.percentage < passMark)
     .sort((a, b) => a[1].percentage - b[1].percentage);
 
   return (
@@ -99,7 +120,7 @@ export default function ResultsCard({
           <p className="text-white/80">
             {passed 
               ? "You've passed this practice quiz!" 
-              : "You need 70% to pass. Don't give up!"}
+              : `You need ${passMark}% to pass. Don't give up!`}
           </p>
         </div>
 
@@ -138,12 +159,14 @@ export default function ResultsCard({
             </div>
           </div>
 
+          {isCumulative && <YearBreakdown yearScores={year_scores} passMark={passMark} />}
+
           {/* Section Breakdown */}
           {Object.keys(section_scores).length > 0 && (
             <div className="mb-8">
               <h3 className="font-semibold text-slate-800 mb-4">Section Breakdown</h3>
               <div className="space-y-3">
-                {Object.entries(section_scores).map(([section, data]) => (
+                {sectionEntries.map(([section, data]) => (
                   <div key={section} className="flex items-center gap-3">
                     <div className="w-8 h-8 rounded-full bg-slate-100 flex items-center justify-center text-sm font-medium">
                       {section}
@@ -151,11 +174,11 @@ export default function ResultsCard({
                     <div className="flex-1">
                       <div className="flex justify-between text-sm mb-1">
                         <span className="text-slate-600 truncate max-w-[200px]">
-                          {sectionNames[section]}
+                          {sectionName(section)}
                         </span>
                         <span className={cn(
                           "font-medium",
-                          data.percentage >= 70 ? "text-emerald-600" : "text-rose-600"
+                          data.percentage >= passMark ? "text-emerald-600" : "text-rose-600"
                         )}>
                           {Math.round(data.percentage)}%
                         </span>
@@ -164,13 +187,13 @@ export default function ResultsCard({
                         <div 
                           className={cn(
                             "h-full transition-all",
-                            data.percentage >= 70 ? "bg-emerald-500" : "bg-rose-500"
+                            data.percentage >= passMark ? "bg-emerald-500" : "bg-rose-500"
                           )}
                           style={{ width: `${data.percentage}%` }}
                         />
                       </div>
                     </div>
-                    {data.percentage >= 70 ? (
+                    {data.percentage >= passMark ? (
                       <TrendingUp className="h-4 w-4 text-emerald-500" />
                     ) : (
                       <TrendingDown className="h-4 w-4 text-rose-500" />
@@ -181,6 +204,14 @@ export default function ResultsCard({
             </div>
           )}
 
+          <AdaptiveSummary year={year} levels={adaptive_levels} />
+
+          {!isCumulative && <PacingReport year={year} questionResults={question_results} questions={questions} />}
+
+          <ConfidenceReport questionResults={question_results} questions={questions} onReview={onReview} />
+
+          <AnswerKey seed={seed} shareUrl={shareUrl} questions={questions} questionResults={question_results} />
+
           {/* Weak Areas */}
           {weakSections.length > 0 && (
             <div className="mb-8 p-4 bg-amber-50 rounded-xl border border-amber-200">
@@ -190,11 +221,17 @@ export default function ResultsCard({
               </h4>
               <p className="text-sm text-amber-700">
                 Review these sections before your exam:{" "}
-                {weakSections.map(([section]) => sectionNames[section]).join(", ")}
+                {weakSections.map(([section]) => sectionName(section)).join(", ")}
               </p>
             </div>
           )}
 
+          {explanationsDeferred && onReview && (
+            <div className="mb-8 p-4 bg-blue-50 rounded-xl border border-blue-200 text-sm text-blue-800">
+              Explanations were held until the end. Review your answers to see why each one is right or wrong.
+            </div>
+          )}
+
           {/* Actions */}
           <div className="grid grid-cols-2 gap-3">
             <Button 
@@ -205,14 +242,24 @@ export default function ResultsCard({
               <Home className="mr-2 h-4 w-4" />
               Dashboard
             </Button>
-            {question_results.some(r => !r.correct) && (
+            {onReview && (
               <Button 
                 variant="outline" 
-                onClick={onReviewWrong}
+                onClick={() => onReview()}
                 className="h-12"
               >
-                <BookOpen className="mr-2 h-4 w-4" />
-                Review Wrong
+                <ListChecks className="mr-2 h-4 w-4" />
+                Review Answers
+              </Button>
+            )}
+            {onReviewWrong && question_results.some(r => !r.correct) && (
+              <Button 
+                variant="outline" 
+                onClick={onReviewWrong}
+                className="h-12 col-span-2"
+              >
+                <Repeat className="mr-2 h-4 w-4" />
+                Retry Wrong Answers
               </Button>
             )}
             <Button 
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { AlertTriangle, X } from "lucide-react";
+
+export default function ShortfallNotice({ shortfalls = [], assembled, required, source = 'blueprint' }) {
+  const [dismissed, setDismissed] = useState(false);
+
+  if (dismissed || shortfalls.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-4 bg-amber-50 rounded-xl border border-amber-200 text-sm text-amber-800">
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="h-5 w-5 text-amber-500 shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-medium mb-1">
+            {assembled < required
+              ? `The question bank can only supply ${assembled} of the ${required} ${source} questions.`
+              : 'Some subtopics were filled from elsewhere in their section.'}
+          </p>
+          <ul className="space-y-0.5 text-amber-700">
+            {shortfalls.map(s => (
+              <li key={`${s.year || ''}-${s.section}${s.subtopic || ''}`}>
+                {s.year ? `Year ${s.year} ` : ''}
+                {s.section == null ? '' : s.subtopic ? `${s.section}${s.subtopic} ` : `Section ${s.section} `}
+                {s.name}: {s.available} of {s.required}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-6 w-6 text-amber-600 hover:bg-amber-100"
+          onClick={() => setDismissed(true)}
+        >
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
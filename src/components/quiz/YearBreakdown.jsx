@@ -0,0 +1,33 @@
+import React from 'react';
+import { Layers } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { getBlueprint } from '@/lib/blueprints';
+
+// Cumulative results by period; sections are listed in the Section Breakdown below
+export default function YearBreakdown({ yearScores, passMark }) {
+  const years = Object.entries(yearScores || {});
+  if (years.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      <h3 className="font-semibold text-slate-800 mb-4 flex items-center gap-2">
+        <Layers className="h-4 w-4" />
+        Year Breakdown
+      </h3>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {years.map(([year, data]) => (
+          <div key={year} className="p-3 bg-slate-50 rounded-xl text-center">
+            <p className={cn(
+              "text-2xl font-bold",
+              data.percentage >= passMark ? "text-emerald-600" : "text-rose-600"
+            )}>
+              {Math.round(data.percentage)}%
+            </p>
+            <p className="text-sm font-medium text-slate-700">{getBlueprint(year).title}</p>
+            <p className="text-xs text-slate-500">{data.correct}/{data.total} correct</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
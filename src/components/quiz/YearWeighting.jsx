@@ -0,0 +1,39 @@
+import React from 'react';
+import { Input } from "@/components/ui/input";
+import { getBlueprint } from '@/lib/blueprints';
+import { EXAM_YEARS, yearQuestionCounts } from '@/lib/cumulativeExam';
+
+// Weights are relative, so they needn't add up to 100
+export default function YearWeighting({ weights, onChange, total, questions = [] }) {
+  const counts = yearQuestionCounts(weights, total);
+  const available = (year) => questions.filter(q => q.year === year).length;
+
+  const setWeight = (year, value) => {
+    const weight = Math.max(0, Math.floor(Number(value)) || 0);
+    onChange({ ...weights, [year]: weight });
+  };
+
+  return (
+    <div className="space-y-2">
+      {EXAM_YEARS.map(year => (
+        <div key={year} className="flex items-center gap-3 p-3 rounded-lg bg-slate-50">
+          <div className="flex-1 min-w-0">
+            <p className="font-medium text-slate-800 truncate">Year {year}: {getBlueprint(year).title}</p>
+            <p className="text-xs text-slate-500">
+              {counts[year]} questions in the exam • {available(year)} in the bank
+            </p>
+          </div>
+          <Input
+            type="number"
+            min={0}
+            value={weights[year] ?? ''}
+            placeholder="0"
+            onChange={(e) => setWeight(year, e.target.value)}
+            className="w-20 text-right"
+            aria-label={`Weight for Year ${year}`}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '@/api/client';
+import { SECURITY_QUESTIONS } from '@/lib/securityQuestions';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { KeyRound, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Only adapters with password accounts offer these; the offline guest has neither
+const canChangePassword = typeof api.auth.changePassword === 'function';
+const canChangeSecurityQuestion = typeof api.auth.updateSecurityQuestion === 'function';
+
+export const hasAccountSecurity = canChangePassword || canChangeSecurityQuestion;
+
+function ChangePasswordForm() {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const mutation = useMutation({
+    mutationFn: () => api.auth.changePassword(currentPassword, newPassword),
+    onSuccess: () => {
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      toast.success('Password changed. Other devices have been signed out.');
+    },
+    onError: (err) => setError(err.message || 'Could not change password'),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    if (newPassword.length < MIN_PASSWORD_LENGTH) { setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`); return; }
+    if (newPassword !== confirmPassword) { setError('Passwords do not match'); return; }
+    mutation.mutate();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 p-3 rounded-lg bg-slate-50">
+      <p className="font-medium">Change Password</p>
+      <div className="space-y-2">
+        <Label htmlFor="current-password">Current password</Label>
+        <Input id="current-password" type="password" autoComplete="current-password"
+          value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+      </div>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label htmlFor="new-password">New password</Label>
+          <Input id="new-password" type="password" autoComplete="new-password" minLength={MIN_PASSWORD_LENGTH}
+            value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="confirm-password">Confirm new password</Label>
+          <Input id="confirm-password" type="password" autoComplete="new-password" minLength={MIN_PASSWORD_LENGTH}
+            value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+        </div>
+      </div>
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      <Button type="submit" size="sm" disabled={mutation.isPending}>
+        {mutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+        Update Password
+      </Button>
+    </form>
+  );
+}
+
+function SecurityQuestionForm() {
+  const queryClient = useQueryClient();
+  const [securityQuestion, setSecurityQuestion] = useState('');
+  const [securityAnswer, setSecurityAnswer] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const { data: currentQuestion } = useQuery({
+    queryKey: ['securityQuestion'],
+    queryFn: () => api.auth.getSecurityQuestion(),
+  });
+
+  const mutation = useMutation({
+    mutationFn: () => api.auth.updateSecurityQuestion({ currentPassword, securityQuestion, securityAnswer }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['securityQuestion'] });
+      setSecurityQuestion('');
+      setSecurityAnswer('');
+      setCurrentPassword('');
+      toast.success('Security question updated');
+    },
+    onError: (err) => setError(err.message || 'Could not update security question'),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    if (!securityQuestion) { setError('Please select a security question'); return; }
+    if (!securityAnswer.trim()) { setError('Please enter your security answer'); return; }
+    mutation.mutate();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 p-3 rounded-lg bg-slate-50">
+      <div>
+        <p className="font-medium">Security Question</p>
+        <p className="text-sm text-slate-500">
+          Used to reset your password. Current: {currentQuestion || 'none set'}
+        </p>
+      </div>
+      <div className="space-y-2">
+        <Label>New question</Label>
+        <Select value={securityQuestion} onValueChange={setSecurityQuestion}>
+          <SelectTrigger className="bg-white">
+            <SelectValue placeholder="Select a question..." />
+          </SelectTrigger>
+          <SelectContent>
+            {SECURITY_QUESTIONS.map((q) => (
+              <SelectItem key={q} value={q}>{q}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label htmlFor="security-answer">Answer</Label>
+          <Input id="security-answer" value={securityAnswer} onChange={(e) => setSecurityAnswer(e.target.value)} required />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="security-password">Current password</Label>
+          <Input id="security-password" type="password" autoComplete="current-password"
+            value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+        </div>
+      </div>
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      <Button type="submit" size="sm" disabled={mutation.isPending}>
+        {mutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+        Update Security Question
+      </Button>
+    </form>
+  );
+}
+
+export default function AccountSecurity() {
+  return (
+    <Card className="border-0 shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <KeyRound className="h-5 w-5" />
+          Account Security
+        </CardTitle>
+        <CardDescription>Change your password and password-reset question</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {canChangePassword && <ChangePasswordForm />}
+        {canChangeSecurityQuestion && <SecurityQuestionForm />}
+      </CardContent>
+    </Card>
+  );
+}
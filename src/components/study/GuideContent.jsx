@@ -0,0 +1,68 @@
+import React, { memo, useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+import { extractHeadings } from '@/lib/guideOutline';
+
+// Tailwind has no typography plugin here, so each element is styled directly
+const baseComponents = {
+  h1: ({ node, ...props }) => <h1 className="text-2xl font-bold text-slate-900 mt-8 mb-4 scroll-mt-24" {...props} />,
+  h2: ({ node, ...props }) => <h2 className="text-xl font-bold text-slate-900 mt-8 mb-3 scroll-mt-24" {...props} />,
+  h3: ({ node, ...props }) => <h3 className="text-lg font-semibold text-slate-800 mt-6 mb-2 scroll-mt-24" {...props} />,
+  h4: ({ node, ...props }) => <h4 className="font-semibold text-slate-800 mt-4 mb-2" {...props} />,
+  p: ({ node, ...props }) => <p className="text-slate-700 leading-relaxed mb-4" {...props} />,
+  ul: ({ node, ...props }) => <ul className="list-disc pl-6 mb-4 space-y-1 text-slate-700" {...props} />,
+  ol: ({ node, ...props }) => <ol className="list-decimal pl-6 mb-4 space-y-1 text-slate-700" {...props} />,
+  a: ({ node, ...props }) => <a className="text-blue-600 underline hover:text-blue-800" {...props} />,
+  blockquote: ({ node, ...props }) => (
+    <blockquote className="border-l-4 border-blue-200 bg-blue-50 px-4 py-2 mb-4 text-slate-700 rounded-r-lg" {...props} />
+  ),
+  table: ({ node, ...props }) => (
+    <div className="overflow-x-auto mb-4">
+      <table className="w-full text-sm border-collapse" {...props} />
+    </div>
+  ),
+  th: ({ node, ...props }) => <th className="border border-slate-200 bg-slate-50 px-3 py-2 text-left font-semibold" {...props} />,
+  td: ({ node, ...props }) => <td className="border border-slate-200 px-3 py-2 align-top" {...props} />,
+  pre: ({ node, ...props }) => <pre className="bg-slate-900 text-slate-100 rounded-lg p-4 mb-4 overflow-x-auto text-sm" {...props} />,
+  code: ({ node, className, ...props }) => (
+    <code className={className || "bg-slate-100 rounded px-1 py-0.5 text-sm"} {...props} />
+  ),
+  hr: ({ node, ...props }) => <hr className="my-8 border-slate-200" {...props} />
+};
+
+// Headings get the ids the table of contents links to, matched by source line
+function withHeadingIds(components, headings) {
+  const idsByLine = new Map(headings.map(h => [h.line, h.id]));
+  const withId = (Tag) => ({ node, ...props }) => (
+    <Tag node={node} id={idsByLine.get(node?.position?.start.line)} {...props} />
+  );
+  return {
+    ...components,
+    h1: withId(components.h1),
+    h2: withId(components.h2),
+    h3: withId(components.h3)
+  };
+}
+
+function GuideContent({ content }) {
+  const components = useMemo(
+    () => withHeadingIds(baseComponents, extractHeadings(content)),
+    [content]
+  );
+
+  return (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, remarkMath]}
+      rehypePlugins={[rehypeKatex]}
+      components={components}
+    >
+      {content || ''}
+    </ReactMarkdown>
+  );
+}
+
+// The reader re-renders as it scrolls; the Markdown only needs rendering once
+export default memo(GuideContent);
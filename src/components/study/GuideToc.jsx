@@ -0,0 +1,35 @@
+import React from 'react';
+import { cn } from "@/lib/utils";
+
+export default function GuideToc({ headings = [], activeId, onNavigate }) {
+  if (headings.length === 0) return null;
+  const topDepth = Math.min(...headings.map(h => h.depth));
+
+  return (
+    <nav aria-label="Table of contents">
+      <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-3">Contents</p>
+      <ul className="space-y-1 text-sm border-l border-slate-200">
+        {headings.map(h => (
+          <li key={h.id}>
+            <a
+              href={`#${h.id}`}
+              onClick={(e) => {
+                e.preventDefault();
+                onNavigate?.(h.id);
+              }}
+              className={cn(
+                "block -ml-px border-l-2 py-1 pr-2 transition-colors",
+                activeId === h.id
+                  ? "border-slate-900 text-slate-900 font-medium"
+                  : "border-transparent text-slate-500 hover:text-slate-800"
+              )}
+              style={{ paddingLeft: `${0.75 + (h.depth - topDepth) * 0.75}rem` }}
+            >
+              {h.text}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
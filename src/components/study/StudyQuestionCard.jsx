@@ -4,6 +4,14 @@ import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { ChevronDown, ChevronUp, CheckCircle2, XCircle } from "lucide-react";
 import { cn } from "@/lib/utils";
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  getOptions,
+  splitLetters,
+  formatCorrectAnswer
+} from '@/lib/questionTypes';
+import { createOptionOrder, toDisplayQuestion } from '@/lib/optionShuffle';
 
 const difficultyColors = {
   easy: "bg-emerald-100 text-emerald-700",
@@ -16,18 +24,21 @@ const sectionColors = {
   2: "bg-purple-100 text-purple-700",
   3: "bg-orange-100 text-orange-700",
   4: "bg-teal-100 text-teal-700",
-  5: "bg-pink-100 text-pink-700"
+  5: "bg-pink-100 text-pink-700",
+  6: "bg-indigo-100 text-indigo-700"
 };
 
-export default function StudyQuestionCard({ question, number }) {
+export default function StudyQuestionCard({ question: storedQuestion, number, shuffleOptions = false }) {
   const [expanded, setExpanded] = useState(true);
+  // A fresh order each time the card mounts; letters shown and explained all follow it
+  const [optionOrder] = useState(() => (shuffleOptions ? createOptionOrder(storedQuestion) : null));
+  const question = toDisplayQuestion(storedQuestion, optionOrder);
 
-  const options = [
-    { label: 'A', text: question.option_a },
-    { label: 'B', text: question.option_b },
-    { label: 'C', text: question.option_c },
-    { label: 'D', text: question.option_d }
-  ];
+  const options = getOptions(question).map(o => ({ label: o.letter, text: o.text }));
+  // Ordered-steps answers are a sequence, so no single option is highlighted
+  const correctLetters = getQuestionType(question) === QUESTION_TYPES.ORDERED_STEPS
+    ? []
+    : splitLetters(question.correct_answer);
 
   return (
     <Card className="border-0 shadow-sm hover:shadow-md transition-shadow">
@@ -43,7 +54,7 @@ export default function StudyQuestionCard({ question, number }) {
                 {question.difficulty}
               </Badge>
               <Badge className="bg-emerald-100 text-emerald-700">
-                Answer: {question.correct_answer}
+                Answer: {formatCorrectAnswer(question)}
               </Badge>
             </div>
             <h3 className="text-base font-medium text-slate-800 leading-relaxed">
@@ -69,7 +80,7 @@ export default function StudyQuestionCard({ question, number }) {
         {/* Answer Options */}
         <div className="space-y-2">
           {options.map((option) => {
-            const isCorrect = option.label === question.correct_answer;
+            const isCorrect = correctLetters.includes(option.label);
             
             return (
               <div
@@ -106,7 +117,7 @@ export default function StudyQuestionCard({ question, number }) {
             <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-4">
               <div className="flex items-center gap-2 mb-2">
                 <CheckCircle2 className="h-4 w-4 text-emerald-600" />
-                <span className="text-sm font-semibold text-emerald-900">Correct Answer: {question.correct_answer}</span>
+                <span className="text-sm font-semibold text-emerald-900">Correct Answer: {formatCorrectAnswer(question)}</span>
               </div>
               <p className="text-sm text-emerald-800 leading-relaxed">
                 {question.explanation}
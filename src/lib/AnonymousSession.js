@@ -3,6 +3,7 @@
 
 const ANONYMOUS_SESSION_KEY = 'tradebench_anonymous_session';
 const USER_PROGRESS_KEY = 'tradebench_user_progress';
+const MERGE_REQUEST_KEY = 'tradebench_merge_request';
 
 export const anonymousSession = {
   // Initialize or get existing anonymous session
@@ -107,14 +108,27 @@ export const anonymousSession = {
     };
 
     // Store merge request in localStorage for processing after login
-    localStorage.setItem('tradebench_merge_request', JSON.stringify(mergeData));
+    localStorage.setItem(MERGE_REQUEST_KEY, JSON.stringify(mergeData));
     
     return mergeData;
   },
 
+  // Progress waiting to be merged into an account (merge request first, else the live session), without starting a session
+  pendingProgress() {
+    try {
+      const request = localStorage.getItem(MERGE_REQUEST_KEY);
+      if (request) return JSON.parse(request).progress || null;
+      const existing = localStorage.getItem(ANONYMOUS_SESSION_KEY);
+      return existing ? JSON.parse(existing).progress || null : null;
+    } catch {
+      return null;
+    }
+  },
+
   // Clear anonymous session
   clear() {
     localStorage.removeItem(ANONYMOUS_SESSION_KEY);
+    localStorage.removeItem(MERGE_REQUEST_KEY);
   }
 };
 
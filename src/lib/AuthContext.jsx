@@ -1,4 +1,5 @@
 import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { api } from '@/api/client';
 
 const AuthContext = createContext();
 
@@ -11,34 +12,9 @@ export const AuthProvider = ({ children }) => {
   const fetchUser = useCallback(async () => {
     try {
       setIsLoadingAuth(true);
-      const response = await fetch('/api/auth/user', { credentials: 'include' });
-
-      if (response.status === 401) {
-        setUser(null);
-        setIsAuthenticated(false);
-        setAuthError(null);
-        return null;
-      }
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch user');
-      }
-
-      const userData = await response.json();
-
-      const userObj = {
-        id: userData.id,
-        email: userData.email,
-        full_name: userData.fullName || [userData.firstName, userData.lastName].filter(Boolean).join(' ') || userData.email,
-        first_name: userData.firstName,
-        last_name: userData.lastName,
-        profile_image_url: userData.profileImageUrl,
-        selected_year: userData.selectedYear || null,
-        role: 'user',
-      };
-
+      const userObj = await api.auth.me();
       setUser(userObj);
-      setIsAuthenticated(true);
+      setIsAuthenticated(!!userObj);
       setAuthError(null);
       return userObj;
     } catch (error) {
@@ -59,20 +35,7 @@ export const AuthProvider = ({ children }) => {
   const signIn = async (email, password) => {
     try {
       setAuthError(null);
-      const response = await fetch('/api/auth/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ email, password }),
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        setAuthError({ type: 'auth_failed', message: data.message });
-        return { success: false, message: data.message };
-      }
-
+      await api.auth.signIn(email, password);
       const userObj = await fetchUser();
       return { success: true, user: userObj };
     } catch (error) {
@@ -85,20 +48,7 @@ export const AuthProvider = ({ children }) => {
   const signUp = async (email, password, fullName, securityQuestion, securityAnswer) => {
     try {
       setAuthError(null);
-      const response = await fetch('/api/auth/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ email, password, fullName, securityQuestion, securityAnswer }),
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        setAuthError({ type: 'signup_failed', message: data.message });
-        return { success: false, message: data.message };
-      }
-
+      await api.auth.signUp({ email, password, fullName, securityQuestion, securityAnswer });
       const userObj = await fetchUser();
       return { success: true, user: userObj };
     } catch (error) {
@@ -110,24 +60,11 @@ export const AuthProvider = ({ children }) => {
 
   const updateMe = async (data) => {
     try {
-      const response = await fetch('/api/auth/user', {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({
-          selectedYear: data.selected_year,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to update user');
-      }
-
-      const userData = await response.json();
+      const updated = await api.auth.updateMe({ selected_year: data.selected_year });
 
       setUser(prev => prev ? {
         ...prev,
-        selected_year: userData.selectedYear || prev.selected_year,
+        selected_year: updated?.selected_year || prev.selected_year,
       } : prev);
 
       return { success: true };
@@ -138,7 +75,7 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
-      await fetch('/api/auth/logout', { method: 'POST', credentials: 'include' });
+      await api.auth.logout();
     } catch (_) {}
     setUser(null);
     setIsAuthenticated(false);
@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import { useAuth } from './AuthContext';
-import { api } from '@/api/localClient';
+import { api } from '@/api/client';
 import { pagesConfig } from '@/page.config';
 
 export default function NavigationTracker() {
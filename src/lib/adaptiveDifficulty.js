@@ -0,0 +1,113 @@
+/**
+ * Adaptive difficulty: picks each next question's section and difficulty from
+ * how the user is doing.
+ *
+ * Every section has its own level (easy → medium → hard). It starts from the
+ * stored section_stats accuracy, steps up after STEP_UP_STREAK correct answers
+ * in a row in that section, and steps down after a miss. The next section is
+ * drawn at random, favouring sections where the user's accuracy (stored plus
+ * this session) is lowest.
+ *
+ * State is plain JSON so it can be saved with the quiz session:
+ *   { sections: { [section]: { start, level, peak, streak, answered, correct } } }
+ */
+
+export const LEVELS = ['easy', 'medium', 'hard'];
+
+const STEP_UP_STREAK = 2;
+// Stored accuracy counts as this many answers when blended with the session
+const STORED_WEIGHT = 5;
+// Keeps strong sections in the rotation
+const MIN_SECTION_WEIGHT = 0.1;
+
+function startingLevel(stats) {
+  if (!stats?.attempted) return 1;
+  const accuracy = stats.correct / stats.attempted;
+  if (accuracy >= 0.8) return 2;
+  if (accuracy >= 0.6) return 1;
+  return 0;
+}
+
+export function createAdaptiveState(sectionStats = {}, sections = []) {
+  return {
+    sections: Object.fromEntries(sections.map((section) => {
+      const start = startingLevel(sectionStats[section]);
+      return [section, { start, level: start, peak: start, streak: 0, answered: 0, correct: 0 }];
+    })),
+  };
+}
+
+/**
+ * Apply one graded answer and return the new state.
+ */
+export function recordAdaptiveAnswer(state, question, correct) {
+  const current = state.sections[question.section]
+    || { start: 1, level: 1, peak: 1, streak: 0, answered: 0, correct: 0 };
+  const next = { ...current, answered: current.answered + 1, correct: current.correct + (correct ? 1 : 0) };
+
+  if (correct) {
+    next.streak = current.streak + 1;
+    if (next.streak >= STEP_UP_STREAK && next.level < LEVELS.length - 1) {
+      next.level += 1;
+      next.streak = 0;
+    }
+  } else {
+    next.streak = 0;
+    next.level = Math.max(0, next.level - 1);
+  }
+  next.peak = Math.max(next.peak, next.level);
+
+  return { ...state, sections: { ...state.sections, [question.section]: next } };
+}
+
+function blendedAccuracy(sectionState, stats) {
+  const storedAccuracy = stats?.attempted ? stats.correct / stats.attempted : 0.5;
+  return (storedAccuracy * STORED_WEIGHT + (sectionState?.correct || 0)) /
+    (STORED_WEIGHT + (sectionState?.answered || 0));
+}
+
+/**
+ * Choose the next question from `pool`, skipping `usedIds`. Returns null when
+ * the pool is exhausted.
+ */
+export function pickNextQuestion(state, pool, usedIds, sectionStats = {}, random = Math.random) {
+  const used = new Set(usedIds);
+  const available = pool.filter((q) => !used.has(q.id));
+  if (available.length === 0) return null;
+
+  const sections = [...new Set(available.map((q) => q.section))];
+  const weights = sections.map((section) =>
+    Math.max(MIN_SECTION_WEIGHT, 1 - blendedAccuracy(state.sections[section], sectionStats[section]))
+  );
+  let roll = random() * weights.reduce((sum, w) => sum + w, 0);
+  const section = sections.find((_, i) => (roll -= weights[i]) < 0) ?? sections[sections.length - 1];
+
+  // The section's level if it has questions left there, otherwise the nearest level that does
+  const level = state.sections[section]?.level ?? 1;
+  const inSection = available.filter((q) => q.section === section);
+  const distance = (q) => {
+    const index = LEVELS.indexOf(q.difficulty);
+    return index === -1 ? LEVELS.length : Math.abs(index - level);
+  };
+  const closest = Math.min(...inSection.map(distance));
+  const candidates = inSection.filter((q) => distance(q) === closest);
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+/**
+ * Per-section summary for the results screen, in section order:
+ *   [{ section, start, level, peak, answered, correct }] with levels as names.
+ */
+export function summarizeLevels(state) {
+  return Object.entries(state?.sections || {})
+    .filter(([, s]) => s.answered > 0)
+    .map(([section, s]) => ({
+      section,
+      start: LEVELS[s.start],
+      level: LEVELS[s.level],
+      peak: LEVELS[s.peak],
+      answered: s.answered,
+      correct: s.correct,
+    }))
+    .sort((a, b) => Number(a.section) - Number(b.section));
+}
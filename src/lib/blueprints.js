@@ -0,0 +1,32 @@
+/**
+ * Exam blueprints per apprenticeship year (period), from data/blueprints.json.
+ * Each blueprint lists its sections with exam weight, question count and
+ * subtopic weights, plus the exam's question count, time limit and pass mark.
+ */
+
+import blueprints from '../../data/blueprints.json';
+
+export const DEFAULT_YEAR = 1;
+
+export function getBlueprint(year) {
+  return blueprints[year] || blueprints[DEFAULT_YEAR];
+}
+
+export function getSections(year) {
+  return getBlueprint(year).sections;
+}
+
+export function getSection(year, num) {
+  return getSections(year).find((s) => s.num === Number(num)) || null;
+}
+
+export function getSectionName(year, num) {
+  return getSection(year, num)?.name || `Section ${num}`;
+}
+
+/**
+ * Questions per section for a full exam, e.g. { 1: 10, 2: 38, ... }.
+ */
+export function getSectionDistribution(year) {
+  return Object.fromEntries(getSections(year).map((s) => [s.num, s.questions]));
+}
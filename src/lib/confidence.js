@@ -0,0 +1,56 @@
+/**
+ * Answer confidence: each answer can be tagged sure, unsure or guess.
+ * A correct answer that wasn't sure is a lucky guess and stays up for review;
+ * a wrong answer the user was sure of is a confident miss, the most urgent
+ * kind of weak question. Confident misses are kept in
+ * UserProgress.confident_misses and practised before other weak questions.
+ */
+
+export const CONFIDENCE_LEVELS = [
+  { value: 'sure', label: 'Sure' },
+  { value: 'unsure', label: 'Unsure' },
+  { value: 'guess', label: 'Guess' },
+];
+
+export function isLuckyGuess(result) {
+  return !!result.correct && (result.confidence === 'unsure' || result.confidence === 'guess');
+}
+
+export function isConfidentMiss(result) {
+  return !result.correct && !!result.user_answer && result.confidence === 'sure';
+}
+
+/**
+ * Per-level counts for a quiz's question results, plus the lucky guesses and
+ * confident misses among them:
+ *   { levels: [{ value, label, answered, correct }], rated, luckyGuesses, confidentMisses }
+ */
+export function summarizeConfidence(questionResults = []) {
+  const levels = CONFIDENCE_LEVELS.map((level) => {
+    const matching = questionResults.filter((r) => r.confidence === level.value);
+    return { ...level, answered: matching.length, correct: matching.filter((r) => r.correct).length };
+  });
+  return {
+    levels,
+    rated: levels.reduce((sum, l) => sum + l.answered, 0),
+    luckyGuesses: questionResults.filter(isLuckyGuess),
+    confidentMisses: questionResults.filter(isConfidentMiss),
+  };
+}
+
+/**
+ * Fold a quiz's results into the weak question lists. Wrong answers and lucky
+ * guesses join the weak list; other correct answers leave it. Any correct
+ * answer clears a confident miss, since the weak list still catches guesses.
+ */
+export function updateWeakLists({ weak_questions = [], confident_misses = [] }, questionResults = []) {
+  const weak = new Set(weak_questions);
+  const misses = new Set(confident_misses);
+  questionResults.forEach((r) => {
+    if (!r.correct || isLuckyGuess(r)) weak.add(r.question_id);
+    else weak.delete(r.question_id);
+    if (isConfidentMiss(r)) misses.add(r.question_id);
+    else if (r.correct) misses.delete(r.question_id);
+  });
+  return { weak_questions: [...weak], confident_misses: [...misses] };
+}
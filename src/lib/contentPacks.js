@@ -0,0 +1,82 @@
+/**
+ * Content packs listed in data/manifest.json.
+ * Each pack is one JSON file of questions or study guides for a single year,
+ * with its own id, version and source. Packs are bundled as separate chunks
+ * and only fetched when their year is requested.
+ *
+ * Adding content: drop the file into data/ and add an entry to the manifest.
+ */
+
+import manifest from '../../data/manifest.json';
+
+const packFiles = import.meta.glob(['../../data/**/*.json', '!../../data/manifest.json', '!../../data/blueprints.json'], {
+  import: 'default',
+});
+
+export function getPacks({ type, year } = {}) {
+  return manifest.packs.filter(
+    (pack) => (type == null || pack.type === type) && (year == null || pack.year === year)
+  );
+}
+
+async function loadPack(pack) {
+  const load = packFiles[`../../data/${pack.file}`];
+  if (!load) {
+    console.error(`Content pack ${pack.id}: ${pack.file} not found`);
+    return [];
+  }
+  try {
+    const data = await load();
+    if (Array.isArray(data)) return data;
+    return data[pack.type] || [];
+  } catch (error) {
+    console.error(`Content pack ${pack.id}: failed to load ${pack.file}`, error);
+    return [];
+  }
+}
+
+/**
+ * Load and merge every pack of `type` ('questions' or 'study_guides') for
+ * `year` (all years when omitted). Items keep the first pack's copy when IDs
+ * collide; each item records the pack it came from.
+ * Returns { items, packs, duplicates }.
+ */
+export async function loadContent(type, year) {
+  const packs = getPacks({ type, year });
+  const loaded = await Promise.all(packs.map(async (pack) => ({ pack, items: await loadPack(pack) })));
+
+  const byId = new Map();
+  const duplicates = [];
+  loaded.forEach(({ pack, items }) => {
+    items.forEach((item) => {
+      if (byId.has(item.id)) {
+        duplicates.push({ id: item.id, pack: pack.id, kept: byId.get(item.id).pack_id });
+        return;
+      }
+      byId.set(item.id, {
+        ...item,
+        year: item.year ?? pack.year,
+        pack_id: pack.id,
+        pack_version: pack.version,
+      });
+    });
+  });
+
+  if (duplicates.length > 0) {
+    console.warn(`Content packs: ${duplicates.length} duplicate ${type} ids skipped`, duplicates);
+  }
+
+  return {
+    items: [...byId.values()],
+    packs: loaded.map(({ pack, items }) => ({
+      id: pack.id,
+      type: pack.type,
+      year: pack.year,
+      version: pack.version,
+      source: pack.source,
+      file: pack.file,
+      count: items.length,
+    })),
+    duplicates,
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Cumulative exam across all four periods, for Red Seal (interprovincial)
+ * preparation. The exam's question count is split across years by a
+ * configurable weighting, and each year's share follows that year's blueprint
+ * (section and subtopic weights, difficulty mix) through assembleExam.
+ *
+ * Cumulative progress, sessions and attempts are stored under the reserved
+ * year CUMULATIVE_YEAR, apart from the per-year records. Section numbers
+ * repeat across years, so cumulative section scores are keyed
+ * `${year}.${section}` (see cumulativeSectionKey).
+ */
+
+import { getBlueprint } from '@/lib/blueprints';
+import { apportion, assembleExam, shuffle } from '@/lib/examAssembler';
+import { getSecondsPerQuestion } from '@/lib/pacing';
+
+export const CUMULATIVE_YEAR = 0;
+export const EXAM_YEARS = [1, 2, 3, 4];
+export const DEFAULT_YEAR_WEIGHTS = { 1: 25, 2: 25, 3: 25, 4: 25 };
+export const CUMULATIVE_QUESTIONS = 100;
+
+// The pass mark every period's blueprint shares (and the Red Seal's)
+export const CUMULATIVE_PASS_MARK = 70;
+
+/**
+ * Year weights from a URL value like "10,20,30,40" (Years 1-4 in order).
+ * Falls back to DEFAULT_YEAR_WEIGHTS when the value is missing or weights nothing.
+ */
+export function parseYearWeights(text) {
+  const values = String(text || '').split(',').map((v) => Math.floor(Number(v)));
+  if (values.length !== EXAM_YEARS.length || values.some((v) => !Number.isFinite(v) || v < 0)) {
+    return { ...DEFAULT_YEAR_WEIGHTS };
+  }
+  if (values.every((v) => v === 0)) return { ...DEFAULT_YEAR_WEIGHTS };
+  return Object.fromEntries(EXAM_YEARS.map((year, i) => [year, values[i]]));
+}
+
+/**
+ * Every year's question bank through `api`, each question tagged with its year.
+ */
+export async function loadCumulativeQuestions(api) {
+  const banks = await Promise.all(EXAM_YEARS.map((year) => api.entities.Question.filter({ year })));
+  return banks.flatMap((bank, i) => bank.map((q) => ({ ...q, year: EXAM_YEARS[i] })));
+}
+
+export function formatYearWeights(weights) {
+  return EXAM_YEARS.map((year) => weights[year] || 0).join(',');
+}
+
+/**
+ * Questions per year for a `total`-question exam, e.g. { 1: 25, 2: 25, 3: 25, 4: 25 }.
+ */
+export function yearQuestionCounts(weights, total = CUMULATIVE_QUESTIONS) {
+  const counts = apportion(total, EXAM_YEARS.map((year) => weights[year] || 0));
+  return Object.fromEntries(EXAM_YEARS.map((year, i) => [year, counts[i]]));
+}
+
+// Time allowed at the average per-question pace of the years in the exam
+export function cumulativeTimeLimit(weights, total = CUMULATIVE_QUESTIONS) {
+  const counts = yearQuestionCounts(weights, total);
+  const seconds = EXAM_YEARS.reduce((sum, year) => sum + counts[year] * getSecondsPerQuestion(year), 0);
+  return Math.round(seconds);
+}
+
+/**
+ * Assemble a cumulative exam from `questions` (every year's bank, each
+ * question tagged with its `year`). Returns { questions, shortfalls } with
+ * assembleExam's shortfalls plus their `year`; a year with no questions at all
+ * is reported once rather than per subtopic.
+ */
+export function assembleCumulativeExam(questions, weights, total = CUMULATIVE_QUESTIONS, { random = Math.random } = {}) {
+  const counts = yearQuestionCounts(weights, total);
+  const selected = [];
+  const shortfalls = [];
+
+  EXAM_YEARS.forEach((year) => {
+    const count = counts[year];
+    if (count === 0) return;
+
+    const blueprint = getBlueprint(year);
+    const pool = questions.filter((q) => q.year === year);
+    if (pool.length === 0) {
+      shortfalls.push({ year, section: null, subtopic: null, name: blueprint.title, required: count, available: 0 });
+      return;
+    }
+
+    // The year's share keeps its blueprint's section proportions
+    const sectionCounts = apportion(count, blueprint.sections.map((s) => s.questions));
+    const scaled = {
+      ...blueprint,
+      sections: blueprint.sections.map((s, i) => ({ ...s, questions: sectionCounts[i] })),
+    };
+    const exam = assembleExam(pool, scaled, { random });
+    selected.push(...exam.questions);
+    shortfalls.push(...exam.shortfalls.map((s) => ({ ...s, year })));
+  });
+
+  return { questions: shuffle(selected, random), shortfalls };
+}
+
+export function cumulativeSectionKey(year, section) {
+  return `${year}.${section}`;
+}
+
+export function parseSectionKey(key) {
+  const [year, section] = String(key).split('.').map(Number);
+  return { year, section };
+}
+
+/**
+ * Score per year from question results that carry `year`:
+ * { [year]: { total, correct, percentage } }.
+ */
+export function scoreByYear(questionResults = []) {
+  const scores = {};
+  questionResults.forEach((r) => {
+    if (!r.year) return;
+    if (!scores[r.year]) scores[r.year] = { total: 0, correct: 0 };
+    scores[r.year].total++;
+    if (r.correct) scores[r.year].correct++;
+  });
+  Object.values(scores).forEach((score) => {
+    score.percentage = (score.correct / score.total) * 100;
+  });
+  return scores;
+}
@@ -0,0 +1,132 @@
+/**
+ * Custom quizzes: a named quiz built from hand-picked question ids or from a
+ * question count per section. The definition is plain JSON so it can be saved
+ * as a QuizPreset or carried in a share URL (`mode=custom&quiz=...`):
+ *   { name, year, question_ids?: [id], section_counts?: { [section]: count }, difficulty }
+ * Hand-picked ids win when both are present; difficulty only applies to
+ * section counts. Presets add `settings: { timed, explanations, shuffle }`.
+ */
+
+import { getSectionName } from '@/lib/blueprints';
+import { shuffle } from '@/lib/examAssembler';
+
+const DIFFICULTIES = ['mixed', 'easy', 'medium', 'hard'];
+const MAX_NAME_LENGTH = 80;
+export const DEFAULT_QUIZ_NAME = 'Custom Quiz';
+
+/**
+ * A clean copy of `raw` with only the definition fields, or null when it
+ * doesn't describe a quiz (no year, no questions).
+ */
+export function normalizeDefinition(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const year = Number(raw.year);
+  if (!Number.isInteger(year) || year < 1) return null;
+
+  const definition = {
+    name: String(raw.name || '').trim().slice(0, MAX_NAME_LENGTH) || DEFAULT_QUIZ_NAME,
+    year,
+    difficulty: DIFFICULTIES.includes(raw.difficulty) ? raw.difficulty : 'mixed',
+  };
+
+  if (Array.isArray(raw.question_ids) && raw.question_ids.length > 0) {
+    definition.question_ids = [...new Set(raw.question_ids.map(String))];
+    return definition;
+  }
+
+  const counts = Object.entries(raw.section_counts || {})
+    .map(([section, count]) => [Number(section), Math.floor(Number(count))])
+    .filter(([section, count]) => Number.isInteger(section) && count > 0);
+  if (counts.length === 0) return null;
+  definition.section_counts = Object.fromEntries(counts);
+  return definition;
+}
+
+export function definitionQuestionCount(definition) {
+  if (!definition) return 0;
+  if (definition.question_ids) return definition.question_ids.length;
+  return Object.values(definition.section_counts || {}).reduce((sum, count) => sum + count, 0);
+}
+
+// URL-safe base64 of the definition's JSON (UTF-8, so any quiz name survives)
+export function encodeQuizDefinition(definition) {
+  const bytes = new TextEncoder().encode(JSON.stringify(normalizeDefinition(definition)));
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * The definition carried in a share URL, or null when it's missing or damaged.
+ */
+export function decodeQuizDefinition(text) {
+  if (!text) return null;
+  try {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return normalizeDefinition(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Quiz page query parameters that run `definition` with the given settings.
+ */
+export function customQuizParams(definition, { timed = false, explanations = 'immediate', shuffle: shuffleOptions = false } = {}) {
+  const normalized = normalizeDefinition(definition);
+  const params = new URLSearchParams();
+  params.set('mode', 'custom');
+  params.set('quiz', encodeQuizDefinition(normalized));
+  params.set('questions', definitionQuestionCount(normalized));
+  params.set('timed', timed ? 'true' : 'false');
+  params.set('explanations', explanations === 'end' ? 'end' : 'immediate');
+  if (shuffleOptions) params.set('shuffle', 'true');
+  return params;
+}
+
+/**
+ * Draw the questions for `definition` from the year's bank. Hand-picked
+ * questions keep their order; section counts are drawn at random and mixed.
+ * Returns { questions, shortfalls } with shortfalls shaped like
+ * assembleExam's ({ section, subtopic, name, required, available }).
+ */
+export function buildCustomQuiz(definition, questions, { random = Math.random } = {}) {
+  if (definition.question_ids) {
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    const picked = definition.question_ids.map((id) => byId.get(id)).filter(Boolean);
+    const shortfalls = picked.length < definition.question_ids.length
+      ? [{
+          section: null,
+          subtopic: null,
+          name: 'Picked questions still in the bank',
+          required: definition.question_ids.length,
+          available: picked.length,
+        }]
+      : [];
+    return { questions: picked, shortfalls };
+  }
+
+  const selected = [];
+  const shortfalls = [];
+  Object.entries(definition.section_counts).forEach(([section, count]) => {
+    const pool = questions.filter((q) =>
+      q.section === Number(section) &&
+      (definition.difficulty === 'mixed' || q.difficulty === definition.difficulty)
+    );
+    const drawn = shuffle(pool, random).slice(0, count);
+    if (drawn.length < count) {
+      shortfalls.push({
+        section: Number(section),
+        subtopic: null,
+        name: getSectionName(definition.year, section),
+        required: count,
+        available: drawn.length,
+      });
+    }
+    selected.push(...drawn);
+  });
+  return { questions: shuffle(selected, random), shortfalls };
+}
@@ -0,0 +1,121 @@
+/**
+ * Blueprint-driven full exam assembly.
+ * Each section's question count is split across its subtopics by curriculum
+ * weight, and every pick is balanced across difficulty levels. When the bank
+ * can't cover a subtopic or section, the gap is filled from the rest of the
+ * section where possible and reported in `shortfalls`.
+ */
+
+const DIFFICULTY_MIX = { easy: 0.3, medium: 0.5, hard: 0.2 };
+
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Split `total` into integer parts proportional to `weights` (largest remainder).
+ */
+export function apportion(total, weights) {
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  if (sum <= 0) return weights.map(() => 0);
+
+  const exact = weights.map((w) => (total * w) / sum);
+  const parts = exact.map(Math.floor);
+  let remaining = total - parts.reduce((acc, p) => acc + p, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        parts[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  return parts;
+}
+
+/**
+ * Take up to `count` questions from `pool`, following DIFFICULTY_MIX as
+ * closely as the pool allows.
+ */
+function pickBalanced(pool, count, random) {
+  const levels = Object.keys(DIFFICULTY_MIX);
+  const buckets = Object.fromEntries(levels.map((level) => [level, []]));
+  const other = [];
+  shuffle(pool, random).forEach((q) => (buckets[q.difficulty] || other).push(q));
+
+  const quotas = apportion(count, levels.map((level) => DIFFICULTY_MIX[level]));
+  const picked = [];
+  levels.forEach((level, i) => {
+    picked.push(...buckets[level].splice(0, quotas[i]));
+  });
+
+  // Top up from whatever is left when a difficulty bucket runs dry
+  const leftover = shuffle([...levels.flatMap((level) => buckets[level]), ...other], random);
+  picked.push(...leftover.slice(0, count - picked.length));
+  return picked;
+}
+
+/**
+ * Assemble a full exam for `blueprint` from `questions`.
+ * Returns { questions, shortfalls }, where each shortfall is
+ * { section, subtopic, name, required, available } (subtopic is null for a
+ * section-level gap).
+ */
+export function assembleExam(questions, blueprint, { random = Math.random } = {}) {
+  const selected = [];
+  const shortfalls = [];
+
+  blueprint.sections.forEach((section) => {
+    const sectionPool = questions.filter((q) => q.section === section.num);
+    const allocations = apportion(section.questions, section.subtopics.map((s) => s.weight));
+    const chosen = [];
+
+    section.subtopics.forEach((subtopic, i) => {
+      const required = allocations[i];
+      if (required === 0) return;
+
+      const pool = sectionPool.filter((q) => q.subtopic === subtopic.code);
+      const picked = pickBalanced(pool, required, random);
+      chosen.push(...picked);
+
+      if (picked.length < required) {
+        shortfalls.push({
+          section: section.num,
+          subtopic: subtopic.code,
+          name: subtopic.name,
+          required,
+          available: pool.length,
+        });
+      }
+    });
+
+    // Fill subtopic gaps from the rest of the section (untagged questions included)
+    if (chosen.length < section.questions) {
+      const chosenIds = new Set(chosen.map((q) => q.id));
+      const rest = sectionPool.filter((q) => !chosenIds.has(q.id));
+      chosen.push(...pickBalanced(rest, section.questions - chosen.length, random));
+    }
+
+    if (chosen.length < section.questions) {
+      shortfalls.push({
+        section: section.num,
+        subtopic: null,
+        name: section.name,
+        required: section.questions,
+        available: chosen.length,
+      });
+    }
+
+    selected.push(...chosen);
+  });
+
+  return { questions: shuffle(selected, random), shortfalls };
+}
@@ -0,0 +1,185 @@
+/**
+ * Guest → account progress merge.
+ * Progress a guest saved on this device (local adapter records per year, quiz
+ * attempts, and the AnonymousSession tracker) is folded into the signed-in
+ * account's records, then the local copies are cleared.
+ *
+ * Counters are only added once: the account record remembers which guest
+ * records it absorbed (`merged_guest_ids`), and imported attempts keep the
+ * guest attempt id in `imported_from`.
+ */
+
+import { guestData } from '@/api/localClient';
+import { anonymousSession } from '@/lib/AnonymousSession';
+import { CUMULATIVE_YEAR, EXAM_YEARS } from '@/lib/cumulativeExam';
+
+const YEARS = [...EXAM_YEARS, CUMULATIVE_YEAR];
+const COUNTERS = ['total_questions_answered', 'total_correct', 'quizzes_completed', 'full_exams_completed'];
+
+function union(a = [], b = []) {
+  return [...new Set([...a, ...b])];
+}
+
+function mergeSectionStats(account = {}, guest = {}) {
+  const merged = { ...account };
+  Object.entries(guest).forEach(([section, stats]) => {
+    const current = merged[section] || { attempted: 0, correct: 0 };
+    merged[section] = {
+      attempted: current.attempted + (stats.attempted || 0),
+      correct: current.correct + (stats.correct || 0),
+    };
+  });
+  return merged;
+}
+
+// The more recently reviewed entry wins for each question
+function mergeReviewSchedule(account = {}, guest = {}) {
+  const merged = { ...account };
+  Object.entries(guest).forEach(([id, entry]) => {
+    if (!merged[id] || (entry.last_reviewed || '') > (merged[id].last_reviewed || '')) {
+      merged[id] = entry;
+    }
+  });
+  return merged;
+}
+
+// Furthest point read is kept; the position comes from whichever was read last
+function mergeGuideProgress(account = {}, guest = {}) {
+  const merged = { ...account };
+  Object.entries(guest).forEach(([id, entry]) => {
+    const current = merged[id];
+    if (!current) {
+      merged[id] = entry;
+      return;
+    }
+    const latest = (entry.updated_at || '') > (current.updated_at || '') ? entry : current;
+    merged[id] = { ...latest, percent: Math.max(current.percent || 0, entry.percent || 0) };
+  });
+  return merged;
+}
+
+/**
+ * Fold a guest progress record into an account record (either may be null).
+ * Returns the merged fields; counters are skipped when the account already
+ * absorbed this guest record.
+ */
+export function mergeProgress(account, guest) {
+  const base = account || {};
+  const alreadyMerged = (base.merged_guest_ids || []).includes(guest.id);
+  const merged = {
+    weak_questions: union(base.weak_questions, guest.weak_questions),
+    confident_misses: union(base.confident_misses, guest.confident_misses),
+    bookmarked_questions: union(base.bookmarked_questions, guest.bookmarked_questions),
+    review_schedule: mergeReviewSchedule(base.review_schedule, guest.review_schedule),
+    guide_progress: mergeGuideProgress(base.guide_progress, guest.guide_progress),
+    best_score: Math.max(base.best_score || 0, guest.best_score || 0),
+    merged_guest_ids: union(base.merged_guest_ids, [guest.id]),
+  };
+
+  if (!alreadyMerged) {
+    COUNTERS.forEach((field) => {
+      merged[field] = (base[field] || 0) + (guest[field] || 0);
+    });
+    merged.section_stats = mergeSectionStats(base.section_stats, guest.section_stats);
+  }
+
+  // Streaks can't be added together; keep whichever record studied last
+  const guestIsNewer = (guest.last_study_date || '') > (base.last_study_date || '');
+  const sameDay = guest.last_study_date && guest.last_study_date === base.last_study_date;
+  if (guestIsNewer || sameDay) {
+    merged.last_study_date = guest.last_study_date;
+    merged.study_streak_days = sameDay
+      ? Math.max(base.study_streak_days || 0, guest.study_streak_days || 0)
+      : guest.study_streak_days || 0;
+  }
+
+  return merged;
+}
+
+// Questions the anonymous tracker saw answered wrong, by year
+function anonymousWeakQuestions() {
+  const progress = anonymousSession.pendingProgress();
+  const byYear = {};
+  (progress?.answeredQuestions || [])
+    .filter((q) => !q.isCorrect && q.year)
+    .forEach((q) => {
+      byYear[q.year] = [...(byYear[q.year] || []), q.questionId];
+    });
+  return byYear;
+}
+
+/**
+ * Everything a guest left on this device, per year. Empty years are omitted.
+ */
+export function collectGuestProgress() {
+  const anonymousWeak = anonymousWeakQuestions();
+  return YEARS.map((year) => ({ year, ...guestData.read(year), anonymousWeak: anonymousWeak[year] || [] }))
+    .filter((entry) => entry.progress || entry.attempts.length > 0 || entry.anonymousWeak.length > 0);
+}
+
+export function hasGuestProgress() {
+  return collectGuestProgress().length > 0;
+}
+
+async function mergeYear(api, user, { year, progress, attempts, anonymousWeak }) {
+  const [account] = await api.entities.UserProgress.filter({ created_by: user.email, year });
+  const guest = {
+    ...(progress || {}),
+    id: progress?.id || `anonymous-${year}`,
+    weak_questions: union(progress?.weak_questions, anonymousWeak),
+  };
+  const alreadyMerged = (account?.merged_guest_ids || []).includes(guest.id);
+  const merged = mergeProgress(account, guest);
+
+  if (account?.id) {
+    await api.entities.UserProgress.update(account.id, { ...merged, _year: year });
+  } else {
+    await api.entities.UserProgress.create({ ...merged, year });
+  }
+
+  const imported = new Set(
+    (await api.entities.QuizAttempt.filter({ year })).map((a) => a.imported_from).filter(Boolean)
+  );
+  // Oldest first so the account's history keeps its order
+  const newAttempts = attempts.filter((a) => !imported.has(a.id)).reverse();
+  for (const attempt of newAttempts) {
+    const fields = { ...attempt, year, imported_from: attempt.id };
+    delete fields.id;
+    delete fields.created_by;
+    await api.entities.QuizAttempt.create(fields);
+  }
+
+  const before = (list) => new Set(account?.[list] || []);
+  return {
+    year,
+    questionsAnswered: alreadyMerged ? 0 : guest.total_questions_answered || 0,
+    quizzes: alreadyMerged ? 0 : guest.quizzes_completed || 0,
+    weakAdded: merged.weak_questions.filter((id) => !before('weak_questions').has(id)).length,
+    bookmarksAdded: merged.bookmarked_questions.filter((id) => !before('bookmarked_questions').has(id)).length,
+    attemptsImported: newAttempts.length,
+  };
+}
+
+/**
+ * Merge all guest progress into the signed-in account via `api`, then clear
+ * the guest copies. Returns a per-year summary, or [] when there was nothing.
+ * Years that fail to merge keep their local copy and are retried next time.
+ */
+export async function mergeGuestProgress(api, user) {
+  const entries = collectGuestProgress();
+  const summary = [];
+  let failed = false;
+
+  for (const entry of entries) {
+    try {
+      summary.push(await mergeYear(api, user, entry));
+      guestData.clear(entry.year);
+    } catch (error) {
+      failed = true;
+      console.error(`Guest progress merge failed for Year ${entry.year}:`, error);
+    }
+  }
+
+  if (!failed) anonymousSession.clear();
+  return summary;
+}
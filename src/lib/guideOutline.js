@@ -0,0 +1,94 @@
+/**
+ * Study guide outline: headings for the table of contents, their anchor ids,
+ * plain-text excerpts for guide cards, and reading progress.
+ *
+ * Guide content is Markdown. Headings are read from the source (ATX `#`
+ * headings outside fenced code) with the line they start on, so the reader can
+ * give each rendered heading the same id as its table-of-contents entry.
+ */
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+// Inline Markdown reduced to its text: emphasis, code, links, images, math
+export function stripInline(text) {
+  return String(text || '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\$+([^$]*)\$+/g, '$1')
+    .replace(/[*_`~]/g, '')
+    .trim();
+}
+
+export function slugify(text) {
+  const slug = stripInline(text)
+    .toLowerCase()
+    .replace(/[^\p{Letter}\p{Number}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-');
+  return slug || 'section';
+}
+
+/**
+ * Headings in `markdown` down to `maxDepth`, in order:
+ * [{ depth, text, id, line }] where `line` is 1-based and ids are unique.
+ */
+export function extractHeadings(markdown, { maxDepth = 3 } = {}) {
+  const headings = [];
+  const used = new Map();
+  let inFence = false;
+
+  String(markdown || '').split('\n').forEach((source, index) => {
+    if (FENCE.test(source)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+    const match = source.match(HEADING);
+    if (!match || match[1].length > maxDepth) return;
+
+    const text = stripInline(match[2]);
+    const base = slugify(text);
+    const seen = used.get(base) || 0;
+    used.set(base, seen + 1);
+    headings.push({
+      depth: match[1].length,
+      text,
+      id: seen === 0 ? base : `${base}-${seen}`,
+      line: index + 1,
+    });
+  });
+
+  return headings;
+}
+
+/**
+ * The opening prose of a guide as plain text, for cards and search results.
+ */
+export function guideExcerpt(markdown, length = 220) {
+  let inFence = false;
+  const prose = String(markdown || '').split('\n').filter((line) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      return false;
+    }
+    return !inFence && !HEADING.test(line) && !/^\s*(\||[-*_]{3,}\s*$)/.test(line);
+  }).map((line) => line.replace(/^\s*([-*+>]|\d+\.)\s+/, ''));
+  const text = stripInline(prose.join(' ')).replace(/\s+/g, ' ');
+  return text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…` : text;
+}
+
+/**
+ * Reading progress for one guide, stored per guide id in the year's
+ * UserProgress (`guide_progress`): { percent, position, updated_at }.
+ * `percent` is the furthest point reached and never goes down; `position` is
+ * where the reader last was, to pick up from there.
+ */
+export function updateGuideProgress(previous, position) {
+  const clamped = Math.min(1, Math.max(0, position));
+  return {
+    percent: Math.max(previous?.percent || 0, Math.round(clamped * 100)),
+    position: clamped,
+    updated_at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Answer-option shuffling.
+ * An option order lists the canonical option letters in the order they are
+ * shown: ['C', 'A', 'D', 'B'] shows the stored option C as "A". Grading,
+ * storage and history always use canonical letters; only the question handed
+ * to a card is remapped, and answers are mapped back as they come out.
+ */
+
+import { QUESTION_TYPES, getQuestionType, getOptions, splitLetters, joinLetters } from '@/lib/questionTypes';
+
+const DISPLAY_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+/**
+ * A random display order for `question`'s options, or null when it has no
+ * options to shuffle (numeric questions).
+ */
+export function createOptionOrder(question, random = Math.random) {
+  if (getQuestionType(question) === QUESTION_TYPES.NUMERIC) return null;
+  const letters = getOptions(question).map((o) => o.letter);
+  if (letters.length < 2) return null;
+  for (let i = letters.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [letters[i], letters[j]] = [letters[j], letters[i]];
+  }
+  return letters;
+}
+
+function letterMaps(order) {
+  const toDisplay = {};
+  const toCanonical = {};
+  order.forEach((canonical, i) => {
+    toDisplay[canonical] = DISPLAY_LETTERS[i];
+    toCanonical[DISPLAY_LETTERS[i]] = canonical;
+  });
+  return { toDisplay, toCanonical };
+}
+
+function mapAnswer(question, answer, map) {
+  if (answer == null || answer === '') return answer;
+  if (getQuestionType(question) === QUESTION_TYPES.MULTIPLE_CHOICE) return map[answer] || answer;
+  return joinLetters(splitLetters(answer).map((l) => map[l] || l));
+}
+
+export function toDisplayAnswer(question, answer, order) {
+  if (!order) return answer;
+  return mapAnswer(question, answer, letterMaps(order).toDisplay);
+}
+
+export function toCanonicalAnswer(question, answer, order) {
+  if (!order) return answer;
+  return mapAnswer(question, answer, letterMaps(order).toCanonical);
+}
+
+// "A) ...", "(B)", "option C" and "answer D" style references to option letters.
+// Bare and bracketed letters must follow whitespace so formulas like "(P = F/A)" are left alone.
+const LETTER_REFERENCE = /(?<=^|\s)([A-H])\)|(?<=^|\s)\(([A-H])\)|\b((?:[Oo]ption|[Aa]nswer|[Cc]hoice)s?\s+)([A-H])\b/g;
+
+function remapReferences(text, toDisplay) {
+  return text.replace(LETTER_REFERENCE, (match, bare, parenthesised, prefix, named) => {
+    if (bare) return toDisplay[bare] ? `${toDisplay[bare]})` : match;
+    if (parenthesised) return toDisplay[parenthesised] ? `(${toDisplay[parenthesised]})` : match;
+    return toDisplay[named] ? `${prefix}${toDisplay[named]}` : match;
+  });
+}
+
+// "A) ... C) ... D) ..." lists are re-sorted so they read in the new letter order
+function remapWrongExplanations(text, toDisplay) {
+  const parts = text.split(/(?<=\s)(?=[A-H]\)\s)/);
+  const remapped = parts.map((part) => remapReferences(part, toDisplay));
+  if (parts.length < 2 || !parts.every((part) => /^[A-H]\)\s/.test(part))) return remapped.join('');
+  return remapped
+    .map((part) => part.trim())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .join(' ');
+}
+
+/**
+ * `question` as it should be displayed with `order`: options moved to their
+ * display letters, and correct_answer and letter references in the
+ * explanations remapped to match.
+ */
+export function toDisplayQuestion(question, order) {
+  if (!order) return question;
+  const { toDisplay } = letterMaps(order);
+  const display = { ...question };
+
+  order.forEach((canonical, i) => {
+    display[`option_${DISPLAY_LETTERS[i].toLowerCase()}`] = question[`option_${canonical.toLowerCase()}`];
+  });
+  display.correct_answer = mapAnswer(question, question.correct_answer, toDisplay);
+  if (question.wrong_explanations) {
+    display.wrong_explanations = remapWrongExplanations(question.wrong_explanations, toDisplay);
+  }
+  if (question.explanation) {
+    display.explanation = remapReferences(question.explanation, toDisplay);
+  }
+  return display;
+}
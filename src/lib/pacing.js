@@ -0,0 +1,67 @@
+/**
+ * Pacing: how time on each question compares with the exam's budget.
+ * The budget is the blueprint's time limit spread evenly over its questions
+ * (3 hours for 100 questions = 108 s, i.e. 1.8 minutes per question).
+ * Times come from `time_seconds` on each quiz answer.
+ */
+
+import { getBlueprint } from '@/lib/blueprints';
+
+const SLOWEST_COUNT = 5;
+
+// Questions the user may fall behind before the timer warns
+const BEHIND_TOLERANCE = 1;
+
+export function getSecondsPerQuestion(year) {
+  const blueprint = getBlueprint(year);
+  return blueprint.time_limit_seconds / blueprint.total_questions;
+}
+
+/**
+ * Pacing report for a finished quiz. Returns null when the answers carry no
+ * timing (attempts recorded before time tracking). Questions an exam was
+ * submitted without ever reaching (no answer, no time) are left out, so running
+ * out of time doesn't read as being fast.
+ *   { averageSeconds, targetSeconds, onPace, projectedExamSeconds, examSeconds,
+ *     sections: [{ section, averageSeconds, count }], slowest: [answer] }
+ */
+export function analyzePacing(questionResults = [], year) {
+  const timed = questionResults.filter((r) =>
+    typeof r.time_seconds === 'number' && (r.time_seconds > 0 || r.user_answer != null)
+  );
+  if (timed.length === 0) return null;
+
+  const blueprint = getBlueprint(year);
+  const targetSeconds = getSecondsPerQuestion(year);
+  const average = (list) => list.reduce((sum, r) => sum + r.time_seconds, 0) / list.length;
+  const averageSeconds = average(timed);
+
+  const bySection = {};
+  timed.forEach((r) => {
+    bySection[r.section] = [...(bySection[r.section] || []), r];
+  });
+
+  return {
+    averageSeconds,
+    targetSeconds,
+    onPace: averageSeconds <= targetSeconds,
+    projectedExamSeconds: averageSeconds * blueprint.total_questions,
+    examSeconds: blueprint.time_limit_seconds,
+    sections: Object.entries(bySection)
+      .map(([section, list]) => ({ section, averageSeconds: average(list), count: list.length }))
+      .sort((a, b) => b.averageSeconds - a.averageSeconds),
+    slowest: [...timed].sort((a, b) => b.time_seconds - a.time_seconds).slice(0, SLOWEST_COUNT),
+  };
+}
+
+/**
+ * How far a timed quiz is behind an even pace, in questions (0 when on or
+ * ahead of schedule, or within the tolerance).
+ */
+export function questionsBehind({ answered, totalQuestions, totalSeconds, secondsLeft }) {
+  if (!totalQuestions || !totalSeconds) return 0;
+  const elapsed = totalSeconds - secondsLeft;
+  const expected = Math.min(totalQuestions, Math.floor(elapsed / (totalSeconds / totalQuestions)));
+  const behind = expected - answered;
+  return behind > BEHIND_TOLERANCE ? behind : 0;
+}
@@ -0,0 +1,97 @@
+/**
+ * Formal schema for a question record (the objects in data/*.json).
+ * Shared by the app and scripts/validate-questions.js, so imports here stay
+ * relative with explicit extensions.
+ */
+
+import { z } from 'zod';
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  getOptions,
+  splitLetters,
+  parseNumber
+} from './questionTypes.js';
+
+const optionText = z.string().trim().min(1).optional();
+
+const baseSchema = z.object({
+  id: z.string().trim().min(1),
+  year: z.number().int().min(1).max(4),
+  section: z.number().int().min(1),
+  section_name: z.string().trim().min(1),
+  subtopic: z.string().regex(/^[A-Z]$/, 'must be a single curriculum letter').optional(),
+  difficulty: z.enum(['easy', 'medium', 'hard']),
+  question_type: z.nativeEnum(QUESTION_TYPES).optional(),
+  question_text: z.string().trim().min(1),
+  option_a: optionText,
+  option_b: optionText,
+  option_c: optionText,
+  option_d: optionText,
+  option_e: optionText,
+  option_f: optionText,
+  option_g: optionText,
+  option_h: optionText,
+  correct_answer: z.string().trim().min(1),
+  explanation: z.string().trim().min(1, 'explanation is empty'),
+  wrong_explanations: z.string().optional(),
+  formula: z.string().optional(),
+  reference: z.string().optional(),
+  unit: z.string().optional(),
+  tolerance: z.number().nonnegative().optional()
+});
+
+function checkAnswer(question, ctx) {
+  const type = getQuestionType(question);
+  const letters = getOptions(question).map((o) => o.letter);
+  const issue = (message, path = ['correct_answer']) => ctx.addIssue({ code: z.ZodIssueCode.custom, message, path });
+
+  switch (type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      ['A', 'B', 'C', 'D'].forEach((letter) => {
+        if (!letters.includes(letter)) issue(`option_${letter.toLowerCase()} is required`, [`option_${letter.toLowerCase()}`]);
+      });
+      if (!['A', 'B', 'C', 'D'].includes(question.correct_answer)) {
+        issue(`must be one of A-D (got "${question.correct_answer}")`);
+      }
+      break;
+
+    case QUESTION_TYPES.NUMERIC:
+      if (Number.isNaN(parseNumber(question.correct_answer))) {
+        issue(`must be a number for numeric questions (got "${question.correct_answer}")`);
+      }
+      break;
+
+    case QUESTION_TYPES.MULTI_SELECT: {
+      const answer = splitLetters(question.correct_answer);
+      if (letters.length < 3) issue('multi-select questions need at least 3 options', ['option_c']);
+      if (answer.length === 0) issue('must list at least one option letter');
+      if (new Set(answer).size !== answer.length) issue('lists the same option twice');
+      answer.filter((l) => !letters.includes(l)).forEach((l) => issue(`refers to missing option ${l}`));
+      break;
+    }
+
+    case QUESTION_TYPES.ORDERED_STEPS: {
+      const answer = splitLetters(question.correct_answer);
+      const isPermutation = answer.length === letters.length &&
+        [...answer].sort().every((l, i) => l === [...letters].sort()[i]);
+      if (letters.length < 2) issue('ordered-steps questions need at least 2 steps', ['option_b']);
+      if (!isPermutation) issue('must list every step letter exactly once');
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+export const questionSchema = baseSchema.superRefine(checkAnswer);
+
+/**
+ * Validate one question. Returns a list of "field: message" strings (empty when valid).
+ */
+export function validateQuestion(question) {
+  const result = questionSchema.safeParse(question);
+  if (result.success) return [];
+  return result.error.issues.map((i) => `${i.path.join('.') || 'question'}: ${i.message}`);
+}
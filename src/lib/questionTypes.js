@@ -0,0 +1,100 @@
+/**
+ * Question types and grading.
+ * `correct_answer` is always a string so every type fits the same column:
+ *   multiple_choice  'B'
+ *   numeric          '28.28'   (plus `unit` and absolute `tolerance`)
+ *   multi_select     'A,C,D'   (every correct option, any order)
+ *   ordered_steps    'C,A,D,B' (option letters in the correct sequence)
+ * User answers use the same string forms.
+ */
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple_choice',
+  NUMERIC: 'numeric',
+  MULTI_SELECT: 'multi_select',
+  ORDERED_STEPS: 'ordered_steps',
+};
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+export function getQuestionType(question) {
+  return question?.question_type || QUESTION_TYPES.MULTIPLE_CHOICE;
+}
+
+/**
+ * Options present on the question (option_a, option_b, ...), as { letter, text }.
+ */
+export function getOptions(question) {
+  return OPTION_LETTERS
+    .map((letter) => ({ letter, text: question[`option_${letter.toLowerCase()}`] }))
+    .filter((option) => option.text != null && option.text !== '');
+}
+
+export function splitLetters(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+export function joinLetters(letters) {
+  return letters.join(',');
+}
+
+export function parseNumber(value) {
+  if (value == null) return NaN;
+  const cleaned = String(value).replace(/,/g, '').trim();
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+export function isAnswerCorrect(question, answer) {
+  if (answer == null || answer === '') return false;
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.NUMERIC: {
+      const value = parseNumber(answer);
+      const expected = parseNumber(question.correct_answer);
+      if (Number.isNaN(value) || Number.isNaN(expected)) return false;
+      // Small epsilon so a tolerance of 0.05 accepts exactly 0.05 off
+      return Math.abs(value - expected) <= (Number(question.tolerance) || 0) + 1e-9;
+    }
+    case QUESTION_TYPES.MULTI_SELECT: {
+      const given = [...new Set(splitLetters(answer))].sort();
+      const expected = [...new Set(splitLetters(question.correct_answer))].sort();
+      return given.length === expected.length && given.every((l, i) => l === expected[i]);
+    }
+    case QUESTION_TYPES.ORDERED_STEPS: {
+      const given = splitLetters(answer);
+      const expected = splitLetters(question.correct_answer);
+      return given.length === expected.length && given.every((l, i) => l === expected[i]);
+    }
+    default:
+      return answer === question.correct_answer;
+  }
+}
+
+/**
+ * Human-readable form of an answer string for `question`, e.g. "28.28 in" or "A, C".
+ */
+export function formatAnswer(question, answer) {
+  if (answer == null || answer === '') return '';
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.NUMERIC:
+      return question.unit ? `${answer} ${question.unit}` : String(answer);
+    case QUESTION_TYPES.MULTI_SELECT:
+      return splitLetters(answer).sort().join(', ');
+    case QUESTION_TYPES.ORDERED_STEPS:
+      return splitLetters(answer).join(' → ');
+    default:
+      return answer;
+  }
+}
+
+export function formatCorrectAnswer(question) {
+  const formatted = formatAnswer(question, question.correct_answer);
+  if (getQuestionType(question) === QUESTION_TYPES.NUMERIC && Number(question.tolerance) > 0) {
+    return `${formatted} (±${question.tolerance})`;
+  }
+  return formatted;
+}
@@ -0,0 +1,121 @@
+/**
+ * Exam readiness model: estimates the user's score on the year's exam and the
+ * chance of clearing the pass mark.
+ *
+ * Each answer from saved quiz attempts is weighted by recency (half-life of
+ * RECENCY_HALF_LIFE_DAYS) and difficulty, giving a per-section accuracy. Sections
+ * with little data are pulled towards the user's overall accuracy. The estimate
+ * is the blueprint-weighted mean of section accuracies; its spread combines the
+ * uncertainty in each section's accuracy with the luck of a single exam sitting.
+ * Without attempts it falls back to the lifetime section_stats totals.
+ */
+
+import { getBlueprint } from '@/lib/blueprints';
+
+const RECENCY_HALF_LIFE_DAYS = 21;
+const DIFFICULTY_WEIGHTS = { easy: 0.75, medium: 1, hard: 1.25 };
+// Pseudo-answers pulling a section towards the overall accuracy, and the overall towards 50%
+const SECTION_PRIOR_STRENGTH = 5;
+const OVERALL_PRIOR_STRENGTH = 2;
+// Below this many effective answers a section's accuracy is a guess
+const LOW_DATA_ANSWERS = 10;
+// z for the 80% band shown around the estimate
+const BAND_Z = 1.2816;
+const DAY_MS = 86400000;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function recencyWeight(completedAt, now) {
+  const ageDays = Math.max(0, (now - new Date(completedAt).getTime()) / DAY_MS);
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+// Weighted observations per section: { [section]: { weight, correct, squares } }
+function observationsFromAttempts(attempts, questions, now) {
+  const difficultyById = new Map(questions.map((q) => [q.id, q.difficulty]));
+  const bySection = {};
+  attempts.forEach((attempt) => {
+    const recency = recencyWeight(attempt.completed_at, now);
+    (attempt.question_results || []).forEach((r) => {
+      const w = recency * (DIFFICULTY_WEIGHTS[difficultyById.get(r.question_id)] || 1);
+      const entry = bySection[r.section] || (bySection[r.section] = { weight: 0, correct: 0, squares: 0 });
+      entry.weight += w;
+      entry.correct += r.correct ? w : 0;
+      entry.squares += w * w;
+    });
+  });
+  return bySection;
+}
+
+function observationsFromTotals(sectionStats = {}) {
+  return Object.fromEntries(Object.entries(sectionStats).map(([section, s]) => [
+    section,
+    { weight: s.attempted || 0, correct: s.correct || 0, squares: s.attempted || 0 },
+  ]));
+}
+
+/**
+ * Estimate exam readiness for `year`. Returns null when there's nothing to go on.
+ *   { estimate, low, high, passProbability, passMark, basis: 'attempts' | 'totals',
+ *     sections: [{ section, share, accuracy, effectiveAnswers, pointsLost, lowData }] }
+ * Scores and accuracies are percentages; `sections` is ordered by points lost,
+ * i.e. the sections where improvement would move the estimate most.
+ */
+export function estimateReadiness({ attempts = [], sectionStats, questions = [], year, now = Date.now() }) {
+  const blueprint = getBlueprint(year);
+  const withResults = attempts.filter((a) => a.question_results?.length);
+  const basis = withResults.length > 0 ? 'attempts' : 'totals';
+  const observations = basis === 'attempts'
+    ? observationsFromAttempts(withResults, questions, now)
+    : observationsFromTotals(sectionStats);
+
+  const totals = Object.values(observations).reduce(
+    (sum, o) => ({ weight: sum.weight + o.weight, correct: sum.correct + o.correct }),
+    { weight: 0, correct: 0 }
+  );
+  if (totals.weight === 0) return null;
+
+  const overall = (totals.correct + 0.5 * OVERALL_PRIOR_STRENGTH) / (totals.weight + OVERALL_PRIOR_STRENGTH);
+  let estimate = 0;
+  let variance = 0;
+
+  const sections = blueprint.sections.map((s) => {
+    const obs = observations[s.num] || { weight: 0, correct: 0, squares: 0 };
+    const share = s.questions / blueprint.total_questions;
+    const accuracy = (obs.correct + overall * SECTION_PRIOR_STRENGTH) / (obs.weight + SECTION_PRIOR_STRENGTH);
+    // Kish effective sample size: down-weighted answers count for less
+    const effectiveAnswers = obs.squares > 0 ? (obs.weight * obs.weight) / obs.squares : 0;
+    const spread = accuracy * (1 - accuracy);
+
+    estimate += share * accuracy;
+    variance += share * share * spread / (effectiveAnswers + SECTION_PRIOR_STRENGTH);
+    variance += s.questions * spread / (blueprint.total_questions * blueprint.total_questions);
+
+    return {
+      section: s.num,
+      share: share * 100,
+      accuracy: accuracy * 100,
+      effectiveAnswers,
+      pointsLost: share * (1 - accuracy) * 100,
+      lowData: effectiveAnswers < LOW_DATA_ANSWERS,
+    };
+  });
+
+  const sd = Math.sqrt(variance);
+  const passMark = blueprint.pass_mark;
+  return {
+    estimate: estimate * 100,
+    low: Math.max(0, (estimate - BAND_Z * sd) * 100),
+    high: Math.min(100, (estimate + BAND_Z * sd) * 100),
+    passProbability: (1 - normalCdf((passMark / 100 - estimate) / sd)) * 100,
+    passMark,
+    basis,
+    sections: sections.sort((a, b) => b.pointsLost - a.pointsLost),
+  };
+}
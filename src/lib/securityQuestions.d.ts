@@ -0,0 +1,2 @@
+/** Types for securityQuestions.js, which the server imports. */
+export declare const SECURITY_QUESTIONS: readonly string[];
@@ -0,0 +1,15 @@
+/**
+ * Security questions offered at sign-up and in Settings. Shared with the
+ * server (server/auth.ts), which only accepts questions from this list.
+ */
+
+export const SECURITY_QUESTIONS = [
+  "What was the name of your first pet?",
+  "What city were you born in?",
+  "What is your mother's maiden name?",
+  "What was the name of your first school?",
+  "What is your favourite sports team?",
+  "What street did you grow up on?",
+  "What was your childhood nickname?",
+  "What is the name of your best friend from childhood?",
+];
@@ -0,0 +1,54 @@
+/**
+ * Seeded randomness for reproducible quizzes. A quiz URL carries `seed=...`;
+ * the same seed draws the same questions in the same order with the same
+ * option orders, so a link can be handed round a study group.
+ *
+ * Seeds are short strings read out or texted by people, so they use an
+ * alphabet without look-alike characters. Any string works as a seed, though.
+ */
+
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const SEED_LENGTH = 6;
+const MAX_SEED_LENGTH = 32;
+
+export function generateSeed() {
+  const values = crypto.getRandomValues(new Uint32Array(SEED_LENGTH));
+  return Array.from(values, (value) => SEED_ALPHABET[value % SEED_ALPHABET.length]).join('');
+}
+
+/**
+ * A seed from a URL as it should be used: trimmed, lower case, letters and
+ * digits only. Null when nothing usable is left.
+ */
+export function normalizeSeed(raw) {
+  const seed = String(raw || '').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, MAX_SEED_LENGTH);
+  return seed || null;
+}
+
+// xmur3 string hash, to turn any seed string into a 32-bit state
+function hashSeed(text) {
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * A Math.random stand-in (mulberry32) seeded from `seed`. Parts of a quiz that
+ * run in a user-dependent order (like option orders, created as questions are
+ * visited) should each get their own stream, e.g. `${seed}:${question.id}`.
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Spaced-repetition scheduler (SM-2) for per-question review.
+ * Schedules live in UserProgress.review_schedule, keyed by question id:
+ *   { ease, interval, repetitions, due_date, last_reviewed, lapses }
+ */
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const DAY_MS = 86400000;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Map a graded answer, and the confidence it was given with, to an SM-2
+ * quality score (0-5). Anything below 3 counts as a lapse and restarts the item.
+ */
+export function answerQuality(correct, confidence) {
+  if (correct) {
+    if (confidence === 'sure') return 5;
+    return confidence === 'unsure' || confidence === 'guess' ? 3 : 4;
+  }
+  return confidence === 'sure' ? 0 : 1;
+}
+
+/**
+ * Apply one review to a question's schedule entry and return the new entry.
+ */
+export function scheduleReview(entry, quality, now = new Date()) {
+  const previous = entry || {};
+  let ease = previous.ease ?? DEFAULT_EASE;
+  let repetitions = previous.repetitions ?? 0;
+  let interval = previous.interval ?? 0;
+  let lapses = previous.lapses ?? 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    due_date: toDateString(addDays(now, interval)),
+    last_reviewed: toDateString(now),
+  };
+}
+
+/**
+ * Fold a quiz's question results into an existing schedule.
+ */
+export function updateReviewSchedule(schedule = {}, questionResults = [], now = new Date()) {
+  const next = { ...schedule };
+  questionResults.forEach((r) => {
+    next[r.question_id] = scheduleReview(next[r.question_id], answerQuality(r.correct, r.confidence), now);
+  });
+  return next;
+}
+
+/**
+ * Question ids whose due date is today or earlier, most overdue first.
+ */
+export function getDueQuestionIds(schedule = {}, now = new Date()) {
+  const today = toDateString(now);
+  return Object.entries(schedule)
+    .filter(([, entry]) => entry?.due_date && entry.due_date <= today)
+    .sort((a, b) => a[1].due_date.localeCompare(b[1].due_date) || a[1].ease - b[1].ease)
+    .map(([id]) => id);
+}
@@ -49,20 +49,26 @@
  */
 import Curriculum from './pages/Curriculum';
 import Dashboard from './pages/Dashboard';
+import History from './pages/History';
 import Quiz from './pages/Quiz';
+import QuizBuilder from './pages/QuizBuilder';
 import QuizSetup from './pages/QuizSetup';
 import Settings from './pages/Settings';
 import Study from './pages/Study';
+import StudyGuide from './pages/StudyGuide';
 import YearSelection from './pages/YearSelection';
 
 
 export const PAGES = {
     "Curriculum": Curriculum,
     "Dashboard": Dashboard,
+    "History": History,
     "Quiz": Quiz,
+    "QuizBuilder": QuizBuilder,
     "QuizSetup": QuizSetup,
     "Settings": Settings,
     "Study": Study,
+    "StudyGuide": StudyGuide,
     "YearSelection": YearSelection,
 }
 
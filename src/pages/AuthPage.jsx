@@ -5,17 +5,12 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { BookOpen, ArrowLeft, Eye, EyeOff, Loader2, ChevronDown } from "lucide-react";
 import { Link, useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
+import { api } from '@/api/client';
+import { SECURITY_QUESTIONS } from '@/lib/securityQuestions';
+
+// Adapters without password accounts (offline guest mode) have no reset flow
+const canResetPassword = typeof api.auth.getResetQuestion === 'function';
 
-const SECURITY_QUESTIONS = [
-  "What was the name of your first pet?",
-  "What city were you born in?",
-  "What is your mother's maiden name?",
-  "What was the name of your first school?",
-  "What is your favourite sports team?",
-  "What street did you grow up on?",
-  "What was your childhood nickname?",
-  "What is the name of your best friend from childhood?",
-];
 
 export default function AuthPage() {
   const { signIn, signUp } = useAuth();
@@ -92,18 +87,11 @@ export default function AuthPage() {
     setError('');
     setIsSubmitting(true);
     try {
-      const res = await fetch('/api/auth/forgot-password/verify-email', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ email: resetEmail }),
-      });
-      const data = await res.json();
-      if (!res.ok) { setError(data.message); return; }
-      setResetQuestion(data.securityQuestion);
+      setResetQuestion(await api.auth.getResetQuestion(resetEmail));
+      setResetAnswer('');
       setResetStep(2);
-    } catch {
-      setError('Something went wrong. Please try again.');
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -114,18 +102,10 @@ export default function AuthPage() {
     setError('');
     setIsSubmitting(true);
     try {
-      const res = await fetch('/api/auth/forgot-password/verify-answer', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ email: resetEmail, securityAnswer: resetAnswer }),
-      });
-      const data = await res.json();
-      if (!res.ok) { setError(data.message); return; }
-      setResetToken(data.resetToken);
+      setResetToken(await api.auth.verifyResetAnswer(resetEmail, resetAnswer));
       setResetStep(3);
-    } catch {
-      setError('Something went wrong. Please try again.');
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -138,15 +118,10 @@ export default function AuthPage() {
     if (newPassword.length < 6) { setError('Password must be at least 6 characters'); return; }
     setIsSubmitting(true);
     try {
-      const res = await fetch('/api/auth/forgot-password/reset', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ email: resetEmail, resetToken, newPassword }),
-      });
-      const data = await res.json();
-      if (!res.ok) { setError(data.message); return; }
-      setSuccessMessage(data.message);
+      const message = await api.auth.resetPassword(resetEmail, resetToken, newPassword);
+      // Reset tokens are single-use
+      setResetToken('');
+      setSuccessMessage(message);
       setTimeout(() => {
         setMode('signin');
         setSuccessMessage('');
@@ -157,8 +132,8 @@ export default function AuthPage() {
         setNewPassword('');
         setConfirmPassword('');
       }, 2000);
-    } catch {
-      setError('Something went wrong. Please try again.');
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -258,11 +233,13 @@ export default function AuthPage() {
                   {isSubmitting ? <><Loader2 className="w-4 h-4 mr-2 animate-spin" />Signing in...</> : 'Sign In'}
                 </Button>
 
-                <div className="text-center">
-                  <button type="button" onClick={() => switchMode('forgot')} className="text-sm text-blue-600 hover:text-blue-700 font-medium">
-                    Forgot your password?
-                  </button>
-                </div>
+                {canResetPassword && (
+                  <div className="text-center">
+                    <button type="button" onClick={() => switchMode('forgot')} className="text-sm text-blue-600 hover:text-blue-700 font-medium">
+                      Forgot your password?
+                    </button>
+                  </div>
+                )}
 
                 <div className="mt-4 text-center">
                   <p className="text-sm text-slate-500">
@@ -410,6 +387,14 @@ export default function AuthPage() {
                 <Button type="submit" disabled={isSubmitting || !!successMessage} className="w-full bg-blue-600 hover:bg-blue-700 py-2.5 text-sm font-medium">
                   {isSubmitting ? <><Loader2 className="w-4 h-4 mr-2 animate-spin" />Resetting...</> : 'Reset Password'}
                 </Button>
+
+                {!successMessage && (
+                  <div className="text-center">
+                    <button type="button" onClick={() => switchMode('forgot')} className="text-sm text-blue-600 hover:text-blue-700 font-medium">
+                      Start again
+                    </button>
+                  </div>
+                )}
               </form>
             )}
 
@@ -4,79 +4,22 @@ import { createPageUrl } from '@/utils';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { ArrowLeft, ExternalLink, GraduationCap } from "lucide-react";
+import { useAuth } from '@/lib/AuthContext';
+import { getBlueprint } from '@/lib/blueprints';
+
+const sectionColors = [
+  "bg-blue-100 text-blue-700 border-blue-200",
+  "bg-purple-100 text-purple-700 border-purple-200",
+  "bg-orange-100 text-orange-700 border-orange-200",
+  "bg-teal-100 text-teal-700 border-teal-200",
+  "bg-pink-100 text-pink-700 border-pink-200",
+  "bg-indigo-100 text-indigo-700 border-indigo-200"
+];
 
 export default function Curriculum() {
-  const sections = [
-    {
-      id: 1,
-      name: "Workplace Safety and Rigging",
-      percentage: 10,
-      color: "bg-blue-100 text-blue-700 border-blue-200",
-      subtopics: [
-        { code: "A", name: "Safety Legislation, Regulations & Industry Policy in the Trades", weight: 16 },
-        { code: "B", name: "Climbing, Lifting, Rigging and Hoisting", weight: 25 },
-        { code: "C", name: "Hazardous Material & Fire Protection", weight: 16 },
-        { code: "D", name: "Apprenticeship Training Program", weight: 13 },
-        { code: "E", name: "Pipe Trade Codes", weight: 13 },
-        { code: "F", name: "Electrical Safety", weight: 17 }
-      ]
-    },
-    {
-      id: 2,
-      name: "Tools, Equipment and Materials",
-      percentage: 38,
-      color: "bg-purple-100 text-purple-700 border-purple-200",
-      subtopics: [
-        { code: "A", name: "Hand Tools", weight: 7 },
-        { code: "B", name: "Power Tools", weight: 7 },
-        { code: "C", name: "Welded Pipe and Fittings", weight: 13 },
-        { code: "D", name: "Plastic Pipe and Tube", weight: 13 },
-        { code: "E", name: "Threaded and Grooved Pipe", weight: 16 },
-        { code: "F", name: "Tube and Tubing", weight: 13 },
-        { code: "G", name: "Valves", weight: 13 },
-        { code: "H", name: "Hangers, Supports and Fasteners", weight: 11 },
-        { code: "I", name: "Pressure Testing", weight: 3 },
-        { code: "J", name: "Pumps", weight: 4 }
-      ]
-    },
-    {
-      id: 3,
-      name: "Metal Fabrication",
-      percentage: 19,
-      color: "bg-orange-100 text-orange-700 border-orange-200",
-      subtopics: [
-        { code: "A", name: "Welding Safety", weight: 9 },
-        { code: "B", name: "Welding", weight: 65 },
-        { code: "C", name: "Brazing and Soldering", weight: 26 }
-      ]
-    },
-    {
-      id: 4,
-      name: "Drawings and Specifications",
-      percentage: 13,
-      color: "bg-teal-100 text-teal-700 border-teal-200",
-      subtopics: [
-        { code: "A", name: "Sketching and Drawing", weight: 20 },
-        { code: "B", name: "Single Line Drawing", weight: 40 },
-        { code: "C", name: "Drawing Interpretation", weight: 40 }
-      ]
-    },
-    {
-      id: 5,
-      name: "Calculations and Science",
-      percentage: 20,
-      color: "bg-pink-100 text-pink-700 border-pink-200",
-      subtopics: [
-        { code: "A", name: "Applied Calculations", weight: 17 },
-        { code: "B", name: "Perimeters, Areas, Percentage and Grade", weight: 23 },
-        { code: "C", name: "Volumes and Capacities", weight: 8 },
-        { code: "D", name: "Piping Offsets", weight: 13 },
-        { code: "E", name: "Matter, Density and Relative Density", weight: 12 },
-        { code: "F", name: "Pressure and Atmosphere", weight: 12 },
-        { code: "G", name: "Principles of Electricity", weight: 15 }
-      ]
-    }
-  ];
+  const { user } = useAuth();
+  const blueprint = getBlueprint(user?.selected_year);
+  const sections = blueprint.sections;
 
   const officialLinks = [
     {
@@ -108,28 +51,28 @@ export default function Curriculum() {
       <main className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Page Header */}
         <div className="mb-8">
-          <h1 className="text-3xl font-bold text-slate-900 mb-2">First Period Curriculum</h1>
+          <h1 className="text-3xl font-bold text-slate-900 mb-2">{blueprint.title} Curriculum</h1>
           <p className="text-slate-600">
-            Alberta Steamfitter/Pipefitter First Period Technical Training
+            Alberta Steamfitter/Pipefitter {blueprint.title} Technical Training
           </p>
           <p className="text-sm text-slate-500 mt-1">
-            8 Weeks • 30 Hours per Week • Total of 240 Hours
+            {blueprint.training}
           </p>
         </div>
 
         {/* Curriculum Sections */}
         <div className="space-y-6 mb-12">
-          {sections.map((section) => (
-            <Card key={section.id} className="border-2 shadow-sm">
+          {sections.map((section, index) => (
+            <Card key={section.num} className="border-2 shadow-sm">
               <CardHeader className="pb-4">
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
                     <div className="flex items-center gap-2 mb-2">
-                      <Badge className={section.color}>
-                        Section {section.id}
+                      <Badge className={sectionColors[index % sectionColors.length]}>
+                        Section {section.num}
                       </Badge>
                       <Badge variant="outline" className="text-slate-600">
-                        {section.percentage}% of Exam
+                        {section.weight}% of Exam
                       </Badge>
                     </div>
                     <CardTitle className="text-xl">{section.name}</CardTitle>
@@ -202,15 +145,15 @@ export default function Curriculum() {
             <h2 className="text-2xl font-bold mb-4">Entrance Examination Format</h2>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div>
-                <div className="text-3xl font-bold text-amber-400 mb-1">100</div>
+                <div className="text-3xl font-bold text-amber-400 mb-1">{blueprint.total_questions}</div>
                 <div className="text-slate-300 text-sm">Multiple Choice Questions</div>
               </div>
               <div>
-                <div className="text-3xl font-bold text-amber-400 mb-1">3 Hours</div>
+                <div className="text-3xl font-bold text-amber-400 mb-1">{blueprint.time_limit_seconds / 3600} Hours</div>
                 <div className="text-slate-300 text-sm">Time Limit</div>
               </div>
               <div>
-                <div className="text-3xl font-bold text-amber-400 mb-1">70%</div>
+                <div className="text-3xl font-bold text-amber-400 mb-1">{blueprint.pass_mark}%</div>
                 <div className="text-slate-300 text-sm">Passing Score Required</div>
               </div>
             </div>
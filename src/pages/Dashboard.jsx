@@ -1,7 +1,7 @@
 import React, { useEffect } from 'react';
 import { useAuth } from '@/lib/AuthContext';
-import { api } from '@/api/localClient';
-import { useQuery } from '@tanstack/react-query';
+import { api } from '@/api/client';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { Link, useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
 import { Button } from "@/components/ui/button";
@@ -16,15 +16,26 @@ import {
   Clock,
   Settings,
   ChevronRight,
-  Sparkles,
-  FileText
+  FileText,
+  CalendarClock,
+  PlayCircle,
+  History,
+  Layers,
+  X
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { BannerAd } from '@/components/ads/AdSense';
+import { getDueQuestionIds } from '@/lib/spacedRepetition';
+import { getBlueprint, getSectionName } from '@/lib/blueprints';
+import { estimateReadiness } from '@/lib/readiness';
+import { CUMULATIVE_YEAR } from '@/lib/cumulativeExam';
+import StatsOverview from '@/components/dashboard/StatsOverview';
+import SavedQuizzes from '@/components/dashboard/SavedQuizzes';
 
 export default function Dashboard() {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
 
   useEffect(() => {
     if (user && !user.selected_year) {
@@ -51,14 +62,69 @@ export default function Dashboard() {
     enabled: !!user?.selected_year
   });
 
+  const { data: attempts = [] } = useQuery({
+    queryKey: ['quizAttempts', user?.selected_year],
+    queryFn: () => api.entities.QuizAttempt.filter({ year: user?.selected_year }),
+    enabled: !!user?.selected_year
+  });
+
+  const { data: presets = [] } = useQuery({
+    queryKey: ['quizPresets', user?.selected_year],
+    queryFn: () => api.entities.QuizPreset.filter({ year: user?.selected_year }),
+    enabled: !!user?.selected_year
+  });
+
+  const { data: savedSession } = useQuery({
+    queryKey: ['quizSession', user?.selected_year],
+    queryFn: () => api.entities.QuizSession.get({ year: user?.selected_year }),
+    enabled: !!user?.selected_year
+  });
+
+  const { data: cumulativeSession } = useQuery({
+    queryKey: ['quizSession', CUMULATIVE_YEAR],
+    queryFn: () => api.entities.QuizSession.get({ year: CUMULATIVE_YEAR }),
+    enabled: !!user?.selected_year
+  });
+
+  // The selected year's quiz comes first; a cumulative exam is offered when there's none
+  const resumable = savedSession || cumulativeSession;
+  const resumableYear = savedSession ? user?.selected_year : CUMULATIVE_YEAR;
+  // Exams graded at the end keep their answers in `responses` until submitted
+  const resumableAnswered = Math.max(
+    resumable?.answers?.length || 0,
+    Object.keys(resumable?.responses || {}).length
+  );
+
+  const formatRemaining = (seconds) => {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    return hrs > 0 ? `${hrs}h ${mins}m` : `${mins}m`;
+  };
+
+  const discardSession = async () => {
+    await api.entities.QuizSession.delete(resumableYear);
+    queryClient.invalidateQueries({ queryKey: ['quizSession'] });
+  };
+
+  const blueprint = getBlueprint(user?.selected_year);
+  const examHours = blueprint.time_limit_seconds / 3600;
+
   const quizModes = [
     {
       mode: 'full_exam',
       title: 'Full Exam Simulation',
-      description: 'Complete 100-question exam under real conditions (3 hours)',
+      description: `Complete ${blueprint.total_questions}-question exam under real conditions (${examHours} hours)`,
       icon: FileText,
       color: 'bg-slate-600',
-      badge: '100 Q'
+      badge: `${blueprint.total_questions} Q`
+    },
+    {
+      mode: 'cumulative',
+      title: 'Cumulative Exam',
+      description: 'Red Seal style: questions from all four periods, weighted by year',
+      icon: Layers,
+      color: 'bg-indigo-600',
+      badge: 'Years 1–4'
     },
     {
       mode: 'section_focus',
@@ -82,7 +148,7 @@ export default function Dashboard() {
       description: 'Focus on math and science calculations',
       icon: Calculator,
       color: 'bg-green-500',
-      badge: 'Section 5'
+      badge: `Section ${blueprint.calculations_section}`
     },
     {
       mode: 'weak_areas',
@@ -92,6 +158,14 @@ export default function Dashboard() {
       color: 'bg-orange-500',
       badge: progress?.weak_questions?.length || 0
     },
+    {
+      mode: 'due_review',
+      title: 'Due for Review',
+      description: 'Spaced repetition review of questions due today',
+      icon: CalendarClock,
+      color: 'bg-blue-500',
+      badge: getDueQuestionIds(progress?.review_schedule).length
+    },
     {
       mode: 'bookmarked',
       title: 'Bookmarked Questions',
@@ -102,10 +176,14 @@ export default function Dashboard() {
     }
   ];
 
-  const readinessScore = progress?.total_questions_answered > 0
-    ? Math.min(100, Math.round((progress.total_correct / progress.total_questions_answered) * 100 * 
-        (progress.total_questions_answered >= 500 ? 1 : progress.total_questions_answered / 500)))
-    : 0;
+  const readiness = estimateReadiness({
+    attempts,
+    sectionStats: progress?.section_stats,
+    questions,
+    year: user?.selected_year
+  });
+  const readinessScore = readiness ? Math.round(readiness.estimate) : 0;
+  const passProbability = readiness ? Math.round(readiness.passProbability) : 0;
 
   if (!user) {
     return (
@@ -144,52 +222,50 @@ export default function Dashboard() {
             </p>
           </motion.div>
 
-          {/* Stats Overview */}
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.5, delay: 0.1 }}
-            className="grid grid-cols-1 md:grid-cols-3 gap-6"
-          >
-            <Card>
+          {/* Resume Interrupted Quiz */}
+          {resumable && (
+            <Card className="border-2 border-blue-200 bg-blue-50">
               <CardContent className="p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-slate-600">Questions Answered</p>
-                    <p className="text-2xl font-bold text-slate-900">{progress?.total_questions_answered || 0}</p>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                  <div className="flex items-center gap-4">
+                    <PlayCircle className="h-10 w-10 text-blue-600 shrink-0" />
+                    <div>
+                      <h3 className="font-semibold text-slate-900">
+                        {resumable.quiz_mode === 'cumulative'
+                          ? 'Resume cumulative exam'
+                          : resumable.quiz_mode === 'full_exam' ? 'Resume exam' : 'Resume quiz'}
+                      </h3>
+                      <p className="text-sm text-slate-600">
+                        {resumableAnswered} of {resumable.questions?.length || 0} answered
+                        {resumable.time_remaining != null && ` • ${formatRemaining(resumable.time_remaining)} remaining`}
+                      </p>
+                    </div>
                   </div>
-                  <Target className="h-8 w-8 text-blue-500" />
-                </div>
-              </CardContent>
-            </Card>
-
-            <Card>
-              <CardContent className="p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-slate-600">Accuracy Rate</p>
-                    <p className="text-2xl font-bold text-slate-900">
-                      {progress?.total_questions_answered > 0 
-                        ? Math.round((progress.total_correct / progress.total_questions_answered) * 100)
-                        : 0}%
-                    </p>
+                  <div className="flex gap-2">
+                    <Button variant="ghost" size="sm" onClick={discardSession}>
+                      <X className="h-4 w-4 mr-1" />
+                      Discard
+                    </Button>
+                    <Button
+                      className="bg-blue-600 hover:bg-blue-700"
+                      onClick={() => navigate(createPageUrl('Quiz') + `?${resumable.params}&resume=true`)}
+                    >
+                      Resume
+                      <ChevronRight className="h-4 w-4 ml-1" />
+                    </Button>
                   </div>
-                  <Sparkles className="h-8 w-8 text-green-500" />
                 </div>
               </CardContent>
             </Card>
+          )}
 
-            <Card>
-              <CardContent className="p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-slate-600">Quizzes Completed</p>
-                    <p className="text-2xl font-bold text-slate-900">{progress?.quizzes_completed || 0}</p>
-                  </div>
-                  <Clock className="h-8 w-8 text-purple-500" />
-                </div>
-              </CardContent>
-            </Card>
+          {/* Stats Overview */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.1 }}
+          >
+            <StatsOverview progress={progress} readiness={readiness} />
           </motion.div>
 
           {/* Study Materials */}
@@ -287,7 +363,7 @@ export default function Dashboard() {
                             cy="64"
                             r="56"
                             fill="none"
-                            stroke={readinessScore >= 70 ? "#10b981" : readinessScore >= 50 ? "#f59e0b" : "#ef4444"}
+                            stroke={readinessScore >= blueprint.pass_mark ? "#10b981" : readinessScore >= 50 ? "#f59e0b" : "#ef4444"}
                             strokeWidth="12"
                             strokeLinecap="round"
                             strokeDasharray={`${(readinessScore / 100) * 352} 352`}
@@ -297,32 +373,71 @@ export default function Dashboard() {
                           <span className="text-3xl font-bold text-slate-800">{readinessScore}%</span>
                         </div>
                       </div>
-                      <p className="text-sm text-slate-600 mt-4 text-center">
-                        {readinessScore >= 70 
-                          ? "You're on track! Keep practicing."
-                          : readinessScore >= 50
-                          ? "Good progress. Focus on weak areas."
-                          : "Practice more to improve readiness."}
-                      </p>
-                      <p className="text-xs text-slate-400 mt-2">
-                        Based on accuracy and practice volume
-                      </p>
+                      {readiness ? (
+                        <>
+                          <p className="text-sm text-slate-500">
+                            Predicted exam score, likely {Math.round(readiness.low)}–{Math.round(readiness.high)}%
+                          </p>
+                          <p className="text-lg font-semibold text-slate-800 mt-2">
+                            {passProbability}% chance of passing
+                          </p>
+                          <p className="text-sm text-slate-600 mt-2 text-center">
+                            {passProbability >= 80
+                              ? "You're on track! Keep practicing."
+                              : passProbability >= 40
+                              ? "Getting close. Focus on the sections below."
+                              : "Practice more to improve readiness."}
+                          </p>
+                          <p className="text-xs text-slate-400 mt-2 text-center">
+                            {readiness.basis === 'attempts'
+                              ? 'Recent results count most, weighted by each section\'s share of the exam and question difficulty'
+                              : 'Based on your lifetime section accuracy, weighted by each section\'s share of the exam'}
+                          </p>
+                        </>
+                      ) : (
+                        <p className="text-sm text-slate-600 mt-4 text-center">
+                          Finish a quiz to get a predicted exam score.
+                        </p>
+                      )}
                     </div>
 
+                    {readiness && (
+                      <div className="border-t pt-4 mt-4">
+                        <h4 className="text-sm font-medium text-slate-700 mb-1">Where your points go</h4>
+                        <p className="text-xs text-slate-400 mb-3">
+                          Sections that would lift the prediction most if you improved them
+                        </p>
+                        <div className="space-y-2 text-sm">
+                          {readiness.sections.slice(0, 3).map(s => (
+                            <div key={s.section} className="flex items-center justify-between gap-3">
+                              <span className="text-slate-600 truncate">
+                                {s.section}. {getSectionName(user?.selected_year, s.section)}
+                                {s.lowData && <Badge variant="outline" className="ml-2 text-xs">little data</Badge>}
+                              </span>
+                              <span className="shrink-0 text-slate-500">
+                                {Math.round(s.accuracy)}% •{' '}
+                                <span className="font-medium text-rose-600">−{s.pointsLost.toFixed(1)} pts</span>
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
                     <div className="border-t pt-4 mt-4">
                       <h4 className="text-sm font-medium text-slate-700 mb-3">Exam Info</h4>
                       <div className="space-y-2 text-sm">
                         <div className="flex justify-between">
                           <span className="text-slate-500">Total Questions</span>
-                          <span className="font-medium">100</span>
+                          <span className="font-medium">{blueprint.total_questions}</span>
                         </div>
                         <div className="flex justify-between">
                           <span className="text-slate-500">Time Limit</span>
-                          <span className="font-medium">3 hours</span>
+                          <span className="font-medium">{examHours} hours</span>
                         </div>
                         <div className="flex justify-between">
                           <span className="text-slate-500">Pass Mark</span>
-                          <span className="font-medium text-emerald-600">70%</span>
+                          <span className="font-medium text-emerald-600">{blueprint.pass_mark}%</span>
                         </div>
                       </div>
                     </div>
@@ -330,7 +445,8 @@ export default function Dashboard() {
                 </Card>
               </div>
               
-              <div>
+              <div className="space-y-6">
+                <SavedQuizzes presets={presets} />
                 <Card>
                   <CardHeader>
                     <CardTitle>Quick Actions</CardTitle>
@@ -348,6 +464,12 @@ export default function Dashboard() {
                         Study Guides
                       </Button>
                     </Link>
+                    <Link to={createPageUrl('History')}>
+                      <Button variant="outline" className="w-full justify-start">
+                        <History className="h-4 w-4 mr-2" />
+                        Quiz History
+                      </Button>
+                    </Link>
                   </CardContent>
                 </Card>
               </div>
@@ -0,0 +1,274 @@
+import React, { useState } from 'react';
+import { useAuth } from '@/lib/AuthContext';
+import { api } from '@/api/client';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ChartContainer, ChartTooltip, ChartTooltipContent, ChartLegend, ChartLegendContent } from "@/components/ui/chart";
+import { CartesianGrid, Line, LineChart, ReferenceLine, XAxis, YAxis } from "recharts";
+import { ArrowLeft, Clock, History as HistoryIcon, ListChecks, TrendingUp } from "lucide-react";
+import QuizReview from '@/components/quiz/QuizReview';
+import YearIndicator from '@/components/YearIndicator';
+import { getBlueprint, getSectionName } from '@/lib/blueprints';
+import { decodeQuizDefinition } from '@/lib/customQuiz';
+import { CUMULATIVE_YEAR, CUMULATIVE_PASS_MARK, EXAM_YEARS, loadCumulativeQuestions } from '@/lib/cumulativeExam';
+
+const modeLabels = {
+  full_exam: 'Full Exam',
+  section_focus: 'Section Focus',
+  quick_quiz: 'Quick Quiz',
+  calculations: 'Calculations',
+  weak_areas: 'Weak Areas',
+  due_review: 'Due for Review',
+  bookmarked: 'Bookmarked',
+  review: 'Retry',
+  custom: 'Custom Quiz',
+  cumulative: 'Cumulative Exam'
+};
+
+// Custom quizzes are listed by the name in their definition
+const attemptTitle = (attempt) => {
+  if (attempt.mode === 'custom') {
+    const definition = decodeQuizDefinition(new URLSearchParams(attempt.params || '').get('quiz'));
+    if (definition) return definition.name;
+  }
+  return modeLabels[attempt.mode] || attempt.mode;
+};
+
+const formatTime = (seconds = 0) => {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (hrs > 0) return `${hrs}h ${mins}m`;
+  if (mins > 0) return `${mins}m ${secs}s`;
+  return `${secs}s`;
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const formatDateTime = (iso) => new Date(iso).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+// One point per attempt, oldest first; a section's value is missing when the attempt didn't cover it.
+// Cumulative attempts chart a year (`year_scores`) where per-year attempts chart a section.
+function buildTrend(attempts, sectionKey, scoresField = 'section_scores') {
+  return [...attempts].reverse().map((attempt, index) => ({
+    attempt: index + 1,
+    date: formatDate(attempt.completed_at),
+    overall: Math.round(attempt.score_percentage),
+    section: sectionKey === 'overall'
+      ? undefined
+      : attempt[scoresField]?.[sectionKey] && Math.round(attempt[scoresField][sectionKey].percentage)
+  }));
+}
+
+export default function History() {
+  const { user } = useAuth();
+  const year = user?.selected_year;
+  const blueprint = getBlueprint(year);
+  const [chartSection, setChartSection] = useState('overall');
+  const [reviewing, setReviewing] = useState(null);
+  // Cumulative exams are recorded apart from the selected year
+  const [cumulative, setCumulative] = useState(false);
+  const recordYear = cumulative ? CUMULATIVE_YEAR : year;
+  const passMark = cumulative ? CUMULATIVE_PASS_MARK : blueprint.pass_mark;
+
+  const { data: attempts = [], isLoading } = useQuery({
+    queryKey: ['quizAttempts', recordYear],
+    queryFn: () => api.entities.QuizAttempt.filter({ year: recordYear }),
+    enabled: !!year
+  });
+
+  const { data: questions = [] } = useQuery({
+    queryKey: ['questions', cumulative ? CUMULATIVE_YEAR : year],
+    queryFn: () => (cumulative
+      ? loadCumulativeQuestions(api)
+      : api.entities.Question.filter({ year: year || 1 })),
+    enabled: !!user
+  });
+
+  const switchTrack = (value) => {
+    setCumulative(value === 'cumulative');
+    setChartSection('overall');
+  };
+
+  if (reviewing) {
+    // Questions removed from the bank since the attempt are skipped
+    const byId = new Map(questions.map(q => [q.id, q]));
+    const reviewQuestions = (reviewing.question_results || []).map(r => byId.get(r.question_id)).filter(Boolean);
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 px-4 py-8">
+        <QuizReview
+          questions={reviewQuestions}
+          questionResults={reviewing.question_results}
+          closeLabel="Back to History"
+          onClose={() => setReviewing(null)}
+        />
+      </div>
+    );
+  }
+
+  const trend = buildTrend(attempts, chartSection, cumulative ? 'year_scores' : 'section_scores');
+  const chartConfig = {
+    overall: { label: 'Overall', color: 'hsl(var(--chart-1))' },
+    section: {
+      label: cumulative ? `Year ${chartSection}` : getSectionName(year, chartSection),
+      color: 'hsl(var(--chart-2))'
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm border-b border-slate-200 sticky top-0 z-50">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex items-center justify-between">
+            <Link to={createPageUrl('Dashboard')} className="inline-flex items-center text-slate-600 hover:text-slate-900">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Dashboard
+            </Link>
+            {year && <YearIndicator year={year} />}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-slate-900 mb-2">Quiz History</h1>
+            <p className="text-slate-600">
+              {cumulative
+                ? 'Every cumulative exam you\'ve finished across Years 1–4'
+                : `Every quiz and exam you've finished for ${blueprint.title}`}
+            </p>
+          </div>
+          <Tabs value={cumulative ? 'cumulative' : 'year'} onValueChange={switchTrack}>
+            <TabsList>
+              <TabsTrigger value="year">Year {year}</TabsTrigger>
+              <TabsTrigger value="cumulative">Cumulative</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="w-10 h-10 border-4 border-slate-200 border-t-slate-800 rounded-full animate-spin" />
+          </div>
+        ) : attempts.length === 0 ? (
+          <Card className="border-0 shadow-sm">
+            <CardContent className="p-8 text-center">
+              <HistoryIcon className="h-10 w-10 text-slate-300 mx-auto mb-3" />
+              <p className="text-slate-600 mb-4">
+                {cumulative ? 'No cumulative exams yet.' : 'No finished quizzes yet.'} Your results will appear here.
+              </p>
+              <Link to={createPageUrl('Dashboard')}>
+                <Button>Start a Quiz</Button>
+              </Link>
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Score Trend */}
+            <Card className="border-0 shadow-sm">
+              <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-3 space-y-0">
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <TrendingUp className="h-5 w-5" />
+                  Score Over Time
+                </CardTitle>
+                <Select value={chartSection} onValueChange={setChartSection}>
+                  <SelectTrigger className="w-64">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="overall">Overall only</SelectItem>
+                    {cumulative
+                      ? EXAM_YEARS.map(y => (
+                        <SelectItem key={y} value={String(y)}>
+                          Year {y}: {getBlueprint(y).title}
+                        </SelectItem>
+                      ))
+                      : blueprint.sections.map(s => (
+                        <SelectItem key={s.num} value={String(s.num)}>
+                          Section {s.num}: {s.name}
+                        </SelectItem>
+                      ))}
+                  </SelectContent>
+                </Select>
+              </CardHeader>
+              <CardContent>
+                <ChartContainer config={chartConfig} className="h-64 w-full">
+                  <LineChart data={trend} margin={{ left: -20, right: 12, top: 8 }}>
+                    <CartesianGrid vertical={false} />
+                    <XAxis dataKey="date" tickLine={false} axisLine={false} />
+                    <YAxis domain={[0, 100]} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}%`} />
+                    <ReferenceLine y={passMark} stroke="#10b981" strokeDasharray="4 4" />
+                    <ChartTooltip content={<ChartTooltipContent />} />
+                    <ChartLegend content={<ChartLegendContent />} />
+                    <Line dataKey="overall" type="monotone" stroke="var(--color-overall)" strokeWidth={2} dot />
+                    {chartSection !== 'overall' && (
+                      <Line dataKey="section" type="monotone" stroke="var(--color-section)" strokeWidth={2} dot connectNulls />
+                    )}
+                  </LineChart>
+                </ChartContainer>
+                <p className="text-xs text-slate-400 mt-2">Dashed line: {passMark}% pass mark</p>
+              </CardContent>
+            </Card>
+
+            {/* Attempts */}
+            <Card className="border-0 shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <HistoryIcon className="h-5 w-5" />
+                  Attempts
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {attempts.map(attempt => {
+                  const passed = attempt.score_percentage >= passMark;
+                  return (
+                    <div
+                      key={attempt.id}
+                      className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-lg bg-slate-50"
+                    >
+                      <div>
+                        <div className="flex items-center gap-2 mb-1">
+                          <span className="font-medium text-slate-900">{attemptTitle(attempt)}</span>
+                          <Badge className={passed ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-700"}>
+                            {Math.round(attempt.score_percentage)}%
+                          </Badge>
+                        </div>
+                        <p className="text-sm text-slate-500 flex items-center gap-2">
+                          {formatDateTime(attempt.completed_at)}
+                          <span>•</span>
+                          {attempt.correct_answers}/{attempt.total_questions} correct
+                          <span>•</span>
+                          <Clock className="h-3.5 w-3.5" />
+                          {formatTime(attempt.time_taken_seconds)}
+                        </p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setReviewing(attempt)}
+                        disabled={!attempt.question_results?.length}
+                      >
+                        <ListChecks className="h-4 w-4 mr-2" />
+                        Review
+                      </Button>
+                    </div>
+                  );
+                })}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '@/lib/AuthContext';
-import { api } from '@/api/localClient';
+import { api } from '@/api/client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
@@ -21,7 +21,30 @@ import QuestionCard from '@/components/quiz/QuestionCard';
 import QuizTimer from '@/components/quiz/QuizTimer';
 import ProgressBar from '@/components/quiz/ProgressBar';
 import ResultsCard from '@/components/quiz/ResultsCard';
+import ExamNavigator from '@/components/quiz/ExamNavigator';
+import ExamReview from '@/components/quiz/ExamReview';
+import QuizReview from '@/components/quiz/QuizReview';
+import ShortfallNotice from '@/components/quiz/ShortfallNotice';
 import YearIndicator from '@/components/YearIndicator';
+import { updateReviewSchedule, getDueQuestionIds } from '@/lib/spacedRepetition';
+import { getBlueprint } from '@/lib/blueprints';
+import { assembleExam, shuffle } from '@/lib/examAssembler';
+import { isAnswerCorrect } from '@/lib/questionTypes';
+import { getSecondsPerQuestion } from '@/lib/pacing';
+import { createOptionOrder } from '@/lib/optionShuffle';
+import { updateWeakLists } from '@/lib/confidence';
+import { decodeQuizDefinition, buildCustomQuiz, definitionQuestionCount } from '@/lib/customQuiz';
+import { generateSeed, normalizeSeed, createSeededRandom } from '@/lib/seededRandom';
+import {
+  CUMULATIVE_YEAR,
+  parseYearWeights,
+  cumulativeTimeLimit,
+  loadCumulativeQuestions,
+  assembleCumulativeExam,
+  cumulativeSectionKey,
+  scoreByYear
+} from '@/lib/cumulativeExam';
+import { createAdaptiveState, recordAdaptiveAnswer, pickNextQuestion, summarizeLevels } from '@/lib/adaptiveDifficulty';
 
 export default function Quiz() {
   const navigate = useNavigate();
@@ -32,11 +55,30 @@ export default function Quiz() {
   const questionCount = parseInt(urlParams.get('questions')) || 20;
   const section = urlParams.get('section');
   const isTimed = urlParams.get('timed') === 'true';
-  const timeLimit = parseInt(urlParams.get('timeLimit')) || questionCount * 108;
   const difficulty = urlParams.get('difficulty') || 'mixed';
   const showExplanationsMode = urlParams.get('explanations') || 'immediate';
+  const isResume = urlParams.get('resume') === 'true';
+  // Adaptive picks each question from the answer before it, so it always runs one question at a time
+  const isAdaptive = difficulty === 'adaptive' && !['full_exam', 'cumulative'].includes(mode);
+  // Deferred explanations run exam-style: free navigation, flags, scoring at submit
+  const isExamMode = showExplanationsMode === 'end' && !isAdaptive;
+  const reviewIds = (urlParams.get('ids') || '').split(',').filter(Boolean);
+  const shuffleOptions = urlParams.get('shuffle') === 'true';
+  const customQuizParam = urlParams.get('quiz');
+  const customQuiz = mode === 'custom' ? decodeQuizDefinition(customQuizParam) : null;
+  // Cumulative exams draw from every year and are recorded under CUMULATIVE_YEAR
+  const isCumulative = mode === 'cumulative';
+  const weightsParam = urlParams.get('weights');
+  const yearWeights = parseYearWeights(weightsParam);
+
+  // Every draw comes from the seed, so the same URL gives the same quiz
+  const [seed] = useState(() => normalizeSeed(urlParams.get('seed')) || generateSeed());
 
   const { user } = useAuth();
+  const recordYear = isCumulative ? CUMULATIVE_YEAR : user?.selected_year;
+  const timeLimit = parseInt(urlParams.get('timeLimit')) || (isCumulative
+    ? cumulativeTimeLimit(yearWeights, questionCount)
+    : Math.round(questionCount * getSecondsPerQuestion(user?.selected_year)));
   const [currentIndex, setCurrentIndex] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [showExplanation, setShowExplanation] = useState(false);
@@ -44,28 +86,135 @@ export default function Quiz() {
   const [isPaused, setIsPaused] = useState(false);
   const [showExitDialog, setShowExitDialog] = useState(false);
   const [quizComplete, setQuizComplete] = useState(false);
-  const [startTime] = useState(Date.now());
+  const [startTime, setStartTime] = useState(Date.now());
   const [bookmarkedQuestions, setBookmarkedQuestions] = useState([]);
   const [quizQuestions, setQuizQuestions] = useState([]);
+  const [resumeTimeLeft, setResumeTimeLeft] = useState(null);
+  const [responses, setResponses] = useState({});
+  const [flagged, setFlagged] = useState([]);
+  // Struck-out option letters and sure/unsure/guess ratings, by question id
+  const [strikeouts, setStrikeouts] = useState({});
+  const [confidence, setConfidence] = useState({});
+  const [showReview, setShowReview] = useState(false);
+  const [reviewFilter, setReviewFilter] = useState(null);
+  const [shortfalls, setShortfalls] = useState([]);
+  const [drawEmpty, setDrawEmpty] = useState(false);
+  const timeLeftRef = useRef(timeLimit);
+  const sessionIdRef = useRef(null);
+  // Seconds spent on each question, by id; exam mode can revisit a question, so visits add up
+  const questionTimesRef = useRef({});
+  const questionStartRef = useRef(null);
+  // Adaptive mode: { state, pool } with the questions it may still draw from
+  const adaptiveRef = useRef(null);
+  // Shuffled option order per question id, fixed for the whole attempt
+  const optionOrdersRef = useRef({});
+  // Adaptive picks follow earlier answers, so each slot draws from its own stream
+  const adaptiveRandom = (index) => createSeededRandom(`${seed}:adaptive:${index}`);
+  // Quizzes drawn from the user's own progress differ per user even with the same seed
+  const isShareable = !['weak_areas', 'bookmarked', 'due_review'].includes(mode) && !isAdaptive;
 
   const { data: allQuestions = [], isLoading } = useQuery({
-    queryKey: ['questions', user?.selected_year],
-    queryFn: () => api.entities.Question.filter({ year: user?.selected_year || 1 }),
+    queryKey: ['questions', isCumulative ? CUMULATIVE_YEAR : user?.selected_year],
+    queryFn: () => (isCumulative
+      ? loadCumulativeQuestions(api)
+      : api.entities.Question.filter({ year: user?.selected_year || 1 })),
     enabled: !!user
   });
 
-  const { data: progress } = useQuery({
-    queryKey: ['userProgress', user?.selected_year],
+  const { data: progress, isFetched: progressFetched } = useQuery({
+    queryKey: ['userProgress', recordYear],
     queryFn: async () => {
-      const results = await api.entities.UserProgress.filter({ created_by: user?.email, year: user?.selected_year });
+      const results = await api.entities.UserProgress.filter({ created_by: user?.email, year: recordYear });
       return results[0] || null;
     },
-    enabled: !!user?.email && !!user?.selected_year
+    enabled: !!user?.email && recordYear != null
   });
 
+  const { data: savedSession, isFetched: sessionFetched } = useQuery({
+    queryKey: ['quizSession', recordYear],
+    queryFn: () => api.entities.QuizSession.get({ year: recordYear }),
+    enabled: isResume && recordYear != null
+  });
+
+  // Put a generated seed in the URL so resuming, history and shared links keep it
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('seed') === seed) return;
+    params.set('seed', seed);
+    navigate(`${window.location.pathname}?${params.toString()}`, { replace: true });
+  }, [seed, navigate]);
+
   // Select questions based on mode
   useEffect(() => {
-    if (allQuestions.length === 0) return;
+    if (allQuestions.length === 0 || quizQuestions.length > 0) return;
+
+    // Restore an interrupted session instead of drawing new questions
+    if (isResume) {
+      if (!sessionFetched) return;
+      if (savedSession) {
+        const byId = new Map(allQuestions.map(q => [q.id, q]));
+        const restored = savedSession.questions.map(id => byId.get(id)).filter(Boolean);
+        if (restored.length > 0) {
+          sessionIdRef.current = savedSession.id;
+          setAnswers(savedSession.answers || []);
+          setResponses(savedSession.responses || {});
+          setFlagged(savedSession.flagged || []);
+          setStrikeouts(savedSession.strikeouts || {});
+          setConfidence(savedSession.confidence || {});
+          setCurrentIndex(Math.min(savedSession.current_index || 0, restored.length - 1));
+          setStartTime(Date.now() - (savedSession.time_taken || 0) * 1000);
+          questionTimesRef.current = savedSession.question_times || {};
+          optionOrdersRef.current = savedSession.option_orders || {};
+          if (savedSession.adaptive) {
+            adaptiveRef.current = {
+              state: savedSession.adaptive.state,
+              pool: savedSession.adaptive.pool.map(id => byId.get(id)).filter(Boolean)
+            };
+          }
+          questionStartRef.current = Date.now();
+          if (savedSession.time_remaining != null) {
+            timeLeftRef.current = savedSession.time_remaining;
+            setResumeTimeLeft(savedSession.time_remaining);
+          }
+          setQuizQuestions(restored);
+          return;
+        }
+      }
+    }
+
+    // Weak areas, bookmarks, due reviews and adaptive levels come from progress,
+    // so wait for it rather than draw from the whole bank
+    if (!isShareable && !progressFetched) return;
+
+    sessionIdRef.current = crypto.randomUUID();
+    const random = createSeededRandom(seed);
+
+    // Custom quizzes bring their own questions: hand-picked ids or per-section counts
+    if (mode === 'custom') {
+      if (!customQuiz || customQuiz.year !== user?.selected_year) return;
+      const built = buildCustomQuiz(customQuiz, allQuestions, { random });
+      if (built.questions.length === 0) {
+        setDrawEmpty(true);
+        return;
+      }
+      setShortfalls(built.shortfalls);
+      setQuizQuestions(built.questions);
+      questionStartRef.current = Date.now();
+      return;
+    }
+
+    // Cumulative: each year's share of the exam follows that year's blueprint
+    if (isCumulative) {
+      const exam = assembleCumulativeExam(allQuestions, yearWeights, questionCount, { random });
+      if (exam.questions.length === 0) {
+        setDrawEmpty(true);
+        return;
+      }
+      setShortfalls(exam.shortfalls);
+      setQuizQuestions(exam.questions);
+      questionStartRef.current = Date.now();
+      return;
+    }
 
     let filtered = [...allQuestions];
 
@@ -75,7 +224,7 @@ export default function Quiz() {
     }
 
     // Filter by difficulty
-    if (difficulty !== 'mixed') {
+    if (difficulty !== 'mixed' && difficulty !== 'adaptive') {
       filtered = filtered.filter(q => q.difficulty === difficulty);
     }
 
@@ -89,28 +238,49 @@ export default function Quiz() {
       filtered = filtered.filter(q => progress.bookmarked_questions.includes(q.id));
     }
 
+    // Filter for due review mode, most overdue first
+    if (mode === 'due_review') {
+      const dueIds = getDueQuestionIds(progress?.review_schedule);
+      filtered = filtered
+        .filter(q => dueIds.includes(q.id))
+        .sort((a, b) => dueIds.indexOf(a.id) - dueIds.indexOf(b.id));
+    }
+
+    // Retry a given list of questions (e.g. wrong answers from a previous quiz)
+    if (mode === 'review') {
+      filtered = reviewIds.map(id => allQuestions.find(q => q.id === id)).filter(Boolean);
+    }
+
     // Shuffle and limit
-    const shuffled = filtered.sort(() => Math.random() - 0.5);
+    const shuffled = mode === 'due_review' || mode === 'review'
+      ? filtered
+      : shuffle(filtered, random);
+
+    // Weak areas: confident misses come before other weak questions
+    if (mode === 'weak_areas' && progress?.confident_misses?.length) {
+      const misses = new Set(progress.confident_misses);
+      shuffled.sort((a, b) => misses.has(b.id) - misses.has(a.id));
+    }
     const selected = shuffled.slice(0, Math.min(questionCount, shuffled.length));
 
-    // For full exam, ensure proper section distribution
-    if (mode === 'full_exam' && allQuestions.length >= 100) {
-      const distribution = { 1: 10, 2: 38, 3: 19, 4: 13, 5: 20 };
-      const distributed = [];
-      
-      for (const [sec, count] of Object.entries(distribution)) {
-        const sectionQs = allQuestions
-          .filter(q => q.section === parseInt(sec))
-          .sort(() => Math.random() - 0.5)
-          .slice(0, count);
-        distributed.push(...sectionQs);
-      }
-      
-      setQuizQuestions(distributed.sort(() => Math.random() - 0.5));
+    // Adaptive: only the first question is chosen now; each later slot is
+    // re-picked once the answer before it is in
+    if (isAdaptive && selected.length > 0) {
+      const state = createAdaptiveState(progress?.section_stats, [...new Set(filtered.map(q => q.section))]);
+      adaptiveRef.current = { state, pool: filtered };
+      selected[0] = pickNextQuestion(state, filtered, [], progress?.section_stats, adaptiveRandom(0));
+    }
+
+    // For full exam, follow the blueprint's section and subtopic weights
+    if (mode === 'full_exam') {
+      const exam = assembleExam(allQuestions, getBlueprint(user?.selected_year), { random });
+      setShortfalls(exam.shortfalls);
+      setQuizQuestions(exam.questions);
     } else {
       setQuizQuestions(selected);
     }
-  }, [allQuestions, mode, section, difficulty, questionCount, progress]);
+    questionStartRef.current = Date.now();
+  }, [allQuestions, mode, section, difficulty, questionCount, progress, progressFetched, isShareable, quizQuestions.length, isResume, sessionFetched, savedSession, user?.selected_year, isAdaptive, customQuizParam, isCumulative, weightsParam, seed]);
 
   useEffect(() => {
     if (progress?.bookmarked_questions) {
@@ -118,17 +288,21 @@ export default function Quiz() {
     }
   }, [progress]);
 
+  // Section numbers repeat across years, so cumulative scores key on both
+  const sectionKey = (result) => (isCumulative ? cumulativeSectionKey(result.year, result.section) : result.section);
+
   const updateProgressMutation = useMutation({
     mutationFn: async (results) => {
       const existing = progress;
       const sectionScores = {};
       
       results.question_results.forEach(r => {
-        if (!sectionScores[r.section]) {
-          sectionScores[r.section] = { attempted: 0, correct: 0 };
+        const key = sectionKey(r);
+        if (!sectionScores[key]) {
+          sectionScores[key] = { attempted: 0, correct: 0 };
         }
-        sectionScores[r.section].attempted++;
-        if (r.correct) sectionScores[r.section].correct++;
+        sectionScores[key].attempted++;
+        if (r.correct) sectionScores[key].correct++;
       });
 
       const mergedSectionStats = { ...(existing?.section_stats || {}) };
@@ -140,36 +314,39 @@ export default function Quiz() {
         mergedSectionStats[sec].correct += data.correct;
       });
 
-      const wrongIds = results.question_results
-        .filter(r => !r.correct)
-        .map(r => r.question_id);
-
-      const existingWeak = existing?.weak_questions || [];
-      const mergedWeak = [...new Set([...existingWeak, ...wrongIds])];
-
       const today = new Date().toISOString().split('T')[0];
-      const lastStudy = existing?.last_study_date;
-      const isConsecutive = lastStudy === new Date(Date.now() - 86400000).toISOString().split('T')[0];
-      const newStreak = lastStudy === today 
-        ? existing?.study_streak_days || 1
-        : isConsecutive 
-          ? (existing?.study_streak_days || 0) + 1 
-          : 1;
-
       const progressData = {
         total_questions_answered: (existing?.total_questions_answered || 0) + results.total_questions,
         total_correct: (existing?.total_correct || 0) + results.correct_answers,
         quizzes_completed: (existing?.quizzes_completed || 0) + 1,
         full_exams_completed: (existing?.full_exams_completed || 0) + (mode === 'full_exam' ? 1 : 0),
         section_stats: mergedSectionStats,
-        weak_questions: mergedWeak,
-        bookmarked_questions: bookmarkedQuestions,
         best_score: Math.max(existing?.best_score || 0, results.score_percentage),
-        study_streak_days: newStreak,
         last_study_date: today
       };
 
-      const year = user?.selected_year;
+      // Weak lists, the review schedule, bookmarks and the streak belong to
+      // the per-year records; a cumulative exam leaves them alone
+      if (!isCumulative) {
+        // A confident correct answer takes a question off the weak list; the
+        // review schedule decides when it comes back.
+        const weakLists = updateWeakLists(existing || {}, results.question_results);
+        const lastStudy = existing?.last_study_date;
+        const isConsecutive = lastStudy === new Date(Date.now() - 86400000).toISOString().split('T')[0];
+        Object.assign(progressData, {
+          weak_questions: weakLists.weak_questions,
+          confident_misses: weakLists.confident_misses,
+          review_schedule: updateReviewSchedule(existing?.review_schedule, results.question_results),
+          bookmarked_questions: bookmarkedQuestions,
+          study_streak_days: lastStudy === today
+            ? existing?.study_streak_days || 1
+            : isConsecutive
+              ? (existing?.study_streak_days || 0) + 1
+              : 1
+        });
+      }
+
+      const year = recordYear;
       if (existing?.id) {
         await api.entities.UserProgress.update(existing.id, { ...progressData, _year: year });
       } else {
@@ -177,38 +354,196 @@ export default function Quiz() {
       }
     },
     onSuccess: () => {
-      queryClient.invalidateQueries(['userProgress', user?.selected_year]);
+      queryClient.invalidateQueries(['userProgress', recordYear]);
     }
   });
 
+  const saveAttemptMutation = useMutation({
+    mutationFn: (results) => {
+      const attemptParams = new URLSearchParams(window.location.search);
+      attemptParams.delete('resume');
+      return api.entities.QuizAttempt.create({
+        ...results,
+        year: recordYear,
+        params: attemptParams.toString(),
+        completed_at: new Date().toISOString()
+      });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quizAttempts', recordYear] });
+    }
+  });
+
+  // Time on the current question so far, added to what earlier visits recorded
+  const questionTimesSnapshot = useCallback(() => {
+    const times = { ...questionTimesRef.current };
+    const question = quizQuestions[currentIndex];
+    if (question && questionStartRef.current != null) {
+      times[question.id] = (times[question.id] || 0) + (Date.now() - questionStartRef.current) / 1000;
+    }
+    return times;
+  }, [quizQuestions, currentIndex]);
+
+  const stopQuestionClock = () => {
+    questionTimesRef.current = questionTimesSnapshot();
+    questionStartRef.current = null;
+  };
+
+  const startQuestionClock = () => {
+    if (!isPaused) questionStartRef.current = Date.now();
+  };
+
+  const questionSeconds = (questionId) => Math.round(questionTimesRef.current[questionId] || 0);
+
+  // The paused clock doesn't count towards time on a question
+  useEffect(() => {
+    if (isPaused) stopQuestionClock();
+    else if (!showExplanation && !showReview) startQuestionClock();
+  }, [isPaused]);
+
+  const saveSession = useCallback(() => {
+    if (quizComplete || quizQuestions.length === 0 || recordYear == null) return;
+    const resumeParams = new URLSearchParams(window.location.search);
+    resumeParams.delete('resume');
+    api.entities.QuizSession.save({
+      id: sessionIdRef.current,
+      year: recordYear,
+      quiz_mode: mode,
+      params: resumeParams.toString(),
+      questions: quizQuestions.map(q => q.id),
+      answers,
+      responses,
+      flagged,
+      strikeouts,
+      confidence,
+      current_index: currentIndex,
+      total_questions: quizQuestions.length,
+      time_remaining: isTimed ? timeLeftRef.current : null,
+      time_taken: Math.floor((Date.now() - startTime) / 1000),
+      question_times: questionTimesSnapshot(),
+      option_orders: optionOrdersRef.current,
+      adaptive: adaptiveRef.current && {
+        state: adaptiveRef.current.state,
+        pool: adaptiveRef.current.pool.map(q => q.id)
+      }
+    }).catch(() => {});
+  }, [quizComplete, quizQuestions, recordYear, mode, answers, responses, flagged, strikeouts, confidence, currentIndex, isTimed, startTime, questionTimesSnapshot]);
+
+  const discardSession = useCallback(() => {
+    sessionIdRef.current = null;
+    api.entities.QuizSession.delete(recordYear)
+      .catch(() => {})
+      .finally(() => queryClient.invalidateQueries({ queryKey: ['quizSession'] }));
+  }, [recordYear, queryClient]);
+
+  // Save on every answer, every 15 seconds, and when the tab is hidden or closed
+  useEffect(() => {
+    saveSession();
+    const interval = setInterval(saveSession, 15000);
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') saveSession();
+    };
+    window.addEventListener('pagehide', saveSession);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('pagehide', saveSession);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [saveSession]);
+
+  const handleTick = useCallback((secondsLeft) => {
+    timeLeftRef.current = secondsLeft;
+  }, []);
+
   const currentQuestion = quizQuestions[currentIndex];
 
+  const optionOrderFor = (question) => {
+    if (!shuffleOptions || !question) return null;
+    if (!(question.id in optionOrdersRef.current)) {
+      optionOrdersRef.current[question.id] = createOptionOrder(question, createSeededRandom(`${seed}:${question.id}`));
+    }
+    return optionOrdersRef.current[question.id];
+  };
+
+  const answeredCount = isExamMode ? Object.keys(responses).length : answers.length;
+
   const handleAnswerSelect = (answer) => {
+    if (isExamMode) {
+      // Clearing a numeric entry or every multi-select option un-answers the question
+      const nextResponses = { ...responses };
+      if (answer) nextResponses[currentQuestion.id] = answer;
+      else delete nextResponses[currentQuestion.id];
+      setResponses(nextResponses);
+      return;
+    }
     if (showExplanation) return;
     setSelectedAnswer(answer);
   };
 
+  // Striking out the chosen option clears the answer
+  const toggleStrike = (letter) => {
+    const questionId = currentQuestion.id;
+    const struck = strikeouts[questionId] || [];
+    const isStruck = struck.includes(letter);
+    setStrikeouts({
+      ...strikeouts,
+      [questionId]: isStruck ? struck.filter(l => l !== letter) : [...struck, letter]
+    });
+    const chosen = isExamMode ? responses[questionId] : selectedAnswer;
+    if (!isStruck && chosen === letter) handleAnswerSelect(null);
+  };
+
+  const rateConfidence = (level) => {
+    if (showExplanation) return;
+    setConfidence({ ...confidence, [currentQuestion.id]: level });
+  };
+
+  // Step the section's level and re-pick the next slot to match
+  const adaptToAnswer = (isCorrect) => {
+    const { state, pool } = adaptiveRef.current;
+    const nextState = recordAdaptiveAnswer(state, currentQuestion, isCorrect);
+    adaptiveRef.current = { state: nextState, pool };
+    if (currentIndex >= quizQuestions.length - 1) return;
+
+    const askedIds = quizQuestions.slice(0, currentIndex + 1).map(q => q.id);
+    const next = pickNextQuestion(nextState, pool, askedIds, progress?.section_stats, adaptiveRandom(currentIndex + 1));
+    if (next) {
+      setQuizQuestions(quizQuestions.map((q, i) => (i === currentIndex + 1 ? next : q)));
+    }
+  };
+
   const handleNext = () => {
     if (!selectedAnswer) return;
 
+    // Reading the explanation isn't time spent answering
+    stopQuestionClock();
+
     if (!showExplanation && showExplanationsMode === 'immediate') {
       setShowExplanation(true);
       return;
     }
 
-    const isCorrect = selectedAnswer === currentQuestion.correct_answer;
+    const isCorrect = isAnswerCorrect(currentQuestion, selectedAnswer);
     const newAnswers = [...answers, {
       question_id: currentQuestion.id,
       user_answer: selectedAnswer,
       correct: isCorrect,
-      section: currentQuestion.section
+      section: currentQuestion.section,
+      year: currentQuestion.year,
+      time_seconds: questionSeconds(currentQuestion.id),
+      option_order: optionOrderFor(currentQuestion),
+      confidence: confidence[currentQuestion.id] || null,
+      struck_out: strikeouts[currentQuestion.id] || []
     }];
     setAnswers(newAnswers);
+    if (adaptiveRef.current) adaptToAnswer(isCorrect);
 
     if (currentIndex < quizQuestions.length - 1) {
       setCurrentIndex(currentIndex + 1);
       setSelectedAnswer(null);
       setShowExplanation(false);
+      startQuestionClock();
     } else {
       completeQuiz(newAnswers);
     }
@@ -220,11 +555,12 @@ export default function Quiz() {
     
     const sectionScores = {};
     finalAnswers.forEach(a => {
-      if (!sectionScores[a.section]) {
-        sectionScores[a.section] = { total: 0, correct: 0 };
+      const key = sectionKey(a);
+      if (!sectionScores[key]) {
+        sectionScores[key] = { total: 0, correct: 0 };
       }
-      sectionScores[a.section].total++;
-      if (a.correct) sectionScores[a.section].correct++;
+      sectionScores[key].total++;
+      if (a.correct) sectionScores[key].correct++;
     });
 
     Object.keys(sectionScores).forEach(sec => {
@@ -242,13 +578,75 @@ export default function Quiz() {
       question_results: finalAnswers,
       completed: true
     };
+    if (adaptiveRef.current) {
+      results.adaptive_levels = summarizeLevels(adaptiveRef.current.state);
+    }
+    if (isCumulative) {
+      results.year_scores = scoreByYear(finalAnswers);
+    }
 
     updateProgressMutation.mutate(results);
+    saveAttemptMutation.mutate(results);
     setQuizComplete(true);
-  }, [startTime, mode, updateProgressMutation]);
+    discardSession();
+  }, [startTime, mode, isCumulative, updateProgressMutation, saveAttemptMutation, discardSession]);
+
+  // Exam mode grades every question in order, unanswered ones as incorrect
+  const submitExam = () => {
+    stopQuestionClock();
+    const finalAnswers = quizQuestions.map(q => ({
+      question_id: q.id,
+      user_answer: responses[q.id] || null,
+      correct: isAnswerCorrect(q, responses[q.id]),
+      section: q.section,
+      year: q.year,
+      flagged: flagged.includes(q.id),
+      time_seconds: questionSeconds(q.id),
+      option_order: optionOrderFor(q),
+      confidence: responses[q.id] ? confidence[q.id] || null : null,
+      struck_out: strikeouts[q.id] || []
+    }));
+    setAnswers(finalAnswers);
+    setShowReview(false);
+    completeQuiz(finalAnswers);
+  };
+
+  const finishQuiz = () => {
+    if (isExamMode) {
+      submitExam();
+    } else {
+      completeQuiz(answers);
+    }
+  };
 
   const handleTimeUp = () => {
-    completeQuiz(answers);
+    finishQuiz();
+  };
+
+  const goToQuestion = (index) => {
+    stopQuestionClock();
+    setShowReview(false);
+    setCurrentIndex(index);
+    startQuestionClock();
+  };
+
+  const openExamReview = () => {
+    stopQuestionClock();
+    setShowReview(true);
+  };
+
+  const closeExamReview = () => {
+    setShowReview(false);
+    startQuestionClock();
+  };
+
+  const toggleFlag = () => {
+    const questionId = currentQuestion.id;
+    if (flagged.includes(questionId)) {
+      setFlagged(flagged.filter(id => id !== questionId));
+    } else {
+      setFlagged([...flagged, questionId]);
+    }
   };
 
   const toggleBookmark = () => {
@@ -261,20 +659,60 @@ export default function Quiz() {
   };
 
   const handleExit = () => {
-    if (answers.length > 0) {
+    if (answeredCount > 0) {
       setShowExitDialog(true);
     } else {
+      discardSession();
       navigate(createPageUrl('Dashboard'));
     }
   };
 
+  const resumeLater = () => {
+    saveSession();
+    queryClient.invalidateQueries({ queryKey: ['quizSession'] });
+    navigate(createPageUrl('Dashboard'));
+  };
+
+  const quizLink = () => {
+    const linkParams = new URLSearchParams(window.location.search);
+    linkParams.delete('resume');
+    return `${window.location.origin}${window.location.pathname}?${linkParams.toString()}`;
+  };
+
   const confirmExit = () => {
-    if (answers.length > 0) {
-      completeQuiz(answers);
+    if (answeredCount > 0) {
+      finishQuiz();
     }
     navigate(createPageUrl('Dashboard'));
   };
 
+  const customProblem = mode !== 'custom' ? null
+    : !customQuiz ? 'This quiz link is incomplete or damaged. Ask for the link again.'
+    : user?.selected_year && customQuiz.year !== user.selected_year
+      ? `"${customQuiz.name}" was built for Year ${customQuiz.year}. Switch to Year ${customQuiz.year}, then open the link again.`
+    : drawEmpty ? `None of the questions in "${customQuiz.name}" are in the current question bank.`
+    : null;
+  const quizProblem = customProblem
+    || (isCumulative && drawEmpty
+      ? 'None of the years weighted in this exam have questions in the bank yet. Give more weight to another year.'
+      : null);
+
+  if (quizProblem) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 flex items-center justify-center p-4">
+        <div className="max-w-md text-center">
+          <p className="text-slate-700 mb-6">{quizProblem}</p>
+          <div className="flex justify-center gap-3">
+            <Button variant="outline" onClick={() => navigate(createPageUrl('Dashboard'))}>Dashboard</Button>
+            {customProblem && customQuiz && customQuiz.year !== user?.selected_year && (
+              <Button onClick={() => navigate(createPageUrl('YearSelection'))}>Change Year</Button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (isLoading || quizQuestions.length === 0) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 flex items-center justify-center">
@@ -292,33 +730,65 @@ export default function Quiz() {
     
     const sectionScores = {};
     answers.forEach(a => {
-      if (!sectionScores[a.section]) {
-        sectionScores[a.section] = { total: 0, correct: 0 };
+      const key = sectionKey(a);
+      if (!sectionScores[key]) {
+        sectionScores[key] = { total: 0, correct: 0 };
       }
-      sectionScores[a.section].total++;
-      if (a.correct) sectionScores[a.section].correct++;
+      sectionScores[key].total++;
+      if (a.correct) sectionScores[key].correct++;
     });
     Object.keys(sectionScores).forEach(sec => {
       sectionScores[sec].percentage = 
         (sectionScores[sec].correct / sectionScores[sec].total) * 100;
     });
 
+    if (reviewFilter) {
+      return (
+        <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 px-4 py-8">
+          <QuizReview
+            questions={quizQuestions}
+            questionResults={answers}
+            initialFilter={reviewFilter}
+            onClose={() => setReviewFilter(null)}
+          />
+        </div>
+      );
+    }
+
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 flex items-center justify-center p-4">
         <ResultsCard 
+          year={recordYear}
           results={{
             score_percentage: (correctCount / answers.length) * 100,
             correct_answers: correctCount,
             total_questions: answers.length,
             time_taken_seconds: timeTaken,
             section_scores: sectionScores,
-            question_results: answers
+            question_results: answers,
+            adaptive_levels: adaptiveRef.current ? summarizeLevels(adaptiveRef.current.state) : null,
+            year_scores: isCumulative ? scoreByYear(answers) : null
+          }}
+          questions={quizQuestions}
+          seed={seed}
+          shareUrl={isShareable ? quizLink() : null}
+          onRetry={() => {
+            // A fresh draw; the quiz link keeps the seed for repeating this exact quiz
+            const retryParams = new URLSearchParams(window.location.search);
+            retryParams.delete('seed');
+            retryParams.delete('resume');
+            window.location.assign(`${window.location.pathname}?${retryParams.toString()}`);
           }}
-          onRetry={() => window.location.reload()}
           onHome={() => navigate(createPageUrl('Dashboard'))}
-          onReviewWrong={() => {
+          onReview={(filter = 'all') => setReviewFilter(filter)}
+          explanationsDeferred={isExamMode}
+          // Retries run in the selected year, which can't hold a cumulative exam's questions
+          onReviewWrong={isCumulative ? null : () => {
             const wrongIds = answers.filter(a => !a.correct).map(a => a.question_id);
-            navigate(createPageUrl('Quiz') + `?mode=review&ids=${wrongIds.join(',')}`);
+            // Full load so the quiz state starts fresh on the same route
+            window.location.assign(
+              createPageUrl('Quiz') + `?mode=review&questions=${wrongIds.length}&ids=${wrongIds.join(',')}`
+            );
           }}
         />
       </div>
@@ -338,14 +808,18 @@ export default function Quiz() {
             {isTimed && (
               <QuizTimer 
                 totalSeconds={timeLimit}
+                initialSeconds={resumeTimeLeft ?? undefined}
                 onTimeUp={handleTimeUp}
+                onTick={handleTick}
                 isPaused={isPaused}
                 onPauseToggle={setIsPaused}
+                answeredCount={answeredCount}
+                totalQuestions={quizQuestions.length}
               />
             )}
             
             <div className="flex items-center gap-3">
-              {user?.selected_year && <YearIndicator year={user.selected_year} />}
+              {recordYear != null && <YearIndicator year={recordYear} />}
               <div className="text-sm font-medium text-slate-600">
                 {currentIndex + 1} / {quizQuestions.length}
               </div>
@@ -356,29 +830,74 @@ export default function Quiz() {
 
       {/* Progress */}
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <ShortfallNotice
+          shortfalls={shortfalls}
+          assembled={quizQuestions.length}
+          required={customQuiz
+            ? definitionQuestionCount(customQuiz)
+            : isCumulative ? questionCount : getBlueprint(user?.selected_year).total_questions}
+          source={customQuiz ? 'requested' : 'blueprint'}
+        />
         <ProgressBar 
           current={currentIndex + 1}
           total={quizQuestions.length}
-          answers={answers}
+          answers={isExamMode
+            ? quizQuestions.map(q => (responses[q.id] ? { user_answer: responses[q.id] } : undefined))
+            : answers}
+          flagged={isExamMode
+            ? quizQuestions.map((q, i) => (flagged.includes(q.id) ? i : null)).filter(i => i !== null)
+            : []}
+          onQuestionClick={isExamMode ? goToQuestion : undefined}
         />
       </div>
 
       {/* Question */}
       <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
-        <AnimatePresence mode="wait">
-          <QuestionCard
-            key={currentQuestion.id}
-            question={currentQuestion}
-            questionNumber={currentIndex + 1}
-            totalQuestions={quizQuestions.length}
-            selectedAnswer={selectedAnswer}
-            onAnswerSelect={handleAnswerSelect}
-            showExplanation={showExplanation}
-            onNext={handleNext}
-            isBookmarked={bookmarkedQuestions.includes(currentQuestion.id)}
-            onToggleBookmark={toggleBookmark}
+        {showReview ? (
+          <ExamReview
+            questions={quizQuestions}
+            responses={responses}
+            flagged={flagged}
+            optionOrders={optionOrdersRef.current}
+            onJumpTo={goToQuestion}
+            onReturn={closeExamReview}
+            onSubmit={submitExam}
           />
-        </AnimatePresence>
+        ) : (
+          <>
+            <AnimatePresence mode="wait">
+              <QuestionCard
+                key={currentQuestion.id}
+                question={currentQuestion}
+                questionNumber={currentIndex + 1}
+                totalQuestions={quizQuestions.length}
+                selectedAnswer={isExamMode ? responses[currentQuestion.id] || null : selectedAnswer}
+                optionOrder={optionOrderFor(currentQuestion)}
+                onAnswerSelect={handleAnswerSelect}
+                struckOut={strikeouts[currentQuestion.id]}
+                onToggleStrike={toggleStrike}
+                confidence={confidence[currentQuestion.id] || null}
+                onConfidenceChange={rateConfidence}
+                showExplanation={showExplanation}
+                onNext={handleNext}
+                isBookmarked={bookmarkedQuestions.includes(currentQuestion.id)}
+                onToggleBookmark={isCumulative ? undefined : toggleBookmark}
+                isExamMode={isExamMode}
+              />
+            </AnimatePresence>
+            {isExamMode && (
+              <ExamNavigator
+                currentIndex={currentIndex}
+                totalQuestions={quizQuestions.length}
+                isFlagged={flagged.includes(currentQuestion.id)}
+                onPrevious={() => goToQuestion(currentIndex - 1)}
+                onNext={() => goToQuestion(currentIndex + 1)}
+                onToggleFlag={toggleFlag}
+                onReview={openExamReview}
+              />
+            )}
+          </>
+        )}
       </main>
 
       {/* Exit Dialog */}
@@ -387,12 +906,15 @@ export default function Quiz() {
           <AlertDialogHeader>
             <AlertDialogTitle>Exit Quiz?</AlertDialogTitle>
             <AlertDialogDescription>
-              You've answered {answers.length} of {quizQuestions.length} questions. 
-              Your progress will be saved if you exit now.
+              You've answered {answeredCount} of {quizQuestions.length} questions. 
+              Resume later to pick up where you left off, or finish now to save your score.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
             <AlertDialogCancel>Continue Quiz</AlertDialogCancel>
+            <AlertDialogAction onClick={resumeLater} className="bg-white text-slate-900 border border-slate-200 hover:bg-slate-50">
+              Resume Later
+            </AlertDialogAction>
             <AlertDialogAction onClick={confirmExit}>
               Exit & Save
             </AlertDialogAction>
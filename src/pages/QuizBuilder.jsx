@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { useAuth } from '@/lib/AuthContext';
+import { api } from '@/api/client';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link, useNavigate } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ArrowLeft, Play, Save, Link2, Trash2, Clock, Shuffle, CheckCircle2, ListPlus } from "lucide-react";
+import { toast } from "sonner";
+import YearIndicator from '@/components/YearIndicator';
+import QuestionPicker from '@/components/builder/QuestionPicker';
+import SectionMixer from '@/components/builder/SectionMixer';
+import { getBlueprint } from '@/lib/blueprints';
+import {
+  DEFAULT_QUIZ_NAME,
+  normalizeDefinition,
+  definitionQuestionCount,
+  customQuizParams
+} from '@/lib/customQuiz';
+
+export default function QuizBuilder() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const year = user?.selected_year;
+  const sections = getBlueprint(year).sections;
+
+  const [name, setName] = useState('');
+  const [source, setSource] = useState('pick');
+  const [pickedIds, setPickedIds] = useState([]);
+  const [sectionCounts, setSectionCounts] = useState({});
+  const [difficulty, setDifficulty] = useState('mixed');
+  const [timed, setTimed] = useState(false);
+  const [showExplanations, setShowExplanations] = useState(true);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [shareUrl, setShareUrl] = useState('');
+
+  const { data: questions = [] } = useQuery({
+    queryKey: ['questions', year],
+    queryFn: () => api.entities.Question.filter({ year: year || 1 }),
+    enabled: !!user
+  });
+
+  const { data: presets = [] } = useQuery({
+    queryKey: ['quizPresets', year],
+    queryFn: () => api.entities.QuizPreset.filter({ year }),
+    enabled: !!year
+  });
+
+  const definition = normalizeDefinition({
+    name,
+    year,
+    difficulty,
+    ...(source === 'pick' ? { question_ids: pickedIds } : { section_counts: sectionCounts })
+  });
+  const settings = { timed, explanations: showExplanations ? 'immediate' : 'end', shuffle: shuffleOptions };
+  const questionCount = definitionQuestionCount(definition);
+
+  const savePresetMutation = useMutation({
+    mutationFn: () => api.entities.QuizPreset.create({ ...definition, settings }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quizPresets', year] });
+      toast.success(`Saved "${definition.name}"`);
+    },
+    onError: () => toast.error('Could not save the preset')
+  });
+
+  const deletePresetMutation = useMutation({
+    mutationFn: (id) => api.entities.QuizPreset.delete(id, year),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quizPresets', year] });
+    }
+  });
+
+  const quizPath = (quiz, quizSettings) => createPageUrl('Quiz') + '?' + customQuizParams(quiz, quizSettings).toString();
+
+  const share = async () => {
+    const url = window.location.origin + quizPath(definition, settings);
+    setShareUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Quiz link copied');
+    } catch {
+      // Clipboard access can be blocked; the link is shown for copying by hand
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm border-b border-slate-200">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex items-center justify-between">
+            <Link to={createPageUrl('Dashboard')} className="inline-flex items-center text-slate-600 hover:text-slate-900">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Dashboard
+            </Link>
+            {year && <YearIndicator year={year} />}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-slate-900 mb-2">Build a Quiz</h1>
+          <p className="text-slate-600">
+            Hand-pick questions or choose how many to draw from each section, then run it, save it or share it.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <Card className="border-0 shadow-sm">
+              <CardContent className="p-6">
+                <Tabs value={source} onValueChange={setSource}>
+                  <TabsList className="mb-4">
+                    <TabsTrigger value="pick">Pick Questions</TabsTrigger>
+                    <TabsTrigger value="sections">By Section</TabsTrigger>
+                  </TabsList>
+                  <TabsContent value="pick">
+                    <QuestionPicker
+                      questions={questions}
+                      sections={sections}
+                      pickedIds={pickedIds}
+                      onChange={setPickedIds}
+                    />
+                  </TabsContent>
+                  <TabsContent value="sections">
+                    <SectionMixer
+                      questions={questions}
+                      sections={sections}
+                      counts={sectionCounts}
+                      onCountsChange={setSectionCounts}
+                      difficulty={difficulty}
+                      onDifficultyChange={setDifficulty}
+                    />
+                  </TabsContent>
+                </Tabs>
+              </CardContent>
+            </Card>
+          </div>
+
+          <div className="space-y-6">
+            <Card className="border-0 shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-lg">Your Quiz</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="quiz-name">Name</Label>
+                  <Input
+                    id="quiz-name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={DEFAULT_QUIZ_NAME}
+                    maxLength={80}
+                  />
+                </div>
+
+                <p className="text-sm text-slate-500">
+                  {questionCount} question{questionCount === 1 ? '' : 's'}
+                  {source === 'sections' && difficulty !== 'mixed' && `, ${difficulty} only`}
+                </p>
+
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center gap-2 text-sm"><Clock className="h-4 w-4 text-slate-500" />Timed</span>
+                    <Switch checked={timed} onCheckedChange={setTimed} />
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center gap-2 text-sm"><CheckCircle2 className="h-4 w-4 text-slate-500" />Show explanations</span>
+                    <Switch checked={showExplanations} onCheckedChange={setShowExplanations} />
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center gap-2 text-sm"><Shuffle className="h-4 w-4 text-slate-500" />Shuffle options</span>
+                    <Switch checked={shuffleOptions} onCheckedChange={setShuffleOptions} />
+                  </div>
+                </div>
+
+                <div className="border-t pt-4 space-y-2">
+                  <Button
+                    className="w-full bg-slate-900 hover:bg-slate-800"
+                    disabled={!definition}
+                    onClick={() => navigate(quizPath(definition, settings))}
+                  >
+                    <Play className="mr-2 h-4 w-4" />
+                    Start Quiz
+                  </Button>
+                  <div className="grid grid-cols-2 gap-2">
+                    <Button
+                      variant="outline"
+                      disabled={!definition || savePresetMutation.isPending}
+                      onClick={() => savePresetMutation.mutate()}
+                    >
+                      <Save className="mr-2 h-4 w-4" />
+                      Save
+                    </Button>
+                    <Button variant="outline" disabled={!definition} onClick={share}>
+                      <Link2 className="mr-2 h-4 w-4" />
+                      Share
+                    </Button>
+                  </div>
+                  {shareUrl && (
+                    <Input readOnly value={shareUrl} onFocus={(e) => e.target.select()} className="text-xs" />
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card className="border-0 shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <ListPlus className="h-5 w-5" />
+                  Saved Quizzes
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {presets.length === 0 ? (
+                  <p className="text-sm text-slate-500">Saved quizzes show up here and on your Dashboard.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {presets.map(preset => (
+                      <div key={preset.id} className="flex items-center gap-2 p-2 rounded-lg bg-slate-50">
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-slate-800 truncate">{preset.name}</p>
+                          <p className="text-xs text-slate-500">{definitionQuestionCount(preset)} questions</p>
+                        </div>
+                        <Button size="icon" variant="ghost" onClick={() => navigate(quizPath(preset, preset.settings))} aria-label={`Run ${preset.name}`}>
+                          <Play className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          className="text-slate-400 hover:text-rose-600"
+                          onClick={() => deletePresetMutation.mutate(preset.id)}
+                          aria-label={`Delete ${preset.name}`}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
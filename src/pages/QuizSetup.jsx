@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useAuth } from '@/lib/AuthContext';
-import { api } from '@/api/localClient';
+import { api } from '@/api/client';
 import { useQuery } from '@tanstack/react-query';
 import { Link, useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
@@ -20,21 +20,47 @@ import {
   Calculator,
   AlertTriangle,
   BookOpen,
-  CheckCircle2
+  CheckCircle2,
+  CalendarClock,
+  Shuffle,
+  Layers
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { cn } from "@/lib/utils";
 import YearIndicator from '@/components/YearIndicator';
+import { getDueQuestionIds } from '@/lib/spacedRepetition';
+import { getBlueprint } from '@/lib/blueprints';
+import { getSecondsPerQuestion } from '@/lib/pacing';
+import YearWeighting from '@/components/quiz/YearWeighting';
+import {
+  CUMULATIVE_YEAR,
+  CUMULATIVE_QUESTIONS,
+  DEFAULT_YEAR_WEIGHTS,
+  formatYearWeights,
+  cumulativeTimeLimit,
+  yearQuestionCounts,
+  loadCumulativeQuestions
+} from '@/lib/cumulativeExam';
 
 const modeConfig = {
   full_exam: {
     title: 'Full Practice Exam',
-    description: 'Simulate the actual exam with 100 questions and 3-hour time limit',
+    description: 'Simulate the actual exam under real time limits',
     icon: GraduationCap,
     color: 'slate',
-    questionCount: 100,
     timed: true,
-    timeLimit: 10800
+    examStyle: true,
+    fromBlueprint: true
+  },
+  cumulative: {
+    title: 'Cumulative Exam',
+    description: 'Red Seal style: questions from all four periods, weighted by year',
+    icon: Layers,
+    color: 'slate',
+    timed: true,
+    examStyle: true,
+    cumulative: true,
+    questionCount: CUMULATIVE_QUESTIONS
   },
   section_focus: {
     title: 'Section Focus',
@@ -52,10 +78,10 @@ const modeConfig = {
   },
   calculations: {
     title: 'Calculations Intensive',
-    description: 'Focus on Section 5: Calculations and Science',
+    description: 'Focus on the calculations section of your exam',
     icon: Calculator,
     color: 'emerald',
-    section: 5
+    calculationsSection: true
   },
   weak_areas: {
     title: 'Weak Areas Practice',
@@ -63,6 +89,13 @@ const modeConfig = {
     icon: AlertTriangle,
     color: 'amber'
   },
+  due_review: {
+    title: 'Due for Review',
+    description: 'Spaced repetition: questions scheduled for review today',
+    icon: CalendarClock,
+    color: 'blue',
+    showQuestionCount: true
+  },
   bookmarked: {
     title: 'Bookmarked Questions',
     description: 'Practice your saved questions',
@@ -71,13 +104,27 @@ const modeConfig = {
   }
 };
 
-const sections = [
-  { num: 1, name: 'Workplace Safety and Rigging', questions: 10 },
-  { num: 2, name: 'Tools, Equipment and Materials', questions: 38 },
-  { num: 3, name: 'Metal Fabrication', questions: 19 },
-  { num: 4, name: 'Drawings and Specifications', questions: 13 },
-  { num: 5, name: 'Calculations and Science', questions: 20 }
-];
+// Exam-structure values (question count, time limit, sections) come from the year's blueprint
+function resolveConfig(baseConfig, blueprint) {
+  if (baseConfig.fromBlueprint) {
+    const hours = blueprint.time_limit_seconds / 3600;
+    return {
+      ...baseConfig,
+      description: `Simulate the actual exam with ${blueprint.total_questions} questions and ${hours}-hour time limit`,
+      questionCount: blueprint.total_questions,
+      timeLimit: blueprint.time_limit_seconds
+    };
+  }
+  if (baseConfig.calculationsSection) {
+    const section = blueprint.sections.find(s => s.num === blueprint.calculations_section);
+    return {
+      ...baseConfig,
+      description: `Focus on Section ${section.num}: ${section.name}`,
+      section: section.num
+    };
+  }
+  return baseConfig;
+}
 
 export default function QuizSetup() {
   const { user } = useAuth();
@@ -90,6 +137,9 @@ export default function QuizSetup() {
   const [timed, setTimed] = useState(false);
   const [difficulty, setDifficulty] = useState('mixed');
   const [showExplanations, setShowExplanations] = useState(true);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [yearWeights, setYearWeights] = useState(DEFAULT_YEAR_WEIGHTS);
+  const isCumulative = mode === 'cumulative';
 
   const { data: progress } = useQuery({
     queryKey: ['userProgress', user?.selected_year],
@@ -101,18 +151,41 @@ export default function QuizSetup() {
   });
 
   const { data: questions = [] } = useQuery({
-    queryKey: ['questions', user?.selected_year],
-    queryFn: () => api.entities.Question.filter({ year: user?.selected_year || 1 }),
+    queryKey: ['questions', isCumulative ? CUMULATIVE_YEAR : user?.selected_year],
+    queryFn: () => (isCumulative
+      ? loadCumulativeQuestions(api)
+      : api.entities.Question.filter({ year: user?.selected_year || 1 })),
     enabled: !!user
   });
 
-  const config = modeConfig[mode] || modeConfig.quick_quiz;
+  // Cumulative exams keep their own record, apart from the selected year's
+  const { data: cumulativeProgress } = useQuery({
+    queryKey: ['userProgress', CUMULATIVE_YEAR],
+    queryFn: async () => {
+      const results = await api.entities.UserProgress.filter({ created_by: user?.email, year: CUMULATIVE_YEAR });
+      return results[0] || null;
+    },
+    enabled: isCumulative && !!user?.email
+  });
+
+  const blueprint = getBlueprint(user?.selected_year);
+  const sections = blueprint.sections;
+  const secondsPerQuestion = getSecondsPerQuestion(user?.selected_year);
+  const config = resolveConfig(modeConfig[mode] || modeConfig.quick_quiz, blueprint);
   const Icon = config.icon;
 
   const getAvailableQuestions = () => {
+    if (isCumulative) {
+      const counts = yearQuestionCounts(yearWeights, config.questionCount);
+      return questions.filter(q => counts[q.year] > 0).length;
+    }
     if (mode === 'weak_areas') return progress?.weak_questions?.length || 0;
     if (mode === 'bookmarked') return progress?.bookmarked_questions?.length || 0;
-    if (mode === 'calculations') return questions.filter(q => q.section === 5).length;
+    if (mode === 'due_review') {
+      const dueIds = getDueQuestionIds(progress?.review_schedule);
+      return questions.filter(q => dueIds.includes(q.id)).length;
+    }
+    if (config.section) return questions.filter(q => q.section === config.section).length;
     if (selectedSection !== 'all') return questions.filter(q => q.section === parseInt(selectedSection)).length;
     return questions.length;
   };
@@ -137,13 +210,18 @@ export default function QuizSetup() {
     
     params.set('timed', timed || config.timed ? 'true' : 'false');
     params.set('difficulty', difficulty);
-    params.set('explanations', showExplanations ? 'immediate' : 'end');
+    params.set('explanations', showExplanations && !config.examStyle ? 'immediate' : 'end');
+    if (shuffleOptions) params.set('shuffle', 'true');
+    if (isCumulative) {
+      params.set('weights', formatYearWeights(yearWeights));
+      params.set('timeLimit', cumulativeTimeLimit(yearWeights, config.questionCount));
+    }
     
     if (config.timeLimit) {
       params.set('timeLimit', config.timeLimit);
     } else if (timed) {
       const numQuestions = parseInt(questionCount) || 20;
-      params.set('timeLimit', numQuestions * 108); // 1.8 min per question
+      params.set('timeLimit', Math.round(numQuestions * secondsPerQuestion));
     }
 
     navigate(createPageUrl('Quiz') + '?' + params.toString());
@@ -159,7 +237,7 @@ export default function QuizSetup() {
               <ArrowLeft className="h-4 w-4 mr-2" />
               Back to Dashboard
             </Link>
-            {user?.selected_year && <YearIndicator year={user.selected_year} />}
+            {user?.selected_year && <YearIndicator year={isCumulative ? CUMULATIVE_YEAR : user.selected_year} />}
           </div>
         </div>
       </header>
@@ -207,6 +285,27 @@ export default function QuizSetup() {
             transition={{ delay: 0.1 }}
             className="lg:col-span-2 space-y-6"
           >
+            {/* Year Weighting */}
+            {config.cumulative && (
+              <Card className="border-0 shadow-sm">
+                <CardHeader>
+                  <CardTitle className="text-lg">Year Weighting</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <p className="text-sm text-slate-500 mb-4">
+                    Share of the {config.questionCount} questions drawn from each year. Within a year,
+                    questions follow that year's exam blueprint.
+                  </p>
+                  <YearWeighting
+                    weights={yearWeights}
+                    onChange={setYearWeights}
+                    total={config.questionCount}
+                    questions={questions}
+                  />
+                </CardContent>
+              </Card>
+            )}
+
             {/* Section Selection */}
             {config.showSectionSelect && (
               <Card className="border-0 shadow-sm">
@@ -232,7 +331,7 @@ export default function QuizSetup() {
                               ({questions.filter(q => q.section === section.num).length} questions)
                             </span>
                           </Label>
-                          <Badge variant="outline">{section.questions}% of exam</Badge>
+                          <Badge variant="outline">{section.weight}% of exam</Badge>
                         </div>
                       ))}
                     </div>
@@ -272,38 +371,44 @@ export default function QuizSetup() {
               </Card>
             )}
 
-            {/* Difficulty */}
-            <Card className="border-0 shadow-sm">
-              <CardHeader>
-                <CardTitle className="text-lg">Difficulty Level</CardTitle>
-              </CardHeader>
-              <CardContent>
-                <RadioGroup value={difficulty} onValueChange={setDifficulty}>
-                  <div className="grid grid-cols-3 gap-3">
-                    {[
-                      { value: 'easy', label: 'Easy', desc: 'Recall & identification' },
-                      { value: 'mixed', label: 'Mixed', desc: 'Balanced difficulty' },
-                      { value: 'hard', label: 'Hard', desc: 'Analysis & problem-solving' }
-                    ].map((option) => (
-                      <div 
-                        key={option.value}
-                        className={cn(
-                          "flex flex-col p-4 rounded-xl border-2 cursor-pointer transition-all",
-                          difficulty === option.value 
-                            ? "border-slate-900 bg-slate-50" 
-                            : "border-slate-200 hover:border-slate-300"
-                        )}
-                        onClick={() => setDifficulty(option.value)}
-                      >
-                        <RadioGroupItem value={option.value} id={option.value} className="sr-only" />
-                        <span className="font-semibold">{option.label}</span>
-                        <span className="text-xs text-slate-500 mt-1">{option.desc}</span>
-                      </div>
-                    ))}
-                  </div>
-                </RadioGroup>
-              </CardContent>
-            </Card>
+            {/* Difficulty; a cumulative exam follows each year's blueprint mix */}
+            {!config.cumulative && (
+              <Card className="border-0 shadow-sm">
+                <CardHeader>
+                  <CardTitle className="text-lg">Difficulty Level</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <RadioGroup value={difficulty} onValueChange={setDifficulty}>
+                    <div className={cn("grid gap-3", config.fromBlueprint ? "grid-cols-3" : "grid-cols-2 sm:grid-cols-4")}>
+                      {[
+                        { value: 'easy', label: 'Easy', desc: 'Recall & identification' },
+                        { value: 'mixed', label: 'Mixed', desc: 'Balanced difficulty' },
+                        { value: 'hard', label: 'Hard', desc: 'Analysis & problem-solving' },
+                        // The full exam follows the blueprint's difficulty mix
+                        ...(config.fromBlueprint ? [] : [
+                          { value: 'adaptive', label: 'Adaptive', desc: 'Adjusts to your answers' }
+                        ])
+                      ].map((option) => (
+                        <div 
+                          key={option.value}
+                          className={cn(
+                            "flex flex-col p-4 rounded-xl border-2 cursor-pointer transition-all",
+                            difficulty === option.value 
+                              ? "border-slate-900 bg-slate-50" 
+                              : "border-slate-200 hover:border-slate-300"
+                          )}
+                          onClick={() => setDifficulty(option.value)}
+                        >
+                          <RadioGroupItem value={option.value} id={option.value} className="sr-only" />
+                          <span className="font-semibold">{option.label}</span>
+                          <span className="text-xs text-slate-500 mt-1">{option.desc}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </RadioGroup>
+                </CardContent>
+              </Card>
+            )}
 
             {/* Options */}
             <Card className="border-0 shadow-sm">
@@ -317,23 +422,50 @@ export default function QuizSetup() {
                       <Clock className="h-5 w-5 text-slate-500" />
                       <div>
                         <p className="font-medium">Timed Mode</p>
-                        <p className="text-sm text-slate-500">1.8 minutes per question</p>
+                        <p className="text-sm text-slate-500">{+(secondsPerQuestion / 60).toFixed(1)} minutes per question</p>
                       </div>
                     </div>
                     <Switch checked={timed} onCheckedChange={setTimed} />
                   </div>
                 )}
-                
+
                 <div className="flex items-center justify-between p-3 rounded-lg bg-slate-50">
                   <div className="flex items-center gap-3">
-                    <CheckCircle2 className="h-5 w-5 text-slate-500" />
+                    <Shuffle className="h-5 w-5 text-slate-500" />
                     <div>
-                      <p className="font-medium">Show Explanations</p>
-                      <p className="text-sm text-slate-500">See explanations after each answer</p>
+                      <p className="font-medium">Shuffle Answer Options</p>
+                      <p className="text-sm text-slate-500">Learn the answer, not its letter</p>
                     </div>
                   </div>
-                  <Switch checked={showExplanations} onCheckedChange={setShowExplanations} />
+                  <Switch checked={shuffleOptions} onCheckedChange={setShuffleOptions} />
                 </div>
+                
+                {config.examStyle ? (
+                  <div className="flex items-center gap-3 p-3 rounded-lg bg-slate-50">
+                    <CheckCircle2 className="h-5 w-5 text-slate-500" />
+                    <div>
+                      <p className="font-medium">Exam Conditions</p>
+                      <p className="text-sm text-slate-500">Skip, flag and change answers; scored when you submit</p>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between p-3 rounded-lg bg-slate-50">
+                    <div className="flex items-center gap-3">
+                      <CheckCircle2 className="h-5 w-5 text-slate-500" />
+                      <div>
+                        <p className="font-medium">Show Explanations</p>
+                        <p className="text-sm text-slate-500">
+                          {showExplanations
+                            ? 'See explanations after each answer'
+                            : difficulty === 'adaptive'
+                            ? 'No explanations; adaptive quizzes still go one question at a time'
+                            : 'Exam style: skip, flag and change answers until you submit'}
+                        </p>
+                      </div>
+                    </div>
+                    <Switch checked={showExplanations} onCheckedChange={setShowExplanations} />
+                  </div>
+                )}
               </CardContent>
             </Card>
           </motion.div>
@@ -356,10 +488,12 @@ export default function QuizSetup() {
                       {config.questionCount || questionCount}
                     </span>
                   </div>
-                  <div className="flex justify-between">
-                    <span className="text-slate-500">Difficulty</span>
-                    <span className="font-medium capitalize">{difficulty}</span>
-                  </div>
+                  {!config.cumulative && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">Difficulty</span>
+                      <span className="font-medium capitalize">{difficulty}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span className="text-slate-500">Time Limit</span>
                     <span className="font-medium">
@@ -372,6 +506,19 @@ export default function QuizSetup() {
                   </div>
                 </div>
 
+                {config.cumulative && cumulativeProgress?.quizzes_completed > 0 && (
+                  <div className="border-t pt-4 space-y-3 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">Cumulative exams taken</span>
+                      <span className="font-medium">{cumulativeProgress.quizzes_completed}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">Best score</span>
+                      <span className="font-medium">{Math.round(cumulativeProgress.best_score || 0)}%</span>
+                    </div>
+                  </div>
+                )}
+
                 <div className="border-t pt-4">
                   <Button 
                     onClick={handleStart}
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useAuth } from '@/lib/AuthContext';
-import { api } from '@/api/localClient';
+import { api } from '@/api/client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Link } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
@@ -22,12 +22,13 @@ import {
 import { ArrowLeft, User, RotateCcw, LogOut, Calendar } from "lucide-react";
 import { toast } from "sonner";
 import YearIndicator from '@/components/YearIndicator';
+import AccountSecurity, { hasAccountSecurity } from '@/components/settings/AccountSecurity';
 import { useNavigate } from 'react-router-dom';
 
 export default function Settings() {
   const queryClient = useQueryClient();
   const navigate = useNavigate();
-  const { user, updateMe } = useAuth();
+  const { user, updateMe, logout } = useAuth();
   const [showChangeYear, setShowChangeYear] = useState(false);
   const [selectedNewYear, setSelectedNewYear] = useState(null);
 
@@ -72,6 +73,7 @@ export default function Settings() {
       if (progress?.id) {
         await api.entities.UserProgress.update(progress.id, {
           weak_questions: [],
+          confident_misses: [],
           _year: user?.selected_year
         });
       }
@@ -97,7 +99,7 @@ export default function Settings() {
   });
 
   const handleLogout = () => {
-    api.auth.logout();
+    logout();
   };
 
   return (
@@ -295,6 +297,8 @@ export default function Settings() {
           </CardContent>
         </Card>
 
+        {hasAccountSecurity && <AccountSecurity />}
+
         {/* Account */}
         <Card className="border-0 shadow-sm">
           <CardHeader>
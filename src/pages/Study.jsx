@@ -1,27 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '@/lib/AuthContext';
-import { api } from '@/api/localClient';
+import { api } from '@/api/client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Link, useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
 import { 
   BookOpen, 
   Search, 
   Bookmark, 
   ArrowLeft,
-  ChevronRight
+  ChevronRight,
+  Shuffle
 } from "lucide-react";
 import { motion } from "framer-motion";
 import YearIndicator from '@/components/YearIndicator';
 import { BannerAd, InContentAd } from '@/components/ads/AdSense';
+import { QUESTION_TYPES, getQuestionType, getOptions, splitLetters } from '@/lib/questionTypes';
+import { guideExcerpt } from '@/lib/guideOutline';
+import { createOptionOrder, toDisplayQuestion } from '@/lib/optionShuffle';
 
 export default function Study() {
   const { user } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedSection, setSelectedSection] = useState('all');
+  const [shuffleOptions, setShuffleOptions] = useState(false);
   const navigate = useNavigate();
   const queryClient = useQueryClient();
 
@@ -81,7 +88,8 @@ export default function Study() {
     }
   });
 
-  const sections = ['all', ...new Set(studyGuides.map(guide => guide.section))];
+  // Guides without a curriculum section (e.g. imported reference books) only show under "all"
+  const sections = ['all', ...new Set(studyGuides.map(guide => guide.section).filter(section => section != null))];
   const filteredGuides = studyGuides.filter(guide => 
     (selectedSection === 'all' || guide.section === selectedSection) &&
     (guide.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -89,10 +97,18 @@ export default function Study() {
   );
 
   const filteredQuestions = questions.filter(question =>
-    question.question.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    question.section.toLowerCase().includes(searchTerm.toLowerCase())
+    question.question_text.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (question.section_name || '').toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // A fresh option order per question each time shuffling is switched on
+  const optionOrders = useMemo(() => (
+    shuffleOptions ? Object.fromEntries(questions.map(q => [q.id, createOptionOrder(q)])) : {}
+  ), [shuffleOptions, questions]);
+
+  const correctLetters = (question) =>
+    getQuestionType(question) === QUESTION_TYPES.ORDERED_STEPS ? [] : splitLetters(question.correct_answer);
+
   if (!user) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 flex items-center justify-center">
@@ -150,7 +166,7 @@ export default function Study() {
                     />
                   </div>
                 </div>
-                <div className="flex gap-2">
+                <div className="flex flex-wrap gap-2">
                   {sections.map(section => (
                     <Button
                       key={section}
@@ -159,7 +175,7 @@ export default function Study() {
                       onClick={() => setSelectedSection(section)}
                       className="capitalize"
                     >
-                      {section}
+                      {section === 'all' ? section : `Section ${section}`}
                     </Button>
                   ))}
                 </div>
@@ -194,24 +210,30 @@ export default function Study() {
                         <div className="flex items-start justify-between">
                           <div className="flex-1">
                             <CardTitle className="text-lg">{guide.title}</CardTitle>
-                            <Badge variant="secondary" className="mt-2">
-                              {guide.section}
-                            </Badge>
+                            {(guide.section != null || guide.source_title) && (
+                              <Badge variant="secondary" className="mt-2">
+                                {guide.section != null ? `Section ${guide.section}` : guide.source_title}
+                              </Badge>
+                            )}
                           </div>
                           <BookOpen className="h-5 w-5 text-slate-400" />
                         </div>
                       </CardHeader>
                       <CardContent>
                         <p className="text-slate-600 text-sm mb-4 line-clamp-3">
-                          {guide.content}
+                          {guideExcerpt(guide.content)}
                         </p>
                         <div className="flex items-center justify-between">
                           <span className="text-xs text-slate-500">
-                            {guide.topics?.length || 0} topics
+                            {progress?.guide_progress?.[guide.id]
+                              ? `${progress.guide_progress[guide.id].percent}% read`
+                              : `${guide.topics?.length || 0} topics`}
                           </span>
-                          <Button variant="outline" size="sm">
-                            Read More
-                            <ChevronRight className="h-4 w-4 ml-1" />
+                          <Button variant="outline" size="sm" asChild>
+                            <Link to={createPageUrl('StudyGuide') + `?id=${encodeURIComponent(guide.id)}`}>
+                              {progress?.guide_progress?.[guide.id] ? 'Continue' : 'Read More'}
+                              <ChevronRight className="h-4 w-4 ml-1" />
+                            </Link>
                           </Button>
                         </div>
                       </CardContent>
@@ -224,7 +246,16 @@ export default function Study() {
 
           {/* Practice Questions */}
           <div className="space-y-6">
-            <h2 className="text-xl font-bold text-slate-800">Practice Questions</h2>
+            <div className="flex items-center justify-between gap-4">
+              <h2 className="text-xl font-bold text-slate-800">Practice Questions</h2>
+              <div className="flex items-center gap-2">
+                <Shuffle className="h-4 w-4 text-slate-500" />
+                <Label htmlFor="shuffle-options" className="text-sm text-slate-600 cursor-pointer">
+                  Shuffle options
+                </Label>
+                <Switch id="shuffle-options" checked={shuffleOptions} onCheckedChange={setShuffleOptions} />
+              </div>
+            </div>
             {filteredQuestions.length === 0 ? (
               <Card className="border-0 shadow-sm">
                 <CardContent className="p-12 text-center">
@@ -235,70 +266,73 @@ export default function Study() {
               </Card>
             ) : (
               <div className="space-y-4">
-                {filteredQuestions.slice(0, 10).map((question, index) => (
-                  <motion.div
-                    key={question.id}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ duration: 0.5, delay: index * 0.05 }}
-                  >
-                    <Card className="hover:shadow-md transition-shadow">
-                      <CardContent className="p-6">
-                        <div className="flex items-start justify-between mb-4">
-                          <div className="flex-1">
-                            <div className="flex items-center gap-2 mb-2">
-                              <Badge variant="outline">{question.section}</Badge>
-                              <Badge variant={question.difficulty === 'easy' ? 'secondary' : 
-                                           question.difficulty === 'medium' ? 'default' : 'destructive'}>
-                                {question.difficulty}
-                              </Badge>
-                            </div>
-                            <h3 className="font-medium text-slate-900 mb-2">
-                              {question.question}
-                            </h3>
-                            <div className="space-y-2">
-                              {question.options?.map((option, optIndex) => (
-                                <div key={optIndex} className="flex items-center gap-2 text-sm">
-                                  <span className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-medium ${
-                                    optIndex === question.correct_answer 
-                                      ? 'bg-green-100 text-green-700' 
-                                      : 'bg-slate-100 text-slate-600'
-                                  }`}>
-                                    {String.fromCharCode(65 + optIndex)}
-                                  </span>
-                                  <span className={optIndex === question.correct_answer ? 'font-medium text-green-700' : 'text-slate-600'}>
-                                    {option}
-                                  </span>
+                {filteredQuestions.slice(0, 10).map((question, index) => {
+                  const shown = toDisplayQuestion(question, optionOrders[question.id] || null);
+                  return (
+                    <motion.div
+                      key={question.id}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      transition={{ duration: 0.5, delay: index * 0.05 }}
+                    >
+                      <Card className="hover:shadow-md transition-shadow">
+                        <CardContent className="p-6">
+                          <div className="flex items-start justify-between mb-4">
+                            <div className="flex-1">
+                              <div className="flex items-center gap-2 mb-2">
+                                <Badge variant="outline">Section {question.section}</Badge>
+                                <Badge variant={question.difficulty === 'easy' ? 'secondary' : 
+                                             question.difficulty === 'medium' ? 'default' : 'destructive'}>
+                                  {question.difficulty}
+                                </Badge>
+                              </div>
+                              <h3 className="font-medium text-slate-900 mb-2">
+                                {shown.question_text}
+                              </h3>
+                              <div className="space-y-2">
+                                {getOptions(shown).map((option) => (
+                                  <div key={option.letter} className="flex items-center gap-2 text-sm">
+                                    <span className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-medium ${
+                                      correctLetters(shown).includes(option.letter)
+                                        ? 'bg-green-100 text-green-700' 
+                                        : 'bg-slate-100 text-slate-600'
+                                    }`}>
+                                      {option.letter}
+                                    </span>
+                                    <span className={correctLetters(shown).includes(option.letter) ? 'font-medium text-green-700' : 'text-slate-600'}>
+                                      {option.text}
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                              {shown.explanation && (
+                                <div className="mt-4 p-3 bg-blue-50 rounded-lg">
+                                  <p className="text-sm text-blue-800">
+                                    <strong>Explanation:</strong> {shown.explanation}
+                                  </p>
                                 </div>
-                              ))}
+                              )}
                             </div>
-                            {question.explanation && (
-                              <div className="mt-4 p-3 bg-blue-50 rounded-lg">
-                                <p className="text-sm text-blue-800">
-                                  <strong>Explanation:</strong> {question.explanation}
-                                </p>
-                              </div>
-                            )}
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => bookmarkMutation.mutate({
+                                questionId: question.id,
+                                bookmarked: !progress?.bookmarked_questions?.includes(question.id)
+                              })}
+                            >
+                              <Bookmark className={`h-4 w-4 ${
+                                progress?.bookmarked_questions?.includes(question.id)
+                                  ? 'fill-current text-blue-600'
+                                  : 'text-slate-400'
+                              }`} />
+                            </Button>
                           </div>
-                          <Button
-                            variant="ghost"
-                            size="sm"
-                            onClick={() => bookmarkMutation.mutate({
-                              questionId: question.id,
-                              bookmarked: !progress?.bookmarked_questions?.includes(question.id)
-                            })}
-                          >
-                            <Bookmark className={`h-4 w-4 ${
-                              progress?.bookmarked_questions?.includes(question.id)
-                                ? 'fill-current text-blue-600'
-                                : 'text-slate-400'
-                            }`} />
-                          </Button>
-                        </div>
-                      </CardContent>
-                    </Card>
-                  </motion.div>
-                ))}
+                        </CardContent>
+                      </Card>
+                    </motion.div>
+                  );
+                })}
                 {filteredQuestions.length > 10 && (
                   <div className="text-center">
                     <Button variant="outline">
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useAuth } from '@/lib/AuthContext';
+import { api } from '@/api/client';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link, useLocation } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { ArrowLeft, BookOpen, Target, Play } from "lucide-react";
+import YearIndicator from '@/components/YearIndicator';
+import GuideContent from '@/components/study/GuideContent';
+import GuideToc from '@/components/study/GuideToc';
+import { getSection } from '@/lib/blueprints';
+import { extractHeadings, updateGuideProgress } from '@/lib/guideOutline';
+
+// Practice quizzes started from a guide
+const PRACTICE_QUESTIONS = 20;
+
+// Scroll fraction of the page, 0 at the top and 1 at the bottom
+const scrollPosition = () => {
+  const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+  return scrollable > 0 ? window.scrollY / scrollable : 1;
+};
+
+export default function StudyGuide() {
+  const { user } = useAuth();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const year = user?.selected_year;
+  const guideId = new URLSearchParams(location.search).get('id');
+  const [position, setPosition] = useState(0);
+  const [activeId, setActiveId] = useState(null);
+  const restoredRef = useRef(false);
+  const saveTimerRef = useRef(null);
+
+  const { data: studyGuides = [], isLoading } = useQuery({
+    queryKey: ['studyGuides', year],
+    queryFn: () => api.studyGuides.getByYear(year),
+    enabled: !!year
+  });
+
+  const { data: progress, isFetched: progressFetched } = useQuery({
+    queryKey: ['userProgress', year],
+    queryFn: async () => {
+      const results = await api.entities.UserProgress.filter({ created_by: user?.email, year });
+      return results[0] || null;
+    },
+    enabled: !!user?.email && !!year
+  });
+
+  const { data: questions = [] } = useQuery({
+    queryKey: ['questions', year],
+    queryFn: () => api.entities.Question.filter({ year }),
+    enabled: !!year
+  });
+
+  const guide = studyGuides.find(g => String(g.id) === guideId);
+  const headings = useMemo(() => extractHeadings(guide?.content), [guide?.content]);
+  const saved = guide ? progress?.guide_progress?.[guide.id] : null;
+  // Only a blueprint section number links the guide to practice questions
+  const section = guide?.section != null ? getSection(year, Number(guide.section)) : null;
+  const sectionNum = section?.num;
+  const practiceCount = section ? questions.filter(q => q.section === sectionNum).length : 0;
+
+  const { mutate: saveGuideProgress } = useMutation({
+    mutationFn: async (guideProgress) => {
+      if (progress?.id) {
+        await api.entities.UserProgress.update(progress.id, { guide_progress: guideProgress, _year: year });
+      } else {
+        await api.entities.UserProgress.create({ guide_progress: guideProgress, year });
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['userProgress', year] });
+    }
+  });
+
+  // Scroll handlers call the latest version through a ref
+  const saveProgressRef = useRef(null);
+  saveProgressRef.current = () => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    if (!guide || !progressFetched) return;
+    const next = updateGuideProgress(saved, scrollPosition());
+    if (!saved && next.percent === 0) return;
+    if (saved && saved.percent === next.percent && Math.abs(saved.position - next.position) < 0.01) return;
+    saveGuideProgress({ ...(progress?.guide_progress || {}), [guide.id]: next });
+  };
+
+  // Pick up where the reader left off, once the guide has rendered
+  useEffect(() => {
+    if (!guide || !progressFetched || restoredRef.current) return;
+    restoredRef.current = true;
+    if (saved?.position > 0 && saved.position < 1) {
+      requestAnimationFrame(() => {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        window.scrollTo(0, saved.position * scrollable);
+      });
+    }
+  }, [guide, progressFetched, saved]);
+
+  // Track position and the heading in view; save a moment after scrolling stops
+  useEffect(() => {
+    const track = () => {
+      setPosition(scrollPosition());
+      const passed = headings.filter(h => {
+        const el = document.getElementById(h.id);
+        return el && el.getBoundingClientRect().top < 120;
+      });
+      setActiveId(passed.length > 0 ? passed[passed.length - 1].id : headings[0]?.id || null);
+    };
+    const handleScroll = () => {
+      track();
+      clearTimeout(saveTimerRef.current);
+      saveTimerRef.current = setTimeout(() => saveProgressRef.current(), 1500);
+    };
+    track();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, [headings]);
+
+  // A pending save still happens when the reader leaves
+  useEffect(() => {
+    const flush = () => {
+      if (saveTimerRef.current) saveProgressRef.current();
+    };
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, []);
+
+  const goToHeading = (id) => {
+    document.getElementById(id)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const practicePath = createPageUrl('Quiz') + '?' + new URLSearchParams({
+    mode: 'section_focus',
+    section: String(sectionNum),
+    questions: String(PRACTICE_QUESTIONS),
+    timed: 'false',
+    difficulty: 'mixed',
+    explanations: 'immediate'
+  }).toString();
+
+  const percentRead = Math.max(saved?.percent || 0, Math.round(position * 100));
+
+  const header = (
+    <header className="bg-white/80 backdrop-blur-sm border-b border-slate-200 sticky top-0 z-50">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <div className="flex items-center justify-between">
+          <Link to={createPageUrl('Study')} className="inline-flex items-center text-slate-600 hover:text-slate-900">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Study Materials
+          </Link>
+          {year && <YearIndicator year={year} />}
+        </div>
+      </div>
+      {guide && <Progress value={position * 100} className="h-1 rounded-none" />}
+    </header>
+  );
+
+  if (isLoading || !user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 flex items-center justify-center">
+        <div className="w-12 h-12 border-4 border-slate-200 border-t-slate-800 rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  if (!guide) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100">
+        {header}
+        <main className="max-w-md mx-auto px-4 py-16 text-center">
+          <BookOpen className="h-12 w-12 text-slate-300 mx-auto mb-4" />
+          <p className="text-slate-700 mb-6">
+            This guide isn't part of the Year {year} study material. It may belong to another year.
+          </p>
+          <Link to={createPageUrl('Study')}>
+            <Button>Browse Study Guides</Button>
+          </Link>
+        </main>
+      </div>
+    );
+  }
+
+  const practiceCard = section && (
+    <Card className="border-0 shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-base flex items-center gap-2">
+          <Target className="h-4 w-4" />
+          Practice this topic
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-slate-600 mb-4">
+          {practiceCount > 0
+            ? `${practiceCount} practice questions for Section ${sectionNum}: ${section.name}.`
+            : `No practice questions for Section ${sectionNum} yet.`}
+        </p>
+        {practiceCount > 0 ? (
+          <Button className="w-full bg-slate-900 hover:bg-slate-800" asChild>
+            <Link to={practicePath}>
+              <Play className="h-4 w-4 mr-2" />
+              Practice questions for this topic
+            </Link>
+          </Button>
+        ) : (
+          <Button className="w-full" disabled>
+            <Play className="h-4 w-4 mr-2" />
+            Practice questions for this topic
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100">
+      {header}
+
+      <main className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          {/* Table of Contents */}
+          <aside className="lg:col-span-1">
+            <div className="lg:sticky lg:top-24 space-y-6">
+              <GuideToc headings={headings} activeId={activeId} onNavigate={goToHeading} />
+              <div className="hidden lg:block">{practiceCard}</div>
+            </div>
+          </aside>
+
+          {/* Guide */}
+          <article className="lg:col-span-3">
+            <div className="mb-6">
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                {section && (
+                  <Badge variant="secondary">Section {sectionNum}: {section.name}</Badge>
+                )}
+                {guide.source_title && <Badge variant="outline">{guide.source_title}</Badge>}
+                <Badge variant="outline">{percentRead}% read</Badge>
+              </div>
+              <h1 className="text-3xl font-bold text-slate-900">{guide.title}</h1>
+            </div>
+
+            <Card className="border-0 shadow-sm">
+              <CardContent className="p-6 sm:p-8">
+                <GuideContent content={guide.content} />
+              </CardContent>
+            </Card>
+
+            <div className="mt-8 lg:hidden">{practiceCard}</div>
+          </article>
+        </div>
+      </main>
+    </div>
+  );
+}
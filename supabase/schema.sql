@@ -23,10 +23,15 @@ CREATE TABLE IF NOT EXISTS public.questions (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   year INTEGER NOT NULL,
   section TEXT,
+  subtopic TEXT, -- curriculum subtopic code within the section (e.g. 'G' for 2G Valves)
   difficulty TEXT CHECK (difficulty IN ('easy', 'medium', 'hard')),
+  question_type TEXT DEFAULT 'multiple_choice'
+    CHECK (question_type IN ('multiple_choice', 'numeric', 'multi_select', 'ordered_steps')),
   question_text TEXT NOT NULL,
-  options JSONB NOT NULL,
-  correct_answer TEXT NOT NULL,
+  options JSONB NOT NULL DEFAULT '[]', -- empty for numeric questions
+  correct_answer TEXT NOT NULL, -- letter, number, or comma-separated letters (see src/lib/questionTypes.js)
+  unit TEXT, -- numeric questions only
+  tolerance NUMERIC, -- numeric questions only: accepted absolute error
   explanation TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -48,11 +53,14 @@ CREATE TABLE IF NOT EXISTS public.user_progress (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
   year INTEGER NOT NULL,
+  -- The progress document (counters, section stats, weak questions, bookmarks,
+  -- reading progress…); supabaseClient.js reads and writes it as one record
   progress_data JSONB NOT NULL DEFAULT '{}',
   exam_readiness JSONB DEFAULT '{}',
   statistics JSONB DEFAULT '{}',
   bookmarks JSONB DEFAULT '[]',
   weak_areas JSONB DEFAULT '[]',
+  review_schedule JSONB DEFAULT '{}',
   streak_data JSONB DEFAULT '{}',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -70,7 +78,52 @@ CREATE TABLE IF NOT EXISTS public.quiz_sessions (
   score INTEGER DEFAULT 0,
   total_questions INTEGER DEFAULT 0,
   time_taken INTEGER DEFAULT 0,
+  -- In-progress state (completed_at IS NULL) so an interrupted quiz can be resumed
+  params TEXT,
+  responses JSONB DEFAULT '{}',
+  flagged JSONB DEFAULT '[]',
+  current_index INTEGER DEFAULT 0,
+  time_remaining INTEGER,
+  question_times JSONB DEFAULT '{}', -- seconds spent per question id
+  adaptive JSONB, -- adaptive mode: per-section levels and the question pool (ids)
+  option_orders JSONB DEFAULT '{}', -- shuffled option letters per question id
+  strikeouts JSONB DEFAULT '{}', -- struck-out option letters per question id
+  confidence JSONB DEFAULT '{}', -- sure / unsure / guess per question id
   completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Quiz Attempts table (finished quizzes, for the History page)
+CREATE TABLE IF NOT EXISTS public.quiz_attempts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  year INTEGER NOT NULL,
+  mode TEXT NOT NULL,
+  params TEXT, -- the quiz URL's query string
+  total_questions INTEGER DEFAULT 0,
+  correct_answers INTEGER DEFAULT 0,
+  score_percentage NUMERIC DEFAULT 0,
+  time_taken_seconds INTEGER DEFAULT 0,
+  section_scores JSONB DEFAULT '{}',
+  question_results JSONB DEFAULT '[]', -- answer, correctness, section, flag, time_seconds, confidence and struck_out per question
+  completed BOOLEAN DEFAULT TRUE,
+  adaptive_levels JSONB, -- adaptive mode: start, final and peak level per section
+  year_scores JSONB, -- cumulative mode: total, correct and percentage per year
+  imported_from TEXT, -- guest attempt id when merged from this device's local history
+  completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Quiz Presets table (saved custom quizzes, see src/lib/customQuiz.js)
+CREATE TABLE IF NOT EXISTS public.quiz_presets (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  year INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  question_ids JSONB, -- hand-picked questions, in order
+  section_counts JSONB, -- or questions to draw per section
+  difficulty TEXT DEFAULT 'mixed',
+  settings JSONB DEFAULT '{}', -- timed, explanations, shuffle
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -88,16 +141,21 @@ CREATE TABLE IF NOT EXISTS public.bookmarks (
 CREATE INDEX IF NOT EXISTS idx_questions_year ON public.questions(year);
 CREATE INDEX IF NOT EXISTS idx_questions_section ON public.questions(section);
 CREATE INDEX IF NOT EXISTS idx_questions_difficulty ON public.questions(difficulty);
+CREATE INDEX IF NOT EXISTS idx_questions_subtopic ON public.questions(section, subtopic);
 CREATE INDEX IF NOT EXISTS idx_study_guides_year ON public.study_guides(year);
 CREATE INDEX IF NOT EXISTS idx_study_guides_section ON public.study_guides(section);
 CREATE INDEX IF NOT EXISTS idx_user_progress_user_year ON public.user_progress(user_id, year);
 CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user_year ON public.quiz_sessions(user_id, year);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_year ON public.quiz_attempts(user_id, year, completed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quiz_presets_user_year ON public.quiz_presets(user_id, year, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_bookmarks_user_year ON public.bookmarks(user_id, year);
 
 -- Enable Row Level Security
 ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_progress ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.quiz_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quiz_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quiz_presets ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.bookmarks ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for Profiles
@@ -118,6 +176,13 @@ CREATE POLICY "Users can manage own progress" ON public.user_progress
 CREATE POLICY "Users can manage own quiz sessions" ON public.quiz_sessions
   FOR ALL USING (auth.uid() = user_id);
 
+-- RLS Policies for Quiz Attempts
+CREATE POLICY "Users can manage own quiz attempts" ON public.quiz_attempts
+  FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own quiz presets" ON public.quiz_presets
+  FOR ALL USING (auth.uid() = user_id);
+
 -- RLS Policies for Bookmarks
 CREATE POLICY "Users can manage own bookmarks" ON public.bookmarks
   FOR ALL USING (auth.uid() = user_id);